@@ -0,0 +1,127 @@
+import { Integrator } from './integrators.js';
+import { MapStepper } from './maps.js';
+import { PoincareSection, StroboscopicSection, axisPlane } from './poincare.js';
+
+// Bifurcation diagrams: for each value of one parameter the system is
+// integrated past a transient and then sampled, either at the local maxima
+// of one state variable, where the orbit crosses a plane y[index] = value, or
+// (for forced systems) once per forcing period. Iterated maps record every
+// iterate, which makes the sweep an orbit diagram; f is then the map itself
+// and times count iterations.
+
+const DEFAULT_MAX_POINTS = 200;
+
+// Parabola through three equally spaced samples; returns the vertex height
+function refineMaximum(a, b, c) {
+    const curvature = a - 2 * b + c;
+    if (curvature >= 0) return b;
+    return b - (a - c) * (a - c) / (8 * curvature);
+}
+
+// Integrate from `state` at `time` and return the sampled values of one
+// orbit, with the final state and time
+export function sampleOrbit(f, state, {
+    time = 0,
+    integrator = {},
+    transient = 100,
+    duration = 100,
+    mode = 'maxima',
+    variable = 0,
+    plane = { index: 2, value: 0, direction: 'up' },
+    maxPoints = DEFAULT_MAX_POINTS,
+    periodic = [],
+    period
+} = {}) {
+    const stepper = mode === 'iterates' ? new MapStepper() : new Integrator(integrator);
+    const section = mode === 'stroboscopic'
+        ? new StroboscopicSection({ period })
+        : new PoincareSection({
+            ...axisPlane(plane.index, plane.value, state.length),
+            direction: plane.direction,
+            periodic
+        });
+    const dt = stepper.settings.dt;
+    const values = [];
+    let y = [...state];
+    let t = time;
+
+    const transientSteps = Math.round(transient / dt);
+    for (let i = 0; i < transientSteps; i++) {
+        y = stepper.advance(f, t, y, dt);
+        t += dt;
+        if (!y.every(Number.isFinite)) return { values, state: null, time: t };
+    }
+
+    const steps = Math.round(duration / dt);
+    let previous = y;
+    let beforePrevious = null;
+
+    for (let i = 0; i < steps && values.length < maxPoints; i++) {
+        const next = stepper.advance(f, t, previous, dt);
+        t += dt;
+        if (!next.every(Number.isFinite)) return { values, state: null, time: t };
+
+        if (mode === 'iterates') {
+            values.push(next[variable]);
+        } else if (mode === 'section' || mode === 'stroboscopic') {
+            const crossing = section.detect(f, t - dt, previous, t, next);
+            if (crossing) {
+                values.push(crossing.state[variable]);
+            }
+        } else if (beforePrevious) {
+            const a = beforePrevious[variable];
+            const b = previous[variable];
+            const c = next[variable];
+            if (b > a && b >= c) {
+                values.push(refineMaximum(a, b, c));
+            }
+        }
+
+        beforePrevious = previous;
+        previous = next;
+    }
+
+    return { values, state: previous, time: t };
+}
+
+// Sweep `parameter` over `columns` evenly spaced values in [from, to].
+// `createField(params)` returns the derivative function for a parameter
+// set and `forcingPeriod(params)` the drive period for stroboscopic sampling.
+// With continuation each column starts where and when the previous one
+// ended, so a forced orbit carries on in phase with its drive.
+// `onColumn({ index, value, points })` is called as each column finishes.
+export function bifurcationSweep({
+    createField,
+    params,
+    parameter,
+    from,
+    to,
+    columns = 200,
+    state,
+    continuation = true,
+    forcingPeriod,
+    ...sampling
+}, onColumn) {
+    const result = [];
+    let start = [...state];
+    let time = 0;
+
+    for (let index = 0; index < columns; index++) {
+        const value = columns === 1 ? from : from + (to - from) * index / (columns - 1);
+        const columnParams = { ...params, [parameter]: value };
+        const f = createField(columnParams);
+        const period = forcingPeriod ? forcingPeriod(columnParams) : undefined;
+        const orbit = sampleOrbit(f, start, { ...sampling, time, period });
+
+        const column = { index, value, points: orbit.values };
+        result.push(column);
+        if (onColumn) onColumn(column);
+
+        // Diverged orbits restart the next column from the initial state
+        const carry = continuation && orbit.state;
+        start = carry ? orbit.state : [...state];
+        time = carry ? orbit.time : 0;
+    }
+
+    return result;
+}
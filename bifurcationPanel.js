@@ -0,0 +1,310 @@
+import { createButton, createField, downloadBlob, downloadCanvas, numberInput, selectInput } from './ui.js';
+
+// Bifurcation diagram panel. The sweep runs in bifurcationWorker.js so the
+// 3D view stays responsive; columns are drawn as they arrive.
+//
+// `getContext()` returns the active system as
+//   { systemKey, custom, params, state, labels, ranges, integrator, forced, map }
+// where `forced` offers once-per-period sampling of forced systems and `map`
+// turns the panel into an orbit diagram of an iterated map
+// and `onSelect(parameter, value)` loads a clicked column into the simulation.
+
+const PADDING = { left: 50, right: 15, top: 15, bottom: 35 };
+
+export class BifurcationPanel {
+    constructor(parent, { getContext, onSelect }) {
+        this.getContext = getContext;
+        this.onSelect = onSelect;
+        this.worker = null;
+        this.columns = [];
+        this.sweep = null;
+        this.selected = null;
+        this.redrawPending = false;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel wide-panel';
+        this.panel.style.display = 'none';
+
+        this.title = document.createElement('div');
+        this.title.className = 'projection-title';
+        this.title.textContent = 'Bifurcation Diagram';
+        this.panel.appendChild(this.title);
+
+        this.form = document.createElement('div');
+        this.form.className = 'tool-form';
+        this.panel.appendChild(this.form);
+
+        const actions = document.createElement('div');
+        this.runBtn = createButton('Run Sweep', () => (this.worker ? this.cancel() : this.run()), actions);
+        createButton('Export PNG', () => this.exportPNG(), actions);
+        createButton('Export CSV', () => this.exportCSV(), actions);
+
+        this.status = document.createElement('span');
+        this.status.className = 'tool-status';
+        actions.appendChild(this.status);
+        this.panel.appendChild(actions);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tool-canvas';
+        this.canvas.width = 800;
+        this.canvas.height = 320;
+        this.canvas.onclick = (e) => this.handleClick(e);
+        this.panel.appendChild(this.canvas);
+
+        parent.appendChild(this.panel);
+    }
+
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    setVisible(visible) {
+        this.panel.style.display = visible ? '' : 'none';
+        if (visible) {
+            this.refreshForm();
+            this.canvas.width = Math.max(300, this.panel.clientWidth - 30);
+            this.draw();
+        }
+    }
+
+    // Rebuild the inputs for the active system's parameters and variables
+    refreshForm() {
+        const { params, labels, ranges, forced, map } = this.getContext();
+        this.title.textContent = map ? 'Orbit Diagram' : 'Bifurcation Diagram';
+        this.form.innerHTML = '';
+
+        const paramKeys = Object.keys(params);
+        this.parameterSelect = createField('Parameter', selectInput(paramKeys.map(k => [k, k])), this.form);
+        this.fromInput = createField('From', numberInput(0), this.form);
+        this.toInput = createField('To', numberInput(1), this.form);
+
+        const setDefaultRange = () => {
+            const key = this.parameterSelect.value;
+            const range = (ranges && ranges[key]) || { min: 0, max: (params[key] || 1) * 2 };
+            this.fromInput.value = range.min;
+            this.toInput.value = range.max;
+        };
+        this.parameterSelect.onchange = setDefaultRange;
+        setDefaultRange();
+
+        this.columnsInput = createField('Columns', numberInput(200), this.form);
+        this.transientInput = createField(map ? 'Transient (iterations)' : 'Transient (t)', numberInput(map ? 500 : 100), this.form);
+        this.durationInput = createField(map ? 'Sample (iterations)' : 'Sample time (t)', numberInput(map ? 200 : 100), this.form);
+
+        const variableOptions = labels.map((label, i) => [i, label]);
+        const modes = map
+            ? [['iterates', 'Every iterate']]
+            : [['maxima', 'Local maxima'], ['section', 'Plane crossings']];
+        if (forced) modes.push(['stroboscopic', 'Once per forcing period']);
+        this.modeSelect = createField('Record', selectInput(modes), this.form);
+        if (forced) this.modeSelect.value = 'stroboscopic';
+        this.variableSelect = createField('Variable', selectInput(variableOptions), this.form);
+        this.planeSelect = createField('Plane variable', selectInput(variableOptions), this.form);
+        this.planeSelect.value = String(Math.min(2, labels.length - 1));
+        this.planeValueInput = createField('Plane value', numberInput(0), this.form);
+        this.directionSelect = createField('Direction', selectInput([
+            ['up', 'Increasing'],
+            ['down', 'Decreasing'],
+            ['both', 'Both']
+        ]), this.form);
+
+        const updateModeFields = () => {
+            const section = this.modeSelect.value === 'section';
+            [this.planeSelect, this.planeValueInput, this.directionSelect].forEach(input => {
+                input.parentElement.style.display = section ? '' : 'none';
+            });
+        };
+        this.modeSelect.onchange = updateModeFields;
+        updateModeFields();
+    }
+
+    readOptions() {
+        const number = input => parseFloat(input.value);
+        const options = {
+            parameter: this.parameterSelect.value,
+            from: number(this.fromInput),
+            to: number(this.toInput),
+            columns: parseInt(this.columnsInput.value, 10),
+            transient: number(this.transientInput),
+            duration: number(this.durationInput),
+            mode: this.modeSelect.value,
+            variable: parseInt(this.variableSelect.value, 10),
+            plane: {
+                index: parseInt(this.planeSelect.value, 10),
+                value: number(this.planeValueInput),
+                direction: this.directionSelect.value
+            }
+        };
+
+        const errors = [];
+        if (!Number.isFinite(options.from) || !Number.isFinite(options.to) || options.from === options.to) {
+            errors.push('enter two different range limits');
+        }
+        if (!(options.columns >= 2 && options.columns <= 5000)) errors.push('columns must be between 2 and 5000');
+        if (!(options.transient >= 0)) errors.push('transient must be at least 0');
+        if (!(options.duration > 0)) errors.push('sample time must be positive');
+        if (options.mode === 'section' && !Number.isFinite(options.plane.value)) errors.push('enter a plane value');
+
+        return { options, errors };
+    }
+
+    run() {
+        const { options, errors } = this.readOptions();
+        if (errors.length) {
+            this.status.textContent = `Cannot run: ${errors.join(', ')}`;
+            return;
+        }
+
+        const context = this.getContext();
+        this.columns = [];
+        this.selected = null;
+        this.sweep = { ...options, labels: context.labels };
+
+        this.worker = new Worker(new URL('./bifurcationWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            this.status.textContent = `Sweep failed: ${event.message}`;
+            this.finish();
+        };
+        this.worker.postMessage({
+            systemKey: context.systemKey,
+            custom: context.custom,
+            params: context.params,
+            state: context.state,
+            integrator: context.integrator,
+            ...options
+        });
+
+        this.runBtn.textContent = 'Cancel';
+        this.status.textContent = 'Running...';
+        this.draw();
+    }
+
+    cancel() {
+        this.status.textContent = `Cancelled after ${this.columns.length} columns`;
+        this.finish();
+    }
+
+    finish() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.runBtn.textContent = 'Run Sweep';
+    }
+
+    handleMessage(message) {
+        if (message.type === 'column') {
+            this.columns.push(message.column);
+            this.status.textContent = `${this.columns.length} / ${this.sweep.columns} columns`;
+            this.scheduleDraw();
+        } else if (message.type === 'done') {
+            this.status.textContent = 'Done. Click a column to load that parameter value.';
+            this.finish();
+        } else if (message.type === 'error') {
+            this.status.textContent = `Sweep failed: ${message.message}`;
+            this.finish();
+        }
+    }
+
+    scheduleDraw() {
+        if (this.redrawPending) return;
+        this.redrawPending = true;
+        requestAnimationFrame(() => {
+            this.redrawPending = false;
+            this.draw();
+        });
+    }
+
+    getBounds() {
+        let yMin = Infinity;
+        let yMax = -Infinity;
+        this.columns.forEach(column => column.points.forEach(v => {
+            if (v < yMin) yMin = v;
+            if (v > yMax) yMax = v;
+        }));
+        if (!Number.isFinite(yMin)) {
+            yMin = -1;
+            yMax = 1;
+        }
+        const margin = (yMax - yMin) * 0.05 || 1;
+        return { xMin: this.sweep.from, xMax: this.sweep.to, yMin: yMin - margin, yMax: yMax + margin };
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, width, height);
+        if (!this.sweep) return;
+
+        const { xMin, xMax, yMin, yMax } = this.getBounds();
+        const plotWidth = width - PADDING.left - PADDING.right;
+        const plotHeight = height - PADDING.top - PADDING.bottom;
+        const toX = v => PADDING.left + (v - xMin) / (xMax - xMin) * plotWidth;
+        const toY = v => PADDING.top + (1 - (v - yMin) / (yMax - yMin)) * plotHeight;
+
+        // Axes and labels
+        ctx.strokeStyle = 'rgba(0, 255, 242, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(PADDING.left, PADDING.top, plotWidth, plotHeight);
+        ctx.fillStyle = '#00fff2';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(xMin.toPrecision(4), PADDING.left, height - 18);
+        ctx.fillText(xMax.toPrecision(4), width - PADDING.right, height - 18);
+        ctx.fillText(this.sweep.parameter, PADDING.left + plotWidth / 2, height - 5);
+        ctx.textAlign = 'right';
+        ctx.fillText(yMax.toPrecision(4), PADDING.left - 4, PADDING.top + 10);
+        ctx.fillText(yMin.toPrecision(4), PADDING.left - 4, PADDING.top + plotHeight);
+        const variable = this.sweep.labels[this.sweep.variable];
+        ctx.fillText(this.sweep.mode === 'maxima' ? `max ${variable}` : variable, PADDING.left - 4, PADDING.top + plotHeight / 2);
+
+        if (this.selected !== null) {
+            ctx.strokeStyle = 'rgba(255, 0, 255, 0.7)';
+            ctx.beginPath();
+            ctx.moveTo(toX(this.selected), PADDING.top);
+            ctx.lineTo(toX(this.selected), PADDING.top + plotHeight);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = 'rgba(0, 255, 242, 0.6)';
+        this.columns.forEach(column => {
+            const x = toX(column.value);
+            column.points.forEach(v => ctx.fillRect(x, toY(v), 1.2, 1.2));
+        });
+    }
+
+    handleClick(event) {
+        if (!this.sweep || this.columns.length === 0) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const fraction = (x - PADDING.left) / (this.canvas.width - PADDING.left - PADDING.right);
+        if (fraction < 0 || fraction > 1) return;
+
+        // Snap to the nearest computed column
+        const target = this.sweep.from + fraction * (this.sweep.to - this.sweep.from);
+        const nearest = this.columns.reduce((best, column) =>
+            Math.abs(column.value - target) < Math.abs(best.value - target) ? column : best
+        );
+        this.selected = nearest.value;
+        this.draw();
+        this.onSelect(this.sweep.parameter, nearest.value);
+    }
+
+    exportPNG() {
+        if (!this.sweep) return;
+        downloadCanvas(this.canvas, `bifurcation_${this.sweep.parameter}.png`);
+    }
+
+    exportCSV() {
+        if (!this.sweep) return;
+        const variable = this.sweep.labels[this.sweep.variable];
+        const rows = [`${this.sweep.parameter},${variable}`];
+        this.columns.forEach(column => {
+            column.points.forEach(v => rows.push(`${column.value},${v}`));
+        });
+
+        downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv' }), `bifurcation_${this.sweep.parameter}.csv`);
+    }
+}
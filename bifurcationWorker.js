@@ -0,0 +1,25 @@
+import { resolveSystem, stepFunction } from './systems.js';
+import { bifurcationSweep } from './bifurcation.js';
+
+// Runs bifurcation sweeps off the main thread. Functions cannot be posted
+// to a worker, so the system is looked up by key (custom systems are rebuilt
+// from their definition).
+
+self.onmessage = (event) => {
+    const { systemKey, custom, ...options } = event.data;
+
+    try {
+        const system = resolveSystem(systemKey, options.params, custom);
+
+        bifurcationSweep({
+            ...options,
+            periodic: system.periodic || [],
+            forcingPeriod: system.forcingPeriod,
+            createField: params => stepFunction(system, params)
+        }, column => self.postMessage({ type: 'column', column }));
+
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
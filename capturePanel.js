@@ -0,0 +1,246 @@
+import { GIFEncoder } from './gifEncoder.js';
+import { createButton, createField, downloadBlob, numberInput, selectInput } from './ui.js';
+
+// Video capture of the simulation views, encoded in the browser as WebM
+// (MediaRecorder) or animated GIF (gifEncoder.js).
+//
+// In deterministic mode every captured frame is preceded by exactly one
+// simulation batch of speed / fps simulated seconds, so the clip shows the
+// same motion however fast the machine renders or encodes. Otherwise frames
+// are grabbed from the live views at the chosen rate.
+//
+// Only GIF output is frame-exact: GIF frames carry their own delay, while
+// MediaRecorder stamps WebM frames with the wall clock when they are pushed.
+// WebM capture therefore waits for each frame's slot in real time, and a
+// frame that takes longer than its slot to step and draw is shown late;
+// such frames are counted and reported.
+//
+// Callbacks:
+//   sourceSize(source)                   natural { width, height } of a view
+//   drawFrame(source, ctx, width, height) draw a view scaled to width × height
+//   stepFrame(frameTime)                 advance one frame's worth; may return a promise
+//   getName()                            used for the downloaded file name
+
+export const CAPTURE_SOURCES = [
+    ['composite', 'All Views'],
+    ['scene', '3D View'],
+    ['xy', 'XY Projection'],
+    ['yz', 'YZ Projection'],
+    ['xz', 'XZ Projection'],
+    ['timeSeries', 'Time Series']
+];
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function webmType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CapturePanel {
+    constructor(parent, { sourceSize, drawFrame, stepFrame, getName }) {
+        this.sourceSize = sourceSize;
+        this.drawFrame = drawFrame;
+        this.stepFrame = stepFrame;
+        this.getName = getName;
+        this.capture = null;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Video Capture';
+        this.panel.appendChild(title);
+
+        const form = document.createElement('div');
+        form.className = 'tool-form';
+        this.sourceSelect = createField('View', selectInput(CAPTURE_SOURCES), form);
+        this.formatSelect = createField('Format', selectInput([
+            ['webm', 'WebM video'],
+            ['gif', 'Animated GIF']
+        ]), form);
+        if (!webmType()) {
+            this.formatSelect.value = 'gif';
+            this.formatSelect.options[0].disabled = true;
+        }
+        this.lengthSelect = createField('Length in', selectInput([
+            ['seconds', 'Seconds'],
+            ['frames', 'Frames']
+        ]), form);
+        this.lengthInput = createField('Length', numberInput(5), form);
+        this.lengthSelect.onchange = () => {
+            this.lengthInput.value = this.lengthSelect.value === 'frames' ? 150 : 5;
+        };
+        this.resolutionSelect = createField('Resolution', selectInput([
+            ['native', 'As displayed'],
+            ['360', '360p'],
+            ['480', '480p'],
+            ['720', '720p'],
+            ['1080', '1080p']
+        ]), form);
+        this.fpsInput = createField('Frame rate (fps)', numberInput(30), form);
+        this.fpsInput.min = '1';
+        this.fpsInput.max = '60';
+
+        this.deterministicInput = document.createElement('input');
+        this.deterministicInput.type = 'checkbox';
+        this.deterministicInput.checked = true;
+        createField('Deterministic (one batch per frame)', this.deterministicInput, form);
+        this.panel.appendChild(form);
+
+        this.captureBtn = createButton('Start Capture', () => (this.capture ? this.cancel() : this.start()), this.panel);
+
+        this.status = document.createElement('div');
+        this.status.className = 'analysis-readout';
+        this.panel.appendChild(this.status);
+
+        parent.appendChild(this.panel);
+        this.renderStatus('Capture a clip of the composite layout or a single view.');
+    }
+
+    // True while a deterministic capture is driving the simulation itself
+    isDeterministic() {
+        return this.capture !== null && this.capture.deterministic;
+    }
+
+    readOptions() {
+        const fps = parseFloat(this.fpsInput.value);
+        const length = parseFloat(this.lengthInput.value);
+        const errors = [];
+        if (!(fps >= 1 && fps <= 60)) errors.push('frame rate must be between 1 and 60');
+        const frames = this.lengthSelect.value === 'frames' ? Math.round(length) : Math.round(length * fps);
+        if (!(frames >= 1 && frames <= 10000)) errors.push('length must give between 1 and 10000 frames');
+        if (this.formatSelect.value === 'webm' && !webmType()) errors.push('this browser cannot record WebM');
+
+        const source = this.sourceSelect.value;
+        const native = this.sourceSize(source);
+        const height = this.resolutionSelect.value === 'native' ? native.height : parseInt(this.resolutionSelect.value, 10);
+        // Video encoders want even dimensions
+        const evenHeight = Math.max(2, Math.round(height / 2) * 2);
+        const width = Math.max(2, Math.round(native.width / (native.height || 1) * evenHeight / 2) * 2);
+
+        return {
+            source,
+            format: this.formatSelect.value,
+            fps,
+            frames,
+            width,
+            height: evenHeight,
+            deterministic: this.deterministicInput.checked,
+            errors
+        };
+    }
+
+    async start() {
+        const options = this.readOptions();
+        if (options.errors.length) {
+            this.renderStatus(`Cannot capture: ${options.errors.join(', ')}`);
+            return;
+        }
+
+        const capture = { ...options, cancelled: false, late: 0 };
+        this.capture = capture;
+        this.captureBtn.textContent = 'Cancel Capture';
+        this.captureBtn.classList.add('active');
+
+        let blob = null;
+        try {
+            blob = await this.record(capture);
+        } catch (error) {
+            console.error('Capture failed:', error);
+            this.renderStatus(`Capture failed: ${error.message}`);
+        }
+
+        this.capture = null;
+        this.captureBtn.textContent = 'Start Capture';
+        this.captureBtn.classList.remove('active');
+
+        if (blob) {
+            const name = this.getName().toLowerCase().replace(/\s+/g, '_');
+            downloadBlob(blob, `${name}_capture.${capture.format}`);
+            const saved = `Saved ${capture.frames} frames (${(blob.size / 1024).toFixed(0)} KB).`;
+            this.renderStatus(capture.late
+                ? `${saved} ${capture.late} frame${capture.late === 1 ? ' was' : 's were'} late, so the WebM timing is uneven; lower the frame rate or resolution, or capture a GIF for frame-exact timing.`
+                : saved);
+        } else if (capture.cancelled) {
+            this.renderStatus('Capture cancelled.');
+        }
+    }
+
+    cancel() {
+        if (this.capture) this.capture.cancelled = true;
+    }
+
+    // Capture every frame; resolves with the encoded clip, or null if cancelled
+    async record(capture) {
+        const { source, format, fps, frames, width, height, deterministic } = capture;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const interval = 1000 / fps;
+
+        let gif = null;
+        let recorder = null;
+        let track = null;
+        const chunks = [];
+        if (format === 'gif') {
+            gif = new GIFEncoder(width, height, { delay: interval });
+        } else {
+            // Frames are pushed by hand with requestFrame()
+            const stream = canvas.captureStream(0);
+            track = stream.getVideoTracks()[0];
+            recorder = new MediaRecorder(stream, { mimeType: webmType() });
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) chunks.push(event.data);
+            };
+            recorder.start();
+        }
+
+        const startTime = performance.now();
+        for (let frame = 0; frame < frames; frame++) {
+            if (capture.cancelled) break;
+
+            if (deterministic) {
+                await this.stepFrame(1 / fps);
+            }
+            // MediaRecorder stamps frames with the wall clock, so WebM is paced
+            // in real time in both modes; GIF frames carry their own delay
+            if (!deterministic || recorder) {
+                while (performance.now() < startTime + frame * interval) await nextFrame();
+            }
+
+            this.drawFrame(source, ctx, width, height);
+            if (gif) {
+                gif.addFrame(ctx.getImageData(0, 0, width, height).data);
+            } else {
+                // Pushed after its slot has passed, the frame is stamped late
+                if (performance.now() > startTime + (frame + 1) * interval) capture.late++;
+                track.requestFrame();
+            }
+
+            if (frame % 10 === 0) this.renderStatus(`Capturing frame ${frame + 1} / ${frames}`);
+            // Keep the page responsive while encoding a GIF back to back
+            if (gif && deterministic) await sleep(0);
+        }
+
+        if (recorder) {
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+        if (capture.cancelled) return null;
+
+        this.renderStatus('Encoding…');
+        return gif ? new Blob([gif.finish()], { type: 'image/gif' }) : new Blob(chunks, { type: 'video/webm' });
+    }
+
+    renderStatus(message) {
+        this.status.textContent = message;
+    }
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { ConfigError, simulate, systems, validateConfig } from './dynamics.js';
+
+// Runs a saved configuration (the JSON written by "Save Config") without the
+// browser and writes the trajectory to a file:
+//
+//   node cli.js lorenz_config.json --t1 100 --out lorenz.csv
+//
+// The integrator comes from the configuration unless --method or --dt is
+// given. CSV output has a header row (t and the state variables); JSON
+// output is { system, labels, times, states } with states as rows.
+
+const USAGE = `Usage: node cli.js <config.json> [options]
+
+Options:
+  --t1 <time>        end time, or iterations for maps (default 100)
+  --dt <step>        step size
+  --method <name>    euler, rk4, rk45 or leapfrog
+  --out <file>       output file (default: <config>.trajectory.csv)
+  --format <format>  csv or json (default: from the --out extension, else csv)
+  --help             show this message`;
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function toCSV({ times, states, dimension, labels }) {
+    const lines = [['t', ...labels].join(',')];
+    for (let i = 0; i < times.length; i++) {
+        lines.push([times[i], ...states.subarray(i * dimension, (i + 1) * dimension)].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toJSON(systemKey, { times, states, dimension, labels }) {
+    const rows = Array.from(times, (_, i) => Array.from(states.subarray(i * dimension, (i + 1) * dimension)));
+    return JSON.stringify({ system: systemKey, labels, times: Array.from(times), states: rows }) + '\n';
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                t1: { type: 'string', default: '100' },
+                dt: { type: 'string' },
+                method: { type: 'string' },
+                out: { type: 'string' },
+                format: { type: 'string' },
+                help: { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 1) fail(USAGE);
+
+    const [path] = positionals;
+    let config;
+    try {
+        config = validateConfig(JSON.parse(await readFile(path, 'utf8')), systems);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            fail([`${path}: ${error.errors.length ? 'invalid configuration' : error.message}`, ...error.errors.map(e => `  ${e}`)].join('\n'));
+        }
+        fail(`${path}: ${error.message}`);
+    }
+
+    const t1 = Number(values.t1);
+    const dt = values.dt === undefined ? undefined : Number(values.dt);
+    if (!(t1 > 0)) fail('--t1 must be a positive number');
+    if (dt !== undefined && !(dt > 0)) fail('--dt must be a positive number');
+
+    const out = values.out || path.replace(/\.json$/i, '') + '.trajectory.csv';
+    const format = values.format || (out.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+    if (format !== 'csv' && format !== 'json') fail(`Unknown format "${format}"`);
+
+    let result;
+    try {
+        result = simulate(config.system, config.parameters, config.state, {
+            ...config.integrator,
+            ...(values.method && { method: values.method }),
+            ...(dt !== undefined && { dt }),
+            t1,
+            custom: config.custom,
+            schedules: config.schedules
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    await writeFile(out, format === 'json' ? toJSON(config.system, result) : toCSV(result));
+    const diverged = result.diverged ? ' (diverged: stopped at the last finite state)' : '';
+    console.log(`${result.times.length} samples of ${config.system} written to ${out}${diverged}`);
+}
+
+main();
@@ -0,0 +1,153 @@
+import { createButton, createField, downloadCanvas, numberInput } from './ui.js';
+
+// Cobweb diagram of a one-dimensional map: the graph of F, the diagonal and
+// the staircase traced by the latest iterates, which closes in on attracting
+// fixed points and settles into loops on cycles.
+//
+// `getContext()` returns { iterate, domain, iterates, label }, where
+// `iterate(x)` is F (null unless the system is a 1D map), `domain` the
+// interval to show at least and `iterates(count)` the latest values of x,
+// oldest first.
+
+const PADDING = 30;
+const CURVE_SAMPLES = 400;
+const DEFAULT_STEPS = 40;
+const MAX_STEPS = 1000;
+
+export class CobwebPanel {
+    constructor(parent, { getContext }) {
+        this.getContext = getContext;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel wide-panel';
+        this.panel.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'projection-title';
+        title.textContent = 'Cobweb Diagram';
+        this.panel.appendChild(title);
+
+        const form = document.createElement('div');
+        form.className = 'tool-form';
+        this.stepsInput = createField('Steps shown', numberInput(DEFAULT_STEPS), form);
+        this.stepsInput.onchange = () => this.update();
+        this.panel.appendChild(form);
+
+        const actions = document.createElement('div');
+        createButton('Export PNG', () => downloadCanvas(this.canvas, 'cobweb.png'), actions);
+        this.status = document.createElement('span');
+        this.status.className = 'tool-status';
+        actions.appendChild(this.status);
+        this.panel.appendChild(actions);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tool-canvas';
+        this.canvas.width = 800;
+        this.canvas.height = 360;
+        this.panel.appendChild(this.canvas);
+
+        parent.appendChild(this.panel);
+    }
+
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    setVisible(visible) {
+        this.panel.style.display = visible ? '' : 'none';
+        if (visible) {
+            this.canvas.width = Math.max(300, this.panel.clientWidth - 30);
+            this.update();
+        }
+    }
+
+    steps() {
+        const steps = parseInt(this.stepsInput.value, 10);
+        if (steps >= 1 && steps <= MAX_STEPS) return steps;
+        this.stepsInput.value = DEFAULT_STEPS;
+        return DEFAULT_STEPS;
+    }
+
+    // Called once per rendered batch of iterations
+    update() {
+        if (!this.isVisible()) return;
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, width, height);
+
+        const { iterate, domain, iterates, label } = this.getContext();
+        if (!iterate) {
+            this.status.textContent = 'Cobweb diagrams need a one-dimensional map';
+            return;
+        }
+        const xs = iterates(this.steps() + 1).filter(Number.isFinite);
+        this.status.textContent = xs.length ? `${label} = ${xs[xs.length - 1].toPrecision(6)}` : '';
+
+        // The same interval on both axes, so the diagonal is the line y = x
+        const samples = [];
+        let [lo, hi] = domain || [Math.min(...xs, 0), Math.max(...xs, 1)];
+        xs.forEach(x => {
+            lo = Math.min(lo, x);
+            hi = Math.max(hi, x);
+        });
+        for (let i = 0; i <= CURVE_SAMPLES; i++) {
+            const x = lo + (hi - lo) * i / CURVE_SAMPLES;
+            samples.push([x, iterate(x)]);
+        }
+        samples.forEach(([, y]) => {
+            if (Number.isFinite(y)) {
+                lo = Math.min(lo, y);
+                hi = Math.max(hi, y);
+            }
+        });
+
+        const size = Math.min(width, height) - 2 * PADDING;
+        const left = (width - size) / 2;
+        const scale = size / (hi - lo || 1);
+        const toX = x => left + (x - lo) * scale;
+        const toY = y => height - PADDING - (y - lo) * scale;
+
+        ctx.strokeStyle = 'rgba(0, 255, 242, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, PADDING, size, size);
+        ctx.beginPath();
+        ctx.moveTo(toX(lo), toY(lo));
+        ctx.lineTo(toX(hi), toY(hi));
+        ctx.stroke();
+
+        ctx.strokeStyle = '#00fff2';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        samples.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(toX(x), toY(y)) : ctx.lineTo(toX(x), toY(y))));
+        ctx.stroke();
+
+        // Up from the axis to the graph, then across to the diagonal and up or
+        // down to the graph again, once per iteration
+        if (xs.length > 1) {
+            ctx.strokeStyle = 'rgba(255, 0, 255, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(toX(xs[0]), toY(lo));
+            for (let i = 1; i < xs.length; i++) {
+                ctx.lineTo(toX(xs[i - 1]), toY(xs[i]));
+                ctx.lineTo(toX(xs[i]), toY(xs[i]));
+            }
+            ctx.stroke();
+        }
+        if (xs.length) {
+            const x = xs[xs.length - 1];
+            ctx.fillStyle = '#ffff00';
+            ctx.fillRect(toX(x) - 2, toY(x) - 2, 4, 4);
+        }
+
+        ctx.fillStyle = '#00fff2';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(lo.toPrecision(3), left, height - 8);
+        ctx.fillText(hi.toPrecision(3), left + size, height - 8);
+        ctx.fillText(`${label}ₙ`, left + size / 2, height - 8);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${label}ₙ₊₁`, left - 6, PADDING + size / 2);
+    }
+}
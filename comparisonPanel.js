@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+import { integrators } from './integrators.js';
+import { TrajectoryBuffer } from './trajectoryBuffer.js';
+import { createField, numberInput, selectInput } from './ui.js';
+
+// Twin-trajectory comparison: a second copy of the current system runs beside
+// the primary one, differing in one of
+//   perturbation  the initial state (δ added to one variable)
+//   parameters    the parameter set
+//   integrator    the integration method
+// The twin is stepped in the simulation worker (see twin.js); it is drawn in
+// a contrasting colour and the separation |Δ| between the two states is
+// plotted on a log scale.
+//
+// `getContext()` returns { params, integrator, labels, periodic, sceneMapper },
+// where `sceneMapper(params)` returns a function mapping a state to a 3D
+// point. `onStart(options)` starts a twin in the worker (options as for
+// Simulation.setTwin), or stops it with null; update() receives the
+// batches' results.
+
+export const TWIN_COLOR = '#ffaa00';
+
+const MAX_TRAIL = 1000;
+const MAX_HISTORY = 2000;
+
+export class ComparisonPanel {
+    constructor(parent, plotParent, scene, { getContext, onStart }) {
+        this.getContext = getContext;
+        this.onStart = onStart;
+        this.running = false;
+        this.twin = null;
+        this.trail = new TrajectoryBuffer(MAX_TRAIL);
+        this.history = [];
+
+        // Two lines over the ring buffer, drawn in time order as for the
+        // primary trail (see TrajectoryBuffer.runs)
+        this.line = new THREE.Group();
+        this.line.visible = false;
+        const position = new THREE.BufferAttribute(this.trail.positions, 3).setUsage(THREE.DynamicDrawUsage);
+        const material = new THREE.LineBasicMaterial({ color: TWIN_COLOR });
+        for (let i = 0; i < 2; i++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', position);
+            const line = new THREE.Line(geometry, material);
+            line.frustumCulled = false;
+            this.line.add(line);
+        }
+        scene.add(this.line);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Twin Comparison';
+        this.panel.appendChild(title);
+
+        this.toggleBtn = document.createElement('button');
+        this.toggleBtn.className = 'button';
+        this.toggleBtn.textContent = 'Start';
+        this.toggleBtn.onclick = () => (this.running ? this.stop() : this.start());
+        this.panel.appendChild(this.toggleBtn);
+
+        this.form = document.createElement('div');
+        this.form.className = 'tool-form';
+        this.panel.appendChild(this.form);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'analysis-readout';
+        this.panel.appendChild(this.readout);
+        parent.appendChild(this.panel);
+
+        // Separation plot, shown beside the time series while running
+        this.plotPanel = document.createElement('div');
+        this.plotPanel.className = 'panel';
+        this.plotPanel.style.display = 'none';
+        const plotTitle = document.createElement('div');
+        plotTitle.className = 'projection-title';
+        plotTitle.textContent = 'Separation |Δ| (log scale)';
+        this.plotPanel.appendChild(plotTitle);
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 400;
+        this.canvas.height = 200;
+        this.plotPanel.appendChild(this.canvas);
+        plotParent.after(this.plotPanel);
+    }
+
+    // Rebuild the inputs for the active system
+    refreshForm() {
+        const { params, labels, integrator } = this.getContext();
+        this.form.innerHTML = '';
+
+        this.modeSelect = createField('Compare', selectInput([
+            ['perturbation', 'Perturbed initial state'],
+            ['parameters', 'Second parameter set'],
+            ['integrator', 'Second integrator']
+        ]), this.form);
+
+        this.variableSelect = createField('Perturb', selectInput(labels.map((label, i) => [i, label])), this.form);
+        this.deltaInput = createField('δ', numberInput(1e-9), this.form);
+
+        this.paramInputs = {};
+        this.formParams = { ...params };
+        Object.entries(params).forEach(([key, value]) => {
+            this.paramInputs[key] = createField(`Twin ${key}`, numberInput(value), this.form);
+        });
+
+        this.methodSelect = createField('Twin method', selectInput(
+            Object.entries(integrators).map(([key, { name }]) => [key, name])
+        ), this.form);
+        this.methodSelect.value = integrator.method === 'euler' ? 'rk4' : 'euler';
+
+        const groups = {
+            perturbation: [this.variableSelect, this.deltaInput],
+            parameters: Object.values(this.paramInputs),
+            integrator: [this.methodSelect]
+        };
+        const updateModeFields = () => {
+            Object.entries(groups).forEach(([mode, inputs]) => {
+                inputs.forEach(input => {
+                    input.parentElement.style.display = mode === this.modeSelect.value ? '' : 'none';
+                });
+            });
+        };
+        this.modeSelect.onchange = () => {
+            updateModeFields();
+            this.reset();
+        };
+        updateModeFields();
+        this.render();
+    }
+
+    readOptions() {
+        const errors = [];
+        const options = { mode: this.modeSelect.value };
+
+        if (options.mode === 'perturbation') {
+            options.variable = parseInt(this.variableSelect.value, 10);
+            options.delta = parseFloat(this.deltaInput.value);
+            if (!Number.isFinite(options.delta)) errors.push('enter a numeric δ');
+        } else if (options.mode === 'parameters') {
+            // Only the values changed in the form are the twin's own; the
+            // others, scheduled ones included, follow the main run
+            options.params = {};
+            Object.entries(this.paramInputs).forEach(([key, input]) => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) errors.push(`enter a numeric value for ${key}`);
+                if (value !== this.formParams[key]) options.params[key] = value;
+            });
+        } else {
+            options.method = this.methodSelect.value;
+        }
+
+        return { options, errors };
+    }
+
+    start() {
+        this.running = true;
+        this.toggleBtn.textContent = 'Stop';
+        this.plotPanel.style.display = '';
+        this.canvas.width = Math.max(200, this.plotPanel.clientWidth - 30);
+        this.reset();
+    }
+
+    stop() {
+        this.running = false;
+        this.toggleBtn.textContent = 'Start';
+        this.plotPanel.style.display = 'none';
+        this.twin = null;
+        this.onStart(null);
+        this.trail.clear();
+        this.updateLine();
+        this.history = [];
+        this.line.visible = false;
+        this.render();
+    }
+
+    // Restart the twin from the primary's current state
+    reset() {
+        this.twin = null;
+        this.trail.clear();
+        this.updateLine();
+        this.history = [];
+        this.line.visible = false;
+        if (!this.running) return;
+
+        const { options, errors } = this.readOptions();
+        if (errors.length) {
+            this.onStart(null);
+            this.render(`Cannot start: ${errors.join(', ')}`);
+            return;
+        }
+
+        const { params, integrator, periodic = [], sceneMapper } = this.getContext();
+        const twinParams = options.mode === 'parameters' ? options.params : null;
+        this.onStart({
+            params: twinParams,
+            perturbation: options.mode === 'perturbation' ? { variable: options.variable, delta: options.delta } : null,
+            method: options.mode === 'integrator' ? options.method : integrator.method,
+            periodic
+        });
+        this.twin = { toScene: sceneMapper({ ...params, ...twinParams }) };
+        this.line.visible = true;
+        this.render();
+    }
+
+    // Called once per rendered batch of steps with the batch's times and the
+    // worker's result: { states, separations, diverged }, plus the starting
+    // { time, separation } for the first batch of a new twin
+    update(times, result) {
+        if (!this.running || !this.twin || !result) return;
+        if (result.start) this.history = [result.start];
+
+        const { states, separations } = result;
+        const steps = separations.length;
+        for (let k = 0; k < steps; k++) {
+            this.history.push({ time: times[k], separation: separations[k] });
+            if (this.history.length > MAX_HISTORY) {
+                this.history = this.history.filter((_, i) => i % 2 === 0);
+            }
+        }
+
+        // Only the steps that still fit in the trail are drawn
+        const dimension = states.length / (steps || 1);
+        for (let k = Math.max(0, steps - MAX_TRAIL); k < steps; k++) {
+            const [x, y, z] = this.twin.toScene(Array.from(states.subarray(k * dimension, (k + 1) * dimension)));
+            this.trail.push(times[k], x, y, z, 0, 0, 0);
+        }
+        this.updateLine();
+
+        if (result.diverged) {
+            this.twin = null;
+            this.render('Twin trajectory diverged; press Start to restart.');
+            return;
+        }
+        this.render();
+    }
+
+    // Upload the newly written part of the trail and draw it in time order
+    updateLine() {
+        const [first, second] = this.line.children;
+        const range = this.trail.takeDirtyRange();
+        if (range) {
+            const { position } = first.geometry.attributes;
+            position.updateRange.offset = range.offset * 3;
+            position.updateRange.count = range.count < 0 ? -1 : range.count * 3;
+            position.needsUpdate = true;
+        }
+        const runs = this.trail.runs();
+        first.geometry.setDrawRange(runs[0].start, runs[0].count);
+        second.geometry.setDrawRange(runs[1].start, runs[1].count);
+    }
+
+    // Recent twin positions in scene coordinates, for the 2D projections
+    getTrail() {
+        return this.twin ? this.trail.recent(MAX_TRAIL) : [];
+    }
+
+    render(message) {
+        this.readout.innerHTML = '';
+        const addLine = (text, color) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (color) line.style.color = color;
+            this.readout.appendChild(line);
+        };
+
+        if (message) {
+            addLine(message);
+        } else if (!this.twin) {
+            addLine('Press Start to run a second copy of the system beside the current one.');
+        } else if (this.history.length === 0) {
+            addLine('Twin started from the current state; it moves once the simulation runs.');
+        } else {
+            const latest = this.history[this.history.length - 1];
+            addLine('Twin trajectory', TWIN_COLOR);
+            addLine(`|Δ| = ${latest.separation.toExponential(3)}`);
+            addLine(`t = ${(latest.time - this.history[0].time).toFixed(1)}`);
+        }
+
+        if (this.running) this.renderPlot();
+    }
+
+    renderPlot() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const history = this.history.filter(h => h.separation > 0);
+        if (history.length < 2) return;
+
+        const values = history.map(h => Math.log10(h.separation));
+        const yMin = Math.floor(Math.min(...values));
+        const yMax = Math.ceil(Math.max(...values));
+        const tMin = history[0].time;
+        const tMax = history[history.length - 1].time;
+        const padding = 20;
+        const toX = t => padding + (t - tMin) / (tMax - tMin || 1) * (width - 2 * padding);
+        const toY = v => height - padding - (v - yMin) / (yMax - yMin || 1) * (height - 2 * padding);
+
+        // One grid line per decade
+        ctx.strokeStyle = 'rgba(0, 255, 242, 0.15)';
+        ctx.fillStyle = 'rgba(0, 255, 242, 0.6)';
+        ctx.font = '10px monospace';
+        ctx.lineWidth = 1;
+        for (let decade = yMin; decade <= yMax; decade++) {
+            ctx.beginPath();
+            ctx.moveTo(padding, toY(decade));
+            ctx.lineTo(width - padding, toY(decade));
+            ctx.stroke();
+            ctx.fillText(`1e${decade}`, 2, toY(decade) - 2);
+        }
+
+        ctx.strokeStyle = TWIN_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        history.forEach((h, i) => {
+            const x = toX(h.time);
+            const y = toY(values[i]);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+}
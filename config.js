@@ -0,0 +1,291 @@
+import { DEFAULT_INTEGRATOR_SETTINGS, integrators } from './integrators.js';
+import { CustomSystemError, createCustomSystem } from './customSystem.js';
+import { validateSchedules } from './schedule.js';
+import { parameterError, parameterSpecs } from './parameters.js';
+import { COLOR_MODES, VIEW_TOGGLES } from './display.js';
+import { MAX_HISTORY_LENGTH } from './trajectoryBuffer.js';
+import { DEFAULT_FIELD_SETTINGS, fieldSettingsErrors } from './vectorFieldData.js';
+
+// Encoding, decoding and validation of simulator configurations
+// (share URLs use the same payload as saved files).
+//
+// Schema versions:
+//   1  no format or version fields; saved files name the system by its
+//      display name, share links by its key
+//   2  format and version fields, the system always by key, plus the trail
+//      length, view toggles and trail colouring; vector field settings
+//      (vectorFieldData.js) are optional
+//   3  the Van der Pol oscillator is planar, so its state has two entries
+
+export const CONFIG_FORMAT = 'dynamical-systems-sim/config';
+export const CONFIG_VERSION = 3;
+
+export class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}: ${errors.join('; ')}` : message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// UTF-8 safe, URL safe base64
+export function encodeShareConfig(config) {
+    const bytes = new TextEncoder().encode(JSON.stringify(config));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeShareConfig(encoded) {
+    let json;
+    try {
+        // URLSearchParams turns '+' from older links into spaces
+        let base64 = encoded.trim().replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+        base64 += '='.repeat((4 - base64.length % 4) % 4);
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        json = new TextDecoder().decode(bytes);
+    } catch (error) {
+        throw new ConfigError('Shared link is not valid base64');
+    }
+
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new ConfigError('Shared link does not contain valid JSON');
+    }
+}
+
+// Older links and files store the display name instead of the system key
+export function resolveSystemKey(systems, system) {
+    if (typeof system !== 'string') return null;
+    if (systems[system]) return system;
+    return Object.keys(systems).find(key => systems[key].name === system) || null;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+// Upgrades from each version to the next
+const MIGRATIONS = {
+    1: (config, systems) => ({
+        ...config,
+        system: config.custom !== undefined ? 'custom' : resolveSystemKey(systems, config.system) ?? config.system
+    }),
+    // The unused z of the Van der Pol oscillator is dropped
+    2: config => (config.system === 'vanDerPol' && Array.isArray(config.state) && config.state.length === 3
+        ? { ...config, state: config.state.slice(0, 2) }
+        : config)
+};
+
+// Bring a configuration written by any earlier version up to CONFIG_VERSION
+export function migrateConfig(config, systems) {
+    if (config.format !== undefined && config.format !== CONFIG_FORMAT) {
+        throw new ConfigError('Not a configuration saved by this simulator');
+    }
+    const version = config.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new ConfigError('Invalid configuration', ['version must be a positive integer']);
+    }
+    if (version > CONFIG_VERSION) {
+        throw new ConfigError(`Configuration version ${version} is newer than this simulator supports (${CONFIG_VERSION})`);
+    }
+    let migrated = config;
+    for (let v = version; v < CONFIG_VERSION; v++) {
+        migrated = MIGRATIONS[v](migrated, systems);
+    }
+    return { ...migrated, format: CONFIG_FORMAT, version: CONFIG_VERSION };
+}
+
+// Check a decoded configuration of any version against the systems table.
+// Returns a normalized copy in the current schema or throws a ConfigError
+// listing every problem found.
+export function validateConfig(input, systems) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ConfigError('Configuration must be an object');
+    }
+    const config = migrateConfig(input, systems);
+
+    // Custom systems carry their own definition
+    const systemKey = config.system;
+    let system;
+    if (systemKey === 'custom') {
+        if (config.custom === undefined) {
+            throw new ConfigError('Invalid configuration', ['custom: the custom system has no definition']);
+        }
+        try {
+            system = createCustomSystem(config.custom || {});
+        } catch (error) {
+            if (!(error instanceof CustomSystemError)) throw error;
+            throw new ConfigError('Invalid custom system', error.errors);
+        }
+    } else {
+        if (typeof systemKey !== 'string' || !Object.hasOwn(systems, systemKey)) {
+            throw new ConfigError('Invalid configuration', [`unknown system "${systemKey}"`]);
+        }
+        if (config.custom !== undefined) {
+            errors.push(`custom: only allowed with system "custom", not "${systemKey}"`);
+        }
+        system = systems[systemKey];
+        // Resizable systems (the N-link pendulum) take their shape from the parameters
+        if (system.fromParameters && config.parameters && typeof config.parameters === 'object') {
+            system = system.fromParameters(config.parameters);
+        }
+    }
+
+    // Values must also respect the limits in the system's parameter metadata
+    const specs = parameterSpecs(systemKey, system);
+    const parameters = { ...system.params };
+    if (config.parameters !== undefined) {
+        if (!config.parameters || typeof config.parameters !== 'object') {
+            errors.push('parameters must be an object');
+        } else {
+            Object.entries(config.parameters).forEach(([key, value]) => {
+                if (!Object.hasOwn(system.params, key)) {
+                    errors.push(`unknown parameter "${key}" for ${system.name}`);
+                    return;
+                }
+                const error = parameterError(key, value, specs[key]);
+                if (error) {
+                    errors.push(error);
+                } else {
+                    parameters[key] = value;
+                }
+            });
+        }
+    }
+
+    let state = [...system.defaultState];
+    if (config.state !== undefined) {
+        if (!Array.isArray(config.state) || config.state.length !== system.defaultState.length) {
+            errors.push(`state must be an array of ${system.defaultState.length} numbers`);
+        } else if (!config.state.every(isFiniteNumber)) {
+            errors.push('state contains non-numeric values');
+        } else {
+            state = [...config.state];
+        }
+    }
+
+    let schedules = [];
+    if (config.schedules !== undefined) {
+        const scheduleErrors = validateSchedules(config.schedules, system.params, specs);
+        if (scheduleErrors.length) {
+            errors.push(...scheduleErrors);
+        } else {
+            schedules = config.schedules.map(({ param, keyframes, interpolation, repeat }) => ({
+                param,
+                keyframes: keyframes.map(({ time, value }) => ({ time, value })),
+                interpolation,
+                repeat
+            }));
+        }
+    }
+
+    let integrator;
+    if (config.integrator !== undefined) {
+        // Settings left out, the method included, keep their defaults
+        const { method = DEFAULT_INTEGRATOR_SETTINGS.method, dt, rtol, atol } = config.integrator || {};
+        if (!Object.hasOwn(integrators, method)) {
+            errors.push(`integrator.method: unknown integration method "${method}"`);
+        }
+        [['dt', dt], ['rtol', rtol], ['atol', atol]].forEach(([key, value]) => {
+            if (value !== undefined && !(isFiniteNumber(value) && value > 0)) {
+                errors.push(`integrator.${key} must be a positive number`);
+            }
+        });
+        integrator = { method, dt, rtol, atol };
+        Object.keys(integrator).forEach(key => integrator[key] === undefined && delete integrator[key]);
+    }
+
+    let camera;
+    if (config.camera !== undefined) {
+        if (!config.camera || !isVector3(config.camera.position) || !isVector3(config.camera.target)) {
+            errors.push('camera must have numeric position and target vectors');
+        } else {
+            camera = { position: [...config.camera.position], target: [...config.camera.target] };
+        }
+    }
+
+    let historyLength;
+    if (config.historyLength !== undefined) {
+        const value = config.historyLength;
+        if (!(Number.isInteger(value) && value >= 2 && value <= MAX_HISTORY_LENGTH)) {
+            errors.push(`historyLength must be an integer between 2 and ${MAX_HISTORY_LENGTH}`);
+        } else {
+            historyLength = value;
+        }
+    }
+
+    let view;
+    if (config.view !== undefined) {
+        if (!config.view || typeof config.view !== 'object' || Array.isArray(config.view)) {
+            errors.push('view must be an object');
+        } else {
+            view = {};
+            Object.entries(config.view).forEach(([key, value]) => {
+                if (!Object.hasOwn(VIEW_TOGGLES, key)) {
+                    errors.push(`view: unknown setting "${key}"`);
+                } else if (typeof value !== 'boolean') {
+                    errors.push(`view.${key} must be true or false`);
+                } else {
+                    view[key] = value;
+                }
+            });
+        }
+    }
+
+    let colorMapping;
+    if (config.colorMapping !== undefined) {
+        const { mode, scale } = config.colorMapping || {};
+        if (!Object.hasOwn(COLOR_MODES, mode)) {
+            errors.push(`colorMapping: unknown mode "${mode}"`);
+        }
+        if (scale !== undefined && !(isFiniteNumber(scale) && scale > 0)) {
+            errors.push('colorMapping.scale must be a positive number');
+        }
+        colorMapping = scale === undefined ? { mode } : { mode, scale };
+    }
+
+    // Missing field settings take their defaults
+    let fieldSettings;
+    if (config.fieldSettings !== undefined) {
+        const settings = config.fieldSettings && typeof config.fieldSettings === 'object'
+            ? { ...DEFAULT_FIELD_SETTINGS, ...config.fieldSettings }
+            : config.fieldSettings;
+        const fieldErrors = fieldSettingsErrors(settings);
+        errors.push(...fieldErrors);
+        if (fieldErrors.length === 0) fieldSettings = settings;
+    }
+
+    if (config.paused !== undefined && typeof config.paused !== 'boolean') {
+        errors.push('paused must be true or false');
+    }
+
+    if (errors.length) {
+        throw new ConfigError('Invalid configuration', errors);
+    }
+
+    return {
+        format: CONFIG_FORMAT,
+        version: CONFIG_VERSION,
+        system: systemKey,
+        custom: system.custom ? system.definition : undefined,
+        parameters,
+        state,
+        schedules,
+        integrator,
+        historyLength,
+        camera,
+        view,
+        colorMapping,
+        fieldSettings,
+        paused: config.paused === true
+    };
+}
@@ -0,0 +1,267 @@
+import { ExpressionError, compileExpression, constants, functions } from './expressionParser.js';
+
+// User-defined systems built from typed equations, e.g.
+//   dx/dt = sigma*(y - x)
+// Parameters are declared one per line as "name = default [min, max]". The
+// time is available as t, so forced systems can be typed too.
+
+// Name of the time in expressions; reserved for it
+const TIME = 't';
+
+export class CustomSystemError extends Error {
+    constructor(errors) {
+        super(errors.join('\n'));
+        this.name = 'CustomSystemError';
+        this.errors = errors;
+    }
+}
+
+export const customExamples = {
+    chen: {
+        name: 'Chen Attractor',
+        equations: 'dx/dt = a*(y - x)\ndy/dt = (c - a)*x - x*z + c*y\ndz/dt = x*y - b*z',
+        parameters: 'a = 35 [20, 50]\nb = 3 [1, 6]\nc = 28 [15, 35]',
+        initialState: [-10, 0, 37]
+    },
+    thomas: {
+        name: 'Thomas Attractor',
+        equations: 'dx/dt = sin(y) - b*x\ndy/dt = sin(z) - b*y\ndz/dt = sin(x) - b*z',
+        parameters: 'b = 0.208186 [0, 1]',
+        initialState: [0.1, 0, 0]
+    },
+    aizawa: {
+        name: 'Aizawa Attractor',
+        equations: 'dx/dt = (z - b)*x - d*y\ndy/dt = d*x + (z - b)*y\n' +
+            'dz/dt = c + a*z - z^3/3 - (x^2 + y^2)*(1 + e*z) + f*z*x^3',
+        parameters: 'a = 0.95 [0, 2]\nb = 0.7 [0, 2]\nc = 0.6 [0, 2]\nd = 3.5 [0, 7]\ne = 0.25 [0, 1]\nf = 0.1 [0, 1]',
+        initialState: [0.1, 0, 0]
+    },
+    halvorsen: {
+        name: 'Halvorsen Attractor',
+        equations: 'dx/dt = -a*x - 4*y - 4*z - y^2\ndy/dt = -a*y - 4*z - 4*x - z^2\ndz/dt = -a*z - 4*x - 4*y - x^2',
+        parameters: 'a = 1.89 [1, 3]',
+        initialState: [-1.48, -1.51, 2.04]
+    }
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function lines(text) {
+    return text.split('\n')
+        .map((content, i) => ({ content: content.replace(/#.*$/, ''), number: i + 1 }))
+        .filter(line => line.content.trim() !== '');
+}
+
+// Equations and parameters come as text, one declaration per line
+function checkText(text, field, errors) {
+    if (typeof text !== 'string') {
+        errors.push(`${field}: expected text with one declaration per line`);
+        return false;
+    }
+    return true;
+}
+
+function checkName(name, kind, errors, lineNumber) {
+    if (!IDENTIFIER.test(name)) {
+        errors.push(`Line ${lineNumber}: '${name}' is not a valid ${kind} name`);
+        return false;
+    }
+    if (Object.hasOwn(functions, name)) {
+        errors.push(`Line ${lineNumber}: '${name}' is a function and cannot be used as a ${kind} name`);
+        return false;
+    }
+    // Names such as toString or __proto__ would clash with plain object keys
+    if (name in Object.prototype) {
+        errors.push(`Line ${lineNumber}: '${name}' is reserved and cannot be used as a ${kind} name`);
+        return false;
+    }
+    if (name === TIME) {
+        errors.push(`Line ${lineNumber}: '${TIME}' is the time and cannot be used as a ${kind} name`);
+        return false;
+    }
+    return true;
+}
+
+// "dx/dt = rhs" or "x' = rhs"
+export function parseEquations(text, errors = []) {
+    const equations = [];
+    if (!checkText(text, 'equations', errors)) return equations;
+
+    lines(text).forEach(({ content, number }) => {
+        const match = /^\s*(?:d\s*([A-Za-z_][A-Za-z0-9_]*)\s*\/\s*dt|([A-Za-z_][A-Za-z0-9_]*)\s*')\s*=(.*)$/.exec(content);
+        if (!match) {
+            errors.push(`Line ${number}: expected an equation of the form "dx/dt = ..."`);
+            return;
+        }
+        const variable = match[1] || match[2];
+        if (!checkName(variable, 'variable', errors, number)) return;
+        if (equations.some(eq => eq.variable === variable)) {
+            errors.push(`Line ${number}: '${variable}' already has an equation`);
+            return;
+        }
+        equations.push({
+            variable,
+            expression: match[3].trim(),
+            offset: content.length - match[3].length + (match[3].length - match[3].trimStart().length),
+            line: number
+        });
+    });
+
+    if (errors.length === 0 && equations.length === 0) {
+        errors.push('Enter at least one equation, e.g. "dx/dt = -x"');
+    }
+    if (equations.length > 3) {
+        errors.push(`At most 3 equations are supported, got ${equations.length}`);
+    }
+
+    return equations;
+}
+
+// "name = default [min, max]", the range being optional
+export function parseParameters(text, errors = []) {
+    const parameters = [];
+    if (!checkText(text, 'parameters', errors)) return parameters;
+    const number = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?)';
+    const pattern = new RegExp(`^\\s*([^=\\s]+)\\s*=\\s*${number}\\s*(?:\\[\\s*${number}\\s*,\\s*${number}\\s*\\])?\\s*$`);
+
+    lines(text).forEach(({ content, number: lineNumber }) => {
+        const match = pattern.exec(content);
+        if (!match) {
+            errors.push(`Line ${lineNumber}: expected a parameter of the form "a = 1.5 [0, 3]"`);
+            return;
+        }
+        const [, name, value, min, max] = match;
+        if (!checkName(name, 'parameter', errors, lineNumber)) return;
+        if (parameters.some(p => p.name === name)) {
+            errors.push(`Line ${lineNumber}: parameter '${name}' is declared twice`);
+            return;
+        }
+
+        const parameter = { name, value: parseFloat(value) };
+        if (min !== undefined) {
+            parameter.min = parseFloat(min);
+            parameter.max = parseFloat(max);
+            if (!(parameter.min < parameter.max)) {
+                errors.push(`Line ${lineNumber}: range of '${name}' must have min < max`);
+                return;
+            }
+            if (parameter.value < parameter.min || parameter.value > parameter.max) {
+                errors.push(`Line ${lineNumber}: default of '${name}' lies outside its range`);
+                return;
+            }
+        }
+        parameters.push(parameter);
+    });
+
+    return parameters;
+}
+
+function parseInitialState(initialState, dimension, errors) {
+    const values = Array.isArray(initialState)
+        ? initialState
+        : String(initialState ?? '').split(/[\s,]+/).filter(Boolean).map(Number);
+
+    if (values.length !== dimension || !values.every(Number.isFinite)) {
+        errors.push(`Initial state must list ${dimension} number${dimension === 1 ? '' : 's'}`);
+        return null;
+    }
+    return values;
+}
+
+// Build a system entry compatible with the built-in `systems` table from a
+// definition { name, equations, parameters, initialState }. Throws a
+// CustomSystemError listing every problem found.
+export function createCustomSystem(definition) {
+    const errors = [];
+    const equations = parseEquations(definition.equations ?? '', errors);
+    const parameters = parseParameters(definition.parameters ?? '', errors);
+    const variables = equations.map(eq => eq.variable);
+
+    variables.forEach(variable => {
+        if (parameters.some(p => p.name === variable)) {
+            errors.push(`'${variable}' is used both as a variable and as a parameter`);
+        }
+    });
+
+    const symbols = [...variables, ...parameters.map(p => p.name), TIME];
+    const compiled = equations.map(eq => {
+        try {
+            return compileExpression(eq.expression, symbols);
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            const column = error.position === null ? '' : `, column ${eq.offset + error.position + 1}`;
+            const reason = error.message.replace(/ \(at column \d+\)$/, '');
+            errors.push(`Line ${eq.line}${column} (d${eq.variable}/dt): ${reason}`);
+            return null;
+        }
+    });
+
+    const initialState = parseInitialState(definition.initialState, equations.length, errors);
+
+    if (errors.length) {
+        throw new CustomSystemError(errors);
+    }
+
+    const params = {};
+    const paramRanges = {};
+    parameters.forEach(p => {
+        params[p.name] = p.value;
+        if (p.min !== undefined) {
+            paramRanges[p.name] = { min: p.min, max: p.max };
+        }
+    });
+
+    // Variables map onto the x, y, z slots in the order they were typed;
+    // unused slots stay at zero.
+    const dimension = equations.length;
+    const env = new Array(symbols.length).fill(0);
+    const equationsFn = (x, y, z, values, t = 0) => {
+        const state = [x, y, z];
+        for (let i = 0; i < dimension; i++) env[i] = state[i];
+        for (let i = 0; i < parameters.length; i++) {
+            env[dimension + i] = values[parameters[i].name];
+        }
+        env[dimension + parameters.length] = t;
+        const rates = [0, 0, 0];
+        for (let i = 0; i < dimension; i++) rates[i] = compiled[i](env);
+        return { dx: rates[0], dy: rates[1], dz: rates[2] };
+    };
+
+    return {
+        name: definition.name || 'Custom System',
+        params,
+        paramRanges,
+        equations: equationsFn,
+        defaultState: initialState,
+        variables,
+        custom: true,
+        definition: {
+            name: definition.name || 'Custom System',
+            equations: definition.equations,
+            parameters: definition.parameters,
+            initialState
+        }
+    };
+}
+
+// Educational panel content for a custom system
+export function customSystemInfo(system) {
+    const parameters = {};
+    Object.entries(system.params).forEach(([name, value]) => {
+        const range = system.paramRanges[name];
+        parameters[name] = {
+            name,
+            description: range
+                ? `Default ${value}, range [${range.min}, ${range.max}]`
+                : `Default ${value}`
+        };
+    });
+
+    return {
+        title: system.name,
+        description: `User-defined system in the variables ${system.variables.join(', ')}.` +
+            ` The time is available as ${TIME}. Built-in constants: ${Object.keys(constants).join(', ')}.`,
+        equations: system.definition.equations.split('\n').filter(line => line.trim() !== ''),
+        parameters
+    };
+}
@@ -0,0 +1,31 @@
+// Display settings saved with configurations: which parts of the view are
+// shown, and how the trail is coloured. The hue follows the speed or the
+// elapsed time, cycling once every 1 / scale units, or the trail is drawn in
+// a single colour.
+
+export const VIEW_TOGGLES = {
+    grid: 'Grid',
+    vectorField: 'Vector field',
+    projections: '2D projections',
+    timeSeries: 'Time series'
+};
+
+export const DEFAULT_VIEW = { grid: true, vectorField: true, projections: true, timeSeries: true };
+
+export const COLOR_MODES = {
+    speed: 'Speed',
+    time: 'Time',
+    solid: 'Solid'
+};
+
+export const DEFAULT_COLOR_MAPPING = { mode: 'speed', scale: 0.1 };
+
+// The cyan of the interface
+const SOLID_HUE = 0.49;
+
+// Hue in [0, 1) of a trail sample
+export function trailHue({ mode, scale }, speed, time) {
+    if (mode === 'solid') return SOLID_HUE;
+    const value = mode === 'time' ? time : speed;
+    return ((value * scale) % 1 + 1) % 1;
+}
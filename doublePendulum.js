@@ -1,114 +1,45 @@
-export class DoublePendulum {
-    constructor(params = {}) {
-        this.params = {
-            m1: params.m1 || 1.0,  // Mass of first bob
-            m2: params.m2 || 1.0,  // Mass of second bob
-            l1: params.l1 || 1.0,  // Length of first rod
-            l2: params.l2 || 1.0,  // Length of second rod
-            g: params.g || 9.81,   // Gravitational acceleration
-            damping: params.damping || 0.0  // Damping coefficient
-        };
+import { PendulumChain } from './pendulum.js';
 
-        // State variables: [theta1, omega1, theta2, omega2]
-        this.state = [Math.PI/2, 0, Math.PI/2, 0];
+// The two-link chain, integrated with the closed-form equations of motion
+// listed in systemInfo.doublePendulum rather than the general mass-matrix
+// solve.
+export class DoublePendulum extends PendulumChain {
+    constructor(params = {}) {
+        super(params, 2);
     }
 
     derivatives(state) {
         const [theta1, omega1, theta2, omega2] = state;
         const { m1, m2, l1, l2, g, damping } = this.params;
 
-        const cos12 = Math.cos(theta1 - theta2);
-        const sin12 = Math.sin(theta1 - theta2);
-        
-        // Denominator terms
-        const d = (m1 + m2) * l1 - m2 * l1 * cos12 * cos12;
-        
-        // Calculate accelerations using the full equations of motion
+        const delta = theta1 - theta2;
+        const cosD = Math.cos(delta);
+        const sinD = Math.sin(delta);
+
+        // Common denominator term 2m₁ + m₂ - m₂cos(2(θ₁-θ₂))
+        const d = 2 * m1 + m2 - m2 * Math.cos(2 * delta);
+
+        // Equations of motion as listed in systemInfo.doublePendulum
         const alpha1 = (
-            m2 * l1 * omega1 * omega1 * sin12 * cos12
-            + m2 * g * Math.sin(theta2) * cos12
-            + m2 * l2 * omega2 * omega2 * sin12
-            - (m1 + m2) * g * Math.sin(theta1)
-            - damping * omega1
-        ) / d;
+            -g * (2 * m1 + m2) * Math.sin(theta1)
+            - m2 * g * Math.sin(theta1 - 2 * theta2)
+            - 2 * sinD * m2 * (omega2 * omega2 * l2 + omega1 * omega1 * l1 * cosD)
+        ) / (l1 * d) - damping * omega1;
 
         const alpha2 = (
-            -m2 * l2 * omega2 * omega2 * sin12 * cos12
-            + (m1 + m2) * (g * Math.sin(theta1) * cos12 - l1 * omega1 * omega1 * sin12 - g * Math.sin(theta2))
-            - damping * omega2
-        ) / (m2 * l2 - m2 * l2 * cos12 * cos12);
+            2 * sinD * (
+                omega1 * omega1 * l1 * (m1 + m2)
+                + g * (m1 + m2) * Math.cos(theta1)
+                + omega2 * omega2 * l2 * m2 * cosD
+            )
+        ) / (l2 * d) - damping * omega2;
 
         return [omega1, alpha1, omega2, alpha2];
     }
 
-    step(dt) {
-        // 4th order Runge-Kutta integration
-        const k1 = this.derivatives(this.state);
-        
-        const k2State = this.state.map((x, i) => x + k1[i] * dt/2);
-        const k2 = this.derivatives(k2State);
-        
-        const k3State = this.state.map((x, i) => x + k2[i] * dt/2);
-        const k3 = this.derivatives(k3State);
-        
-        const k4State = this.state.map((x, i) => x + k3[i] * dt);
-        const k4 = this.derivatives(k4State);
-
-        // Update state
-        this.state = this.state.map((x, i) => 
-            x + (k1[i] + 2*k2[i] + 2*k3[i] + k4[i]) * dt/6
-        );
-
-        // Calculate positions for visualization
-        const { l1, l2 } = this.params;
-        const [theta1, , theta2] = this.state;
-
-        const x1 = l1 * Math.sin(theta1);
-        const y1 = -l1 * Math.cos(theta1);
-        const x2 = x1 + l2 * Math.sin(theta2);
-        const y2 = y1 - l2 * Math.cos(theta2);
-
+    // Cartesian bob positions for visualization
+    getPositions() {
+        const [[x1, y1], [x2, y2]] = this.getBobPositions();
         return { x1, y1, x2, y2 };
     }
-
-    reset() {
-        this.state = [Math.PI/2, 0, Math.PI/2, 0];
-    }
-
-    getState() {
-        return [...this.state];
-    }
-
-    setState(state) {
-        this.state = [...state];
-    }
-
-    getParameters() {
-        return { ...this.params };
-    }
-
-    setParameters(params) {
-        this.params = { ...this.params, ...params };
-    }
-
-    // Get the total energy of the system
-    getEnergy() {
-        const { m1, m2, l1, l2, g } = this.params;
-        const [theta1, omega1, theta2, omega2] = this.state;
-
-        // Kinetic energy
-        const v1Squared = l1 * l1 * omega1 * omega1;
-        const v2Squared = l2 * l2 * omega2 * omega2 + 
-                         l1 * l1 * omega1 * omega1 + 
-                         2 * l1 * l2 * omega1 * omega2 * Math.cos(theta1 - theta2);
-        
-        const T = 0.5 * m1 * v1Squared + 0.5 * m2 * v2Squared;
-
-        // Potential energy
-        const y1 = -l1 * Math.cos(theta1);
-        const y2 = y1 - l2 * Math.cos(theta2);
-        const V = m1 * g * y1 + m2 * g * y2;
-
-        return T + V;
-    }
 }
@@ -0,0 +1,85 @@
+import { resolveSystem, stateLabels } from './systems.js';
+import { Simulation } from './simulation.js';
+import { validateSchedules } from './schedule.js';
+import { ConfigError } from './config.js';
+import { parameterSpecs } from './parameters.js';
+
+// Headless entry point: the systems, integrators and analysis tools without
+// any of the browser front end, for scripts, batch runs and tests in Node:
+//
+//   import { simulate } from './dynamics.js';
+//   const { times, states } = simulate('lorenz', { rho: 28 }, [1, 1, 1], { t1: 50, dt: 0.01 });
+
+export { systems, resolveSystem, stateLabels, stepFunction, vectorField } from './systems.js';
+export { MapStepper, isMap, mapFunction, maps } from './maps.js';
+export { Integrator, integrators } from './integrators.js';
+export { Simulation } from './simulation.js';
+export { createCustomSystem } from './customSystem.js';
+export { scheduleValue, scheduledParameters, validateSchedules } from './schedule.js';
+export { CONFIG_FORMAT, CONFIG_VERSION, ConfigError, migrateConfig, validateConfig } from './config.js';
+export { LyapunovEstimator } from './lyapunov.js';
+export { classifyEigenvalues, findFixedPoints } from './fixedPoints.js';
+export { bifurcationSweep, sampleOrbit } from './bifurcation.js';
+export { PoincareSection, StroboscopicSection, axisPlane, hermite, wrapAngle } from './poincare.js';
+export { InvariantMonitor } from './invariants.js';
+export { Ensemble } from './ensemble.js';
+
+// Run `systemKey` from `state0` at t0 to t1 (for maps, from iteration t0 to
+// t1). Parameters left out keep their defaults, and so does the state when
+// state0 is omitted. Options:
+//   t0, t1             start and end (default 0 and 10)
+//   dt, method         step size and integrator (see integrators.js); with
+//   rtol, atol         the defaults, RK4 with dt = 0.01
+//   custom             definition of a custom system (systemKey is ignored)
+//   schedules          keyframed parameter schedules (see schedule.js);
+//                      invalid ones throw a ConfigError listing the problems
+// Returns { times, states, dimension, labels, diverged }: times holds the n
+// sample times starting with t0, and states the n states row by row, so
+// state i is states.subarray(i * dimension, (i + 1) * dimension). A
+// diverging run stops at the last finite state.
+export function simulate(systemKey, params = {}, state0, {
+    t0 = 0,
+    t1 = 10,
+    dt,
+    method,
+    rtol,
+    atol,
+    custom,
+    schedules = []
+} = {}) {
+    const system = resolveSystem(systemKey, params, custom);
+    Object.keys(params).forEach(key => {
+        if (!Object.hasOwn(system.params, key)) throw new Error(`Unknown parameter "${key}" for ${system.name}`);
+    });
+    const state = state0 ? [...state0] : [...system.defaultState];
+    if (state.length !== system.defaultState.length || !state.every(Number.isFinite)) {
+        throw new Error(`The state of ${system.name} must be ${system.defaultState.length} finite numbers`);
+    }
+    if (!(t1 >= t0)) throw new Error('t1 must not come before t0');
+    const scheduleErrors = validateSchedules(schedules, system.params, parameterSpecs(systemKey, system));
+    if (scheduleErrors.length) throw new ConfigError('Invalid schedules', scheduleErrors);
+
+    const integrator = Object.fromEntries(
+        Object.entries({ method, dt, rtol, atol }).filter(([, value]) => value !== undefined)
+    );
+    const simulation = new Simulation({
+        system,
+        params: { ...system.params, ...params },
+        state,
+        time: t0,
+        integrator,
+        schedules
+    });
+    const run = simulation.run({ duration: t1 - t0, maxSteps: Infinity });
+
+    const dimension = state.length;
+    const count = run.times.length + 1;
+    const times = new Float64Array(count);
+    const states = new Float64Array(count * dimension);
+    times[0] = t0;
+    times.set(run.times, 1);
+    states.set(state, 0);
+    states.set(run.states, dimension);
+
+    return { times, states, dimension, labels: stateLabels(system), diverged: simulation.diverged };
+}
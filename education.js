@@ -1,3 +1,5 @@
+// Parameter entries double as metadata for the controls (see parameters.js):
+// besides name and description they may give unit, min, max, step and log.
 export const systemInfo = {
     lorenz: {
         title: "Lorenz Attractor",
@@ -10,17 +12,26 @@ export const systemInfo = {
             "dz/dt = xy - βz"
         ],
         parameters: {
-            σ: {
-                name: "sigma",
-                description: "Prandtl number - ratio of momentum diffusivity to thermal diffusivity"
+            sigma: {
+                name: "σ",
+                description: "Prandtl number - ratio of momentum diffusivity to thermal diffusivity",
+                min: 0,
+                max: 50,
+                step: 0.1
             },
-            ρ: {
-                name: "rho",
-                description: "Rayleigh number - temperature difference between top and bottom of the system"
+            rho: {
+                name: "ρ",
+                description: "Rayleigh number - temperature difference between top and bottom of the system",
+                min: 0,
+                max: 200,
+                step: 0.1
             },
-            β: {
-                name: "beta",
-                description: "Physical proportion of the convection cell"
+            beta: {
+                name: "β",
+                description: "Physical proportion of the convection cell",
+                min: 0,
+                max: 10,
+                step: 0.01
             }
         },
         stability: `The system exhibits chaotic behavior for ρ > 24.74. 
@@ -40,15 +51,24 @@ export const systemInfo = {
         parameters: {
             a: {
                 name: "a",
-                description: "Controls the rotation speed"
+                description: "Controls the rotation speed",
+                min: -1,
+                max: 1,
+                step: 0.001
             },
             b: {
                 name: "b",
-                description: "Controls the size of the attractor"
+                description: "Controls the size of the attractor",
+                min: 0,
+                max: 5,
+                step: 0.001
             },
             c: {
                 name: "c",
-                description: "Controls the chaotic behavior"
+                description: "Controls the chaotic behavior",
+                min: 0,
+                max: 30,
+                step: 0.01
             }
         },
         stability: `The system shows periodic behavior for c < 4.2 and becomes chaotic for larger values. 
@@ -66,9 +86,12 @@ export const systemInfo = {
             "dz/dt = 0"
         ],
         parameters: {
-            μ: {
-                name: "mu",
-                description: "Nonlinear damping coefficient"
+            mu: {
+                name: "μ",
+                description: "Nonlinear damping coefficient; negative values make the origin stable",
+                min: -5,
+                max: 10,
+                step: 0.01
             }
         },
         stability: `The system has a unique limit cycle for μ > 0. 
@@ -76,6 +99,145 @@ export const systemInfo = {
         bifurcation: `A Hopf bifurcation occurs at μ = 0, 
         where the system transitions from having a stable fixed point to having a stable limit cycle.`
     },
+    forcedDuffing: {
+        title: "Forced Duffing Oscillator",
+        description: `A damped oscillator with a cubic restoring force, driven by a periodic force. 
+        With α < 0 and β > 0 it models a steel beam buckled between two magnets: the potential has two wells, 
+        and a strong enough drive throws the beam chaotically from one to the other. The right-hand side depends 
+        on the time t, so the phase plane alone does not determine the motion.`,
+        equations: [
+            "dx/dt = y",
+            "dy/dt = -δy - αx - βx³ + γcos(ωt)"
+        ],
+        parameters: {
+            delta: {
+                name: "δ",
+                description: "Damping coefficient",
+                min: 0,
+                max: 2,
+                step: 0.01
+            },
+            alpha: {
+                name: "α",
+                description: "Linear stiffness; negative values give the double-well potential",
+                min: -5,
+                max: 5,
+                step: 0.01
+            },
+            beta: {
+                name: "β",
+                description: "Cubic stiffness (hardening for β > 0)",
+                min: -5,
+                max: 5,
+                step: 0.01
+            },
+            gamma: {
+                name: "γ",
+                description: "Amplitude of the driving force",
+                min: 0,
+                max: 5,
+                step: 0.01
+            },
+            omega: {
+                name: "ω",
+                description: "Angular frequency of the drive",
+                min: 0.05,
+                max: 5,
+                step: 0.01
+            }
+        },
+        stability: `Without forcing, the double-well oscillator has two stable foci at x = ±√(-α/β) and a saddle 
+        at the origin. The drive replaces these by periodic orbits, which appear as fixed points of the 
+        stroboscopic Poincaré section sampled once per period 2π/ω.`,
+        bifurcation: `Increasing γ at δ = 0.3, ω = 1.2 leads through period-doubling cascades to chaos; 
+        the stroboscopic section of the default parameters shows the folded strange attractor.`
+    },
+    forcedVanDerPol: {
+        title: "Forced Van der Pol Oscillator",
+        description: `The Van der Pol oscillator driven by a sinusoidal force. Van der Pol and van der Mark 
+        heard irregular noise in a forced neon-bulb circuit in 1927, one of the earliest observations of chaos. 
+        The self-sustained oscillation competes with the drive: it either locks to a rational fraction 
+        of the drive frequency or drifts quasi-periodically.`,
+        equations: [
+            "dx/dt = y",
+            "dy/dt = μ(1 - x²)y - x + A sin(ωt)"
+        ],
+        parameters: {
+            mu: {
+                name: "μ",
+                description: "Nonlinear damping coefficient",
+                min: 0,
+                max: 20,
+                step: 0.01
+            },
+            A: {
+                name: "A",
+                description: "Amplitude of the driving force",
+                min: 0,
+                max: 10,
+                step: 0.01
+            },
+            omega: {
+                name: "ω",
+                description: "Angular frequency of the drive",
+                min: 0.05,
+                max: 5,
+                step: 0.001
+            }
+        },
+        stability: `Frequency locking shows up as a finite set of points in the stroboscopic Poincaré section; 
+        quasi-periodic motion fills a closed curve.`,
+        bifurcation: `In the (ω, A) plane the locked regions form Arnold tongues. At μ = 8.53, A = 1.2, 
+        ω = 2π/10 the motion is chaotic, with the section scattered along a thin band.`
+    },
+    drivenPendulum: {
+        title: "Driven Damped Pendulum",
+        description: `A damped pendulum pushed by a periodic torque. Depending on the drive it swings in step 
+        with the torque, rotates over the top, or tumbles chaotically between the two. The angle θ is wrapped 
+        to [-π, π] in the Poincaré section.`,
+        equations: [
+            "dθ/dt = ω",
+            "dω/dt = -bω - ω₀² sin θ + A cos(ω_D t)"
+        ],
+        parameters: {
+            damping: {
+                name: "b",
+                description: "Damping rate",
+                unit: "1/s",
+                min: 0,
+                max: 5,
+                step: 0.01
+            },
+            omega0: {
+                name: "ω₀",
+                description: "Natural frequency of small oscillations",
+                unit: "rad/s",
+                min: 0.05,
+                max: 5,
+                step: 0.01
+            },
+            A: {
+                name: "A",
+                description: "Amplitude of the driving torque, per unit moment of inertia",
+                unit: "rad/s²",
+                min: 0,
+                max: 5,
+                step: 0.01
+            },
+            omegaD: {
+                name: "ω_D",
+                description: "Angular frequency of the drive",
+                unit: "rad/s",
+                min: 0.05,
+                max: 5,
+                step: 0.001
+            }
+        },
+        stability: `For small A the pendulum settles onto a periodic swing at the drive frequency, a single 
+        point in the stroboscopic section.`,
+        bifurcation: `With b = 0.5 and ω_D = 2/3, raising A through about 1.07 produces a period-doubling cascade; 
+        at A = 1.2 the motion is chaotic and the section traces a fractal attractor.`
+    },
     pointAttractor: {
         title: "Point Attractor",
         description: `A point attractor is the simplest type of attractor, where all trajectories converge to a single point. 
@@ -86,9 +248,13 @@ export const systemInfo = {
             "dz/dt = -λz"
         ],
         parameters: {
-            λ: {
-                name: "lambda",
-                description: "Rate of convergence to the origin"
+            lambda: {
+                name: "λ",
+                description: "Rate of convergence to the origin",
+                unit: "1/s",
+                min: 0,
+                max: 10,
+                step: 0.01
             }
         },
         stability: `The origin is a globally stable fixed point for λ > 0. 
@@ -106,9 +272,13 @@ export const systemInfo = {
             "dz/dt = λz"
         ],
         parameters: {
-            λ: {
-                name: "lambda",
-                description: "Rate of divergence from the origin"
+            lambda: {
+                name: "λ",
+                description: "Rate of divergence from the origin",
+                unit: "1/s",
+                min: 0,
+                max: 10,
+                step: 0.01
             }
         },
         stability: `The origin is an unstable fixed point. 
@@ -127,38 +297,384 @@ export const systemInfo = {
         parameters: {
             m1: {
                 name: "m₁",
-                description: "Mass of first bob"
+                description: "Mass of first bob",
+                unit: "kg",
+                min: 0.01,
+                max: 100,
+                log: true
             },
             m2: {
                 name: "m₂",
-                description: "Mass of second bob"
+                description: "Mass of second bob",
+                unit: "kg",
+                min: 0.01,
+                max: 100,
+                log: true
             },
             l1: {
                 name: "l₁",
-                description: "Length of first rod"
+                description: "Length of first rod",
+                unit: "m",
+                min: 0.01,
+                max: 100,
+                log: true
             },
             l2: {
                 name: "l₂",
-                description: "Length of second rod"
+                description: "Length of second rod",
+                unit: "m",
+                min: 0.01,
+                max: 100,
+                log: true
             },
             g: {
                 name: "g",
-                description: "Gravitational acceleration"
+                description: "Gravitational acceleration",
+                unit: "m/s²",
+                min: 0,
+                max: 50,
+                step: 0.01
             },
             damping: {
                 name: "damping",
-                description: "Energy dissipation coefficient"
+                description: "Energy dissipation coefficient",
+                unit: "1/s",
+                min: 0,
+                max: 5,
+                step: 0.001
             }
         },
         stability: `The system has two equilibrium points: the downward position (0,0) which is stable, 
         and the upward position (π,π) which is unstable.`,
         bifurcation: `The system exhibits sensitive dependence on initial conditions, 
         a hallmark of chaos. Small changes in initial conditions lead to dramatically different trajectories.`
+    },
+    simplePendulum: {
+        title: "Simple Pendulum",
+        description: `A single bob on a massless rod swinging in a plane. Its motion is regular for every 
+        initial condition: without damping each orbit is periodic, and the period grows with the amplitude 
+        until it diverges on the separatrix through the upright position.`,
+        equations: [
+            "dθ/dt = ω",
+            "dω/dt = -(g/l)sinθ - damping·ω"
+        ],
+        parameters: {
+            m1: {
+                name: "m₁",
+                description: "Mass of the bob (does not affect the motion, only the energy)",
+                unit: "kg",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            l1: {
+                name: "l₁",
+                description: "Length of the rod",
+                unit: "m",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            g: {
+                name: "g",
+                description: "Gravitational acceleration",
+                unit: "m/s²",
+                min: 0,
+                max: 50,
+                step: 0.01
+            },
+            damping: {
+                name: "damping",
+                description: "Energy dissipation coefficient",
+                unit: "1/s",
+                min: 0,
+                max: 5,
+                step: 0.001
+            }
+        },
+        stability: `The hanging position (0,0) is a center without damping and a stable focus with it; 
+        the upright position (π,0) is a saddle whose stable and unstable manifolds form the separatrix.`,
+        bifurcation: `With one degree of freedom the phase plane cannot contain chaos. 
+        Varying g/l only rescales time (small oscillations have period 2π√(l/g)).`
+    },
+    triplePendulum: {
+        title: "Triple Pendulum",
+        description: `Three bobs chained on massless rods. With three degrees of freedom the motion is chaotic 
+        for almost all large-amplitude releases, and energy moves between the links in irregular bursts.`,
+        equations: [
+            "Σⱼ μᵢⱼlᵢlⱼcos(θᵢ-θⱼ)θ̈ⱼ = -Σⱼ μᵢⱼlᵢlⱼsin(θᵢ-θⱼ)ωⱼ² - μᵢᵢglᵢsinθᵢ",
+            "μᵢⱼ = mass carried below link max(i, j)",
+            "damping adds -damping·ωᵢ to each θ̈ᵢ"
+        ],
+        parameters: {
+            m: {
+                name: "m₁, m₂, m₃",
+                description: "Masses of the bobs, from the pivot outward",
+                unit: "kg",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            l: {
+                name: "l₁, l₂, l₃",
+                description: "Lengths of the rods",
+                unit: "m",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            g: {
+                name: "g",
+                description: "Gravitational acceleration",
+                unit: "m/s²",
+                min: 0,
+                max: 50,
+                step: 0.01
+            },
+            damping: {
+                name: "damping",
+                description: "Energy dissipation coefficient",
+                unit: "1/s",
+                min: 0,
+                max: 5,
+                step: 0.001
+            }
+        },
+        stability: `There are 2³ = 8 equilibria, each link pointing straight down or straight up. 
+        Only the fully hanging one is stable (a center without damping); every other one is a saddle.`,
+        bifurcation: `Small oscillations decompose into three normal modes; as the energy grows they couple 
+        and the motion becomes chaotic, with positive Lyapunov exponents.`
+    },
+    pendulumChain: {
+        title: "N-Link Pendulum",
+        description: `A planar chain of N point masses on massless rods, derived from the Lagrangian 
+        L = T - V. The equations are solved for the angular accelerations from the mass matrix at every step, 
+        so the same model covers the simple, double and triple pendulums and longer chains (set the number of 
+        links above the sliders).`,
+        equations: [
+            "T = ½Σₖ mₖ|vₖ|²,  V = -Σₖ mₖg Σᵢ≤ₖ lᵢcosθᵢ",
+            "Σⱼ μᵢⱼlᵢlⱼcos(θᵢ-θⱼ)θ̈ⱼ = -Σⱼ μᵢⱼlᵢlⱼsin(θᵢ-θⱼ)ωⱼ² - μᵢᵢglᵢsinθᵢ",
+            "μᵢⱼ = Σₖ≥max(i,j) mₖ"
+        ],
+        parameters: {
+            m: {
+                name: "mᵢ",
+                description: "Mass of bob i, from the pivot outward",
+                unit: "kg",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            l: {
+                name: "lᵢ",
+                description: "Length of rod i",
+                unit: "m",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            g: {
+                name: "g",
+                description: "Gravitational acceleration",
+                unit: "m/s²",
+                min: 0,
+                max: 50,
+                step: 0.01
+            },
+            damping: {
+                name: "damping",
+                description: "Energy dissipation coefficient, applied to every joint",
+                unit: "1/s",
+                min: 0,
+                max: 5,
+                step: 0.001
+            }
+        },
+        stability: `The chain has 2ᴺ equilibria, one for each choice of links pointing down or up. 
+        Only the fully hanging chain is stable; without damping the total energy is conserved, 
+        which the energy monitor uses to measure integrator error.`,
+        bifurcation: `As N grows the chain approaches a hanging string, and its normal modes approach 
+        those of a continuous chain. Large-amplitude motion is chaotic for N ≥ 2.`
+    },
+    sphericalPendulum: {
+        title: "Spherical Pendulum",
+        description: `A single bob on a rod free to swing in any direction, so it moves on a sphere. 
+        Gravity conserves the angular momentum about the vertical as well as the energy, which makes 
+        the motion integrable: the bob traces rosette orbits between two heights.`,
+        equations: [
+            "θ̈ = sinθcosθ φ̇² - (g/l)sinθ - damping·θ̇",
+            "φ̈ = -2θ̇φ̇cosθ/sinθ - damping·φ̇",
+            "L_z = ml²sin²θ φ̇ is conserved when damping = 0"
+        ],
+        parameters: {
+            m: {
+                name: "m",
+                description: "Mass of the bob",
+                unit: "kg",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            l: {
+                name: "l",
+                description: "Length of the rod",
+                unit: "m",
+                min: 0.01,
+                max: 100,
+                log: true
+            },
+            g: {
+                name: "g",
+                description: "Gravitational acceleration",
+                unit: "m/s²",
+                min: 0,
+                max: 50,
+                step: 0.01
+            },
+            damping: {
+                name: "damping",
+                description: "Energy dissipation coefficient",
+                unit: "1/s",
+                min: 0,
+                max: 5,
+                step: 0.001
+            }
+        },
+        stability: `The hanging position is stable and the upright one unstable. The azimuth φ is undefined 
+        at both poles (θ = 0, π), where the equations are singular, so every φ there is an equilibrium 
+        in these coordinates.`,
+        bifurcation: `For each angular momentum there is a circular (conical) orbit at one height; nearby 
+        orbits precess around it. With φ̇ = 0 the motion reduces to the simple pendulum.`
+    },
+    logistic: {
+        title: "Logistic Map",
+        description: `A one-line model of a population with limited resources, popularised by Robert May in 1976. 
+        Each iterate is the next generation's population as a fraction of the maximum. Despite its simplicity 
+        it shows the whole period-doubling route to chaos.`,
+        equations: [
+            "xₙ₊₁ = r xₙ (1 - xₙ)"
+        ],
+        parameters: {
+            r: {
+                name: "r",
+                description: "Growth rate; orbits stay in [0, 1] for 0 ≤ r ≤ 4",
+                min: 0,
+                max: 4,
+                step: 0.001
+            }
+        },
+        stability: `The fixed point x* = 1 - 1/r attracts for 1 < r < 3, where |F'(x*)| = |2 - r| < 1. 
+        Beyond that the orbit settles onto cycles of period 2, 4, 8, ...`,
+        bifurcation: `The period doublings accumulate at r ≈ 3.5699, with successive gaps shrinking by 
+        Feigenbaum's constant δ ≈ 4.669. Past it chaos is interrupted by periodic windows, the widest 
+        a period-3 window opening at r = 1 + √8 ≈ 3.828. The orbit diagram over r shows all of this.`
+    },
+    tent: {
+        title: "Tent Map",
+        description: `A piecewise-linear map that stretches [0, 1] and folds it over, the simplest picture of 
+        how chaos mixes phase space. Its slope is ±μ everywhere, so nearby orbits separate at the same 
+        rate wherever they are.`,
+        equations: [
+            "xₙ₊₁ = μ min(xₙ, 1 - xₙ)"
+        ],
+        parameters: {
+            mu: {
+                name: "μ",
+                description: "Slope of the two branches; orbits stay in [0, 1] for 0 ≤ μ ≤ 2",
+                min: 0,
+                max: 2,
+                step: 0.001
+            }
+        },
+        stability: `For μ < 1 every orbit decays to 0. For μ > 1 both fixed points are unstable and the 
+        Lyapunov exponent is ln μ > 0.`,
+        bifurcation: `At μ = 1 the map turns chaotic at once, without a period-doubling cascade. At μ = 2 
+        it is conjugate to the logistic map at r = 4. In floating point, iterates at μ = 2 collapse to 0 
+        after about 50 steps, because each doubling shifts a bit out of the mantissa.`
+    },
+    henon: {
+        title: "Hénon Map",
+        description: `Michel Hénon's 1976 simplification of a Poincaré section of the Lorenz system: a 
+        two-dimensional map that folds and contracts the plane. Its iterates pile up on a strange 
+        attractor whose cross-section looks like a Cantor set at every magnification.`,
+        equations: [
+            "xₙ₊₁ = 1 - a xₙ² + yₙ",
+            "yₙ₊₁ = b xₙ"
+        ],
+        parameters: {
+            a: {
+                name: "a",
+                description: "Strength of the fold",
+                min: 0,
+                max: 1.5,
+                step: 0.001
+            },
+            b: {
+                name: "b",
+                description: "Area contraction per iteration (the Jacobian determinant is -b)",
+                min: -1,
+                max: 1,
+                step: 0.001
+            }
+        },
+        stability: `Areas shrink by the factor |b| each iteration, so for |b| < 1 orbits end up on an 
+        attractor of zero area. At the classic values a = 1.4, b = 0.3 both fixed points are saddles.`,
+        bifurcation: `With b = 0.3, increasing a takes the attractor through a period-doubling cascade 
+        into chaos, much like the logistic map, which is the b = 0 limit after a change of variables.`
+    },
+    ikeda: {
+        title: "Ikeda Map",
+        description: `A model of light circulating in a nonlinear optical ring cavity, proposed by Kensuke Ikeda. 
+        Each iteration is one round trip: the field is attenuated by u and rotated by a phase that 
+        depends on its intensity.`,
+        equations: [
+            "tₙ = 0.4 - 6 / (1 + xₙ² + yₙ²)",
+            "xₙ₊₁ = 1 + u (xₙ cos tₙ - yₙ sin tₙ)",
+            "yₙ₊₁ = u (xₙ sin tₙ + yₙ cos tₙ)"
+        ],
+        parameters: {
+            u: {
+                name: "u",
+                description: "Fraction of the field surviving a round trip",
+                min: 0,
+                max: 1,
+                step: 0.001
+            }
+        },
+        stability: `Areas shrink by u² each iteration. For small u there is a single attracting fixed point.`,
+        bifurcation: `As u grows the fixed point gives way to periodic orbits, then to chaos. For u above 
+        about 0.6 a spiralling strange attractor appears; u = 0.9 shows it well. Near u = 0.92 it 
+        shares the plane with an attracting fixed point far out at (2.6, 4.5), which catches orbits 
+        started close to the origin.`
+    },
+    standardMap: {
+        title: "Chirikov Standard Map",
+        description: `The kicked rotor: a freely rotating arm given a kick of strength K once per period. 
+        It is area-preserving, the model system for Hamiltonian chaos. Both the angle θ and the 
+        momentum p are taken modulo 2π, so phase space is a torus.`,
+        equations: [
+            "pₙ₊₁ = pₙ + K sin θₙ",
+            "θₙ₊₁ = θₙ + pₙ₊₁"
+        ],
+        parameters: {
+            K: {
+                name: "K",
+                description: "Kick strength",
+                min: 0,
+                max: 10,
+                step: 0.001
+            }
+        },
+        stability: `Being area-preserving, the map has no attractors. Regular orbits trace closed curves 
+        (KAM tori) and islands around stable periodic orbits, while chaotic orbits fill bands between 
+        them. Start from several initial states to see both.`,
+        bifurcation: `The last KAM torus spanning the full range of θ breaks at K ≈ 0.9716, Greene's 
+        critical value. Beyond it momentum diffuses without bound in the unwrapped map, and by K ≈ 5 
+        almost every orbit is chaotic.`
     }
 };
 
-export function createEducationalPanel(systemKey) {
-    const info = systemInfo[systemKey];
+export function createEducationalPanel(systemKey, info = systemInfo[systemKey]) {
     if (!info) return null;
 
     const panel = document.createElement('div');
@@ -197,11 +713,15 @@ export function createEducationalPanel(systemKey) {
     Object.entries(info.parameters).forEach(([key, param]) => {
         const paramDiv = document.createElement('div');
         paramDiv.className = 'param-item';
-        paramDiv.innerHTML = `<strong>${param.name}</strong>: ${param.description}`;
+        const unit = param.unit ? ` [${param.unit}]` : '';
+        paramDiv.innerHTML = `<strong>${param.name}</strong>${unit}: ${param.description}`;
         paramsList.appendChild(paramDiv);
     });
     panel.appendChild(paramsList);
 
+    // User-defined systems have no stability or bifurcation notes
+    if (!info.stability) return panel;
+
     // Stability Analysis
     const stabilityTitle = document.createElement('h3');
     stabilityTitle.textContent = 'Stability Analysis';
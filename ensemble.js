@@ -0,0 +1,165 @@
+import { Integrator } from './integrators.js';
+
+// A cloud of trajectories started close together, evolved side by side to
+// show sensitive dependence on initial conditions. Members whose state
+// stops being finite are frozen and left out of the spread statistics.
+
+// Spread history is thinned out beyond this many entries
+const MAX_HISTORY = 2000;
+
+// Pairwise distances are averaged over at most this many members
+const PAIR_SAMPLE = 256;
+
+// Small deterministic generator so that a given seed reproduces the cloud
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// `count` offsets uniformly distributed in a ball of the given radius
+export function ballOffsets(count, radius, dimension, random = Math.random) {
+    const gaussian = () => {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+
+    return Array.from({ length: count }, () => {
+        const direction = Array.from({ length: dimension }, gaussian);
+        const length = Math.hypot(...direction) || 1;
+        const r = radius * Math.pow(random(), 1 / dimension);
+        return direction.map(v => v * r / length);
+    });
+}
+
+// Up to `count` offsets on a regular grid spanning [-radius, radius]
+export function gridOffsets(count, radius, dimension) {
+    const perAxis = Math.max(2, Math.ceil(Math.pow(count, 1 / dimension)));
+    const values = Array.from({ length: perAxis }, (_, k) => -radius + 2 * radius * k / (perAxis - 1));
+
+    let offsets = [[]];
+    for (let d = 0; d < dimension; d++) {
+        offsets = offsets.flatMap(offset => values.map(v => [...offset, v]));
+    }
+    return offsets.slice(0, count);
+}
+
+export class Ensemble {
+    // `variables` lists the state indices that are perturbed (all by default)
+    constructor({
+        f,
+        center,
+        time = 0,
+        count = 500,
+        radius = 1e-3,
+        shape = 'ball',
+        variables,
+        integrator = {},
+        seed = 1
+    }) {
+        this.f = f;
+        this.time = time;
+        this.startTime = time;
+        this.radius = radius;
+        this.variables = variables || center.map((_, i) => i);
+
+        const dimension = this.variables.length;
+        const offsets = shape === 'grid'
+            ? gridOffsets(count, radius, dimension)
+            : ballOffsets(count, radius, dimension, mulberry32(seed));
+
+        this.members = offsets.map(offset => {
+            const state = [...center];
+            this.variables.forEach((index, k) => { state[index] += offset[k]; });
+            return {
+                offset,
+                state,
+                alive: true,
+                // Each member carries its own adaptive step size
+                integrator: new Integrator(integrator)
+            };
+        });
+
+        this.history = [];
+        this.record();
+    }
+
+    get size() {
+        return this.members.length;
+    }
+
+    step(dt) {
+        this.advance(dt);
+        this.record();
+    }
+
+    // Step every member without recording the spread, which is costly for
+    // large clouds; `f` replaces the derivative when parameters change
+    advance(dt, f = this.f) {
+        this.f = f;
+        this.members.forEach(member => {
+            if (!member.alive) return;
+            const next = member.integrator.advance(f, this.time, member.state, dt);
+            if (next.every(Number.isFinite)) {
+                member.state = next;
+            } else {
+                member.alive = false;
+            }
+        });
+        this.time += dt;
+    }
+
+    // Member states row by row, and their offsets likewise
+    flatStates() {
+        return Float64Array.from(this.members.flatMap(member => member.state));
+    }
+
+    flatOffsets() {
+        return Float64Array.from(this.members.flatMap(member => member.offset));
+    }
+
+    // Mean pairwise distance and bounding-box volume of the live members
+    spread() {
+        const alive = this.members.filter(member => member.alive).map(member => member.state);
+        if (alive.length < 2) return { distance: 0, volume: 0, alive: alive.length };
+
+        const stride = Math.max(1, Math.floor(alive.length / PAIR_SAMPLE));
+        const sample = alive.filter((_, i) => i % stride === 0);
+        let total = 0;
+        let pairs = 0;
+        for (let i = 0; i < sample.length; i++) {
+            for (let j = i + 1; j < sample.length; j++) {
+                let sum = 0;
+                for (let k = 0; k < sample[i].length; k++) sum += (sample[i][k] - sample[j][k]) ** 2;
+                total += Math.sqrt(sum);
+                pairs++;
+            }
+        }
+
+        let volume = 1;
+        for (let k = 0; k < alive[0].length; k++) {
+            let min = Infinity;
+            let max = -Infinity;
+            alive.forEach(state => {
+                if (state[k] < min) min = state[k];
+                if (state[k] > max) max = state[k];
+            });
+            volume *= max - min;
+        }
+
+        return { distance: total / pairs, volume, alive: alive.length };
+    }
+
+    record() {
+        this.history.push({ time: this.time, ...this.spread() });
+        if (this.history.length > MAX_HISTORY) {
+            this.history = this.history.filter((_, i) => i % 2 === 0);
+        }
+    }
+}
@@ -0,0 +1,305 @@
+import * as THREE from 'three';
+import { createField, numberInput, selectInput } from './ui.js';
+
+// Ensemble mode: a cloud of trajectories seeded around the current state and
+// stepped alongside the main simulation in the simulation worker (see
+// ensemble.js). Members are drawn as points coloured by their initial offset
+// (as ghost pendulums for the double pendulum) and their spread is plotted on
+// a log scale, where exponential divergence shows up as a straight line.
+//
+// `getContext()` returns { variables, pendulum }, where `variables` are the
+// indices to perturb and `pendulum` is a pendulum model (see pendulum.js)
+// when the members should be drawn as pendulums. `onSeed(options)` asks the
+// worker for a new cloud, or to drop it with null; update() receives the
+// batches' results.
+
+// Spread history is thinned out beyond this many entries
+const MAX_HISTORY = 2000;
+
+export class EnsemblePanel {
+    constructor(parent, scene, { getContext, onSeed }) {
+        this.getContext = getContext;
+        this.onSeed = onSeed;
+        this.ensemble = null;
+        this.running = false;
+
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Ensemble';
+        this.panel.appendChild(title);
+
+        this.toggleBtn = document.createElement('button');
+        this.toggleBtn.className = 'button';
+        this.toggleBtn.textContent = 'Start';
+        this.toggleBtn.onclick = () => (this.running ? this.stop() : this.start());
+        this.panel.appendChild(this.toggleBtn);
+
+        const reseedBtn = document.createElement('button');
+        reseedBtn.className = 'button';
+        reseedBtn.textContent = 'Reseed';
+        reseedBtn.onclick = () => this.reset();
+        this.panel.appendChild(reseedBtn);
+
+        const form = document.createElement('div');
+        form.className = 'tool-form';
+        this.countInput = createField('Members', numberInput(500), form);
+        this.countInput.min = '2';
+        this.countInput.max = '5000';
+        this.radiusInput = createField('Radius', numberInput(0.001), form);
+        this.shapeSelect = createField('Seeding', selectInput([
+            ['ball', 'Random ball'],
+            ['grid', 'Grid']
+        ]), form);
+        this.panel.appendChild(form);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'analysis-readout';
+        this.panel.appendChild(this.readout);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'analysis-plot';
+        this.canvas.width = 260;
+        this.canvas.height = 140;
+        this.panel.appendChild(this.canvas);
+
+        parent.appendChild(this.panel);
+        this.render();
+    }
+
+    start() {
+        this.running = true;
+        this.toggleBtn.textContent = 'Stop';
+        this.reset();
+    }
+
+    stop() {
+        this.running = false;
+        this.toggleBtn.textContent = 'Start';
+        this.ensemble = null;
+        this.onSeed(null);
+        this.clearScene();
+        this.render();
+    }
+
+    readOptions() {
+        const count = parseInt(this.countInput.value, 10);
+        const radius = parseFloat(this.radiusInput.value);
+        const errors = [];
+        if (!(count >= 2 && count <= 5000)) errors.push('members must be between 2 and 5000');
+        if (!(radius > 0)) errors.push('radius must be positive');
+        return { count, radius, shape: this.shapeSelect.value, errors };
+    }
+
+    // Reseed around the simulator's current state
+    reset() {
+        if (!this.running) return;
+
+        const { count, radius, shape, errors } = this.readOptions();
+        this.ensemble = null;
+        this.clearScene();
+        if (errors.length) {
+            this.onSeed(null);
+            this.render(`Cannot start: ${errors.join(', ')}`);
+            return;
+        }
+
+        const { variables, pendulum } = this.getContext();
+        this.pendulum = pendulum;
+        this.onSeed({ count, radius, shape, variables });
+        this.render('Seeding around the current state; the cloud appears once the simulation runs.');
+    }
+
+    // Called once per rendered batch of steps with the worker's result:
+    // { time, states, spread }, plus { startTime, radius, offsets,
+    // offsetDimension } for the first batch of a new cloud
+    update(result) {
+        if (!this.running || !result) return;
+        if (result.offsets) {
+            const { offsets, offsetDimension } = result;
+            const size = offsets.length / offsetDimension;
+            this.ensemble = {
+                size,
+                radius: result.radius,
+                startTime: result.startTime,
+                offsets: Array.from({ length: size }, (_, i) => Array.from(offsets.subarray(i * offsetDimension, (i + 1) * offsetDimension))),
+                history: []
+            };
+        }
+        const ensemble = this.ensemble;
+        if (!ensemble) return;
+        ensemble.time = result.time;
+        ensemble.states = result.states;
+        ensemble.history.push(result.spread);
+        if (ensemble.history.length > MAX_HISTORY) {
+            ensemble.history = ensemble.history.filter((_, i) => i % 2 === 0);
+        }
+        if (result.offsets) {
+            this.buildScene();
+        } else {
+            this.updateScene();
+        }
+        this.render();
+    }
+
+    // State of member i
+    memberState(i) {
+        const { states, size } = this.ensemble;
+        const dimension = states.length / size;
+        return Array.from(states.subarray(i * dimension, (i + 1) * dimension));
+    }
+
+    clearScene() {
+        [...this.group.children].forEach(child => {
+            this.group.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+    }
+
+    // Colour from the initial offset: each perturbed variable drives one channel
+    offsetColor(offset) {
+        const channel = k => (k < offset.length ? 0.5 + 0.5 * offset[k] / this.ensemble.radius : 0.9);
+        return [channel(0), channel(1), channel(2)];
+    }
+
+    buildScene() {
+        this.clearScene();
+        const { size, offsets } = this.ensemble;
+        const colors = offsets.map(offset => this.offsetColor(offset));
+
+        // Points at each member's state (the outer bob for pendulums)
+        const pointGeometry = new THREE.BufferGeometry();
+        pointGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(size * 3), 3));
+        pointGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(colors.flat()), 3));
+        this.points = new THREE.Points(pointGeometry, new THREE.PointsMaterial({
+            size: this.pendulum ? 0.15 : 0.4,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.9
+        }));
+        this.group.add(this.points);
+
+        // Ghost pendulums: one rod segment per link and member
+        this.rods = null;
+        if (this.pendulum) {
+            const vertices = 2 * this.pendulum.getBobPositions().length;
+            const rodGeometry = new THREE.BufferGeometry();
+            rodGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(size * vertices * 3), 3));
+            rodGeometry.setAttribute('color', new THREE.BufferAttribute(
+                new Float32Array(colors.flatMap(color => new Array(vertices).fill(color).flat())), 3
+            ));
+            this.rods = new THREE.LineSegments(rodGeometry, new THREE.LineBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: Math.min(0.6, Math.max(0.08, 20 / size))
+            }));
+            this.group.add(this.rods);
+        }
+
+        this.updateScene();
+    }
+
+    updateScene() {
+        const points = this.points.geometry.attributes.position.array;
+
+        for (let i = 0; i < this.ensemble.size; i++) {
+            const state = this.memberState(i);
+            if (this.pendulum) {
+                this.pendulum.setState(state);
+                const bobs = this.pendulum.getBobPositions();
+                points.set(bobs[bobs.length - 1], i * 3);
+                const segments = bobs.flatMap((bob, k) => [...(k === 0 ? [0, 0, 0] : bobs[k - 1]), ...bob]);
+                this.rods.geometry.attributes.position.array.set(segments, i * segments.length);
+            } else {
+                points.set([state[0], state[1], state[2] || 0], i * 3);
+            }
+        }
+
+        this.points.geometry.attributes.position.needsUpdate = true;
+        this.points.geometry.computeBoundingSphere();
+        if (this.rods) {
+            this.rods.geometry.attributes.position.needsUpdate = true;
+            this.rods.geometry.computeBoundingSphere();
+        }
+    }
+
+    render(message) {
+        this.renderReadout(message);
+        this.renderPlot();
+    }
+
+    renderReadout(message) {
+        this.readout.innerHTML = '';
+        const addLine = text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            this.readout.appendChild(line);
+        };
+
+        if (message) {
+            addLine(message);
+            return;
+        }
+        if (!this.ensemble) {
+            addLine('Press Start to seed a cloud of trajectories around the current state.');
+            return;
+        }
+
+        const latest = this.ensemble.history[this.ensemble.history.length - 1];
+        addLine(`members: ${latest.alive} / ${this.ensemble.size}`);
+        addLine(`mean distance: ${latest.distance.toExponential(3)}`);
+        addLine(`box volume: ${latest.volume.toExponential(3)}`);
+        addLine(`t = ${(this.ensemble.time - this.ensemble.startTime).toFixed(1)}`);
+    }
+
+    // log10 of the mean pairwise distance over time
+    renderPlot() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const history = this.ensemble ? this.ensemble.history.filter(h => h.distance > 0) : [];
+        if (history.length < 2) return;
+
+        const values = history.map(h => Math.log10(h.distance));
+        const yMin = Math.floor(Math.min(...values));
+        const yMax = Math.ceil(Math.max(...values));
+        const tMin = history[0].time;
+        const tMax = history[history.length - 1].time;
+        const padding = 10;
+        const toX = t => padding + (t - tMin) / (tMax - tMin || 1) * (width - 2 * padding);
+        const toY = v => height - padding - (v - yMin) / (yMax - yMin || 1) * (height - 2 * padding);
+
+        // One grid line per decade
+        ctx.strokeStyle = 'rgba(0, 255, 242, 0.15)';
+        ctx.fillStyle = 'rgba(0, 255, 242, 0.6)';
+        ctx.font = '9px monospace';
+        ctx.lineWidth = 1;
+        for (let decade = yMin; decade <= yMax; decade++) {
+            ctx.beginPath();
+            ctx.moveTo(0, toY(decade));
+            ctx.lineTo(width, toY(decade));
+            ctx.stroke();
+            ctx.fillText(`1e${decade}`, 2, toY(decade) - 2);
+        }
+
+        ctx.strokeStyle = '#00fff2';
+        ctx.beginPath();
+        history.forEach((h, i) => {
+            const x = toX(h.time);
+            const y = toY(values[i]);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+}
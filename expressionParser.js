@@ -0,0 +1,305 @@
+// Parser and compiler for arithmetic expressions typed by users, e.g.
+// "sigma*(y - x)". Expressions are compiled into nested closures, so no
+// source text is ever passed to eval or the Function constructor.
+
+export class ExpressionError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} (at column ${position + 1})`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+export const functions = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    exp: Math.exp,
+    log: Math.log,
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    sign: Math.sign,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow,
+    mod: (a, b) => ((a % b) + b) % b
+};
+
+// Number of arguments each function accepts: [min, max]
+const arity = {
+    atan2: [2, 2],
+    pow: [2, 2],
+    mod: [2, 2],
+    min: [1, Infinity],
+    max: [1, Infinity]
+};
+
+export const constants = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+
+        const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], position: i });
+            i += identifier[0].length;
+            continue;
+        }
+
+        if (source.startsWith('**', i)) {
+            tokens.push({ type: 'operator', value: '^', position: i });
+            i += 2;
+            continue;
+        }
+
+        if ('+-*/^(),'.includes(char)) {
+            tokens.push({ type: 'operator', value: char, position: i });
+            i++;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character '${char}'`, i);
+    }
+
+    tokens.push({ type: 'end', position: source.length });
+    return tokens;
+}
+
+// Recursive-descent parser producing a small AST:
+// { type: 'number' | 'symbol' | 'unary' | 'binary' | 'call', ... }
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(value) {
+        const token = this.peek();
+        return token.type === 'operator' && token.value === value;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.type !== 'operator' || token.value !== value) {
+            throw new ExpressionError(`Expected '${value}'`, token.position);
+        }
+        return token;
+    }
+
+    parse() {
+        if (this.peek().type === 'end') {
+            throw new ExpressionError('Expression is empty');
+        }
+        const node = this.parseSum();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw new ExpressionError(`Unexpected '${token.value}'`, token.position);
+        }
+        return node;
+    }
+
+    parseSum() {
+        let node = this.parseProduct();
+        while (this.isOperator('+') || this.isOperator('-')) {
+            const op = this.next().value;
+            node = { type: 'binary', op, left: node, right: this.parseProduct() };
+        }
+        return node;
+    }
+
+    parseProduct() {
+        let node = this.parseUnary();
+        while (this.isOperator('*') || this.isOperator('/')) {
+            const op = this.next().value;
+            node = { type: 'binary', op, left: node, right: this.parseUnary() };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        if (this.isOperator('-') || this.isOperator('+')) {
+            const op = this.next().value;
+            const operand = this.parseUnary();
+            return op === '-' ? { type: 'unary', op, operand } : operand;
+        }
+        return this.parsePower();
+    }
+
+    // Right associative, and binds tighter than unary minus on its left: -x^2 = -(x^2)
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.isOperator('^')) {
+            this.next();
+            return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+        }
+        return base;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (this.isOperator('(')) {
+                this.next();
+                const args = [];
+                if (!this.isOperator(')')) {
+                    args.push(this.parseSum());
+                    while (this.isOperator(',')) {
+                        this.next();
+                        args.push(this.parseSum());
+                    }
+                }
+                this.expect(')');
+                return { type: 'call', name: token.value, args, position: token.position };
+            }
+            return { type: 'symbol', name: token.value, position: token.position };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const node = this.parseSum();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'end') {
+            throw new ExpressionError('Unexpected end of expression', token.position);
+        }
+        throw new ExpressionError(`Unexpected '${token.value}'`, token.position);
+    }
+}
+
+export function parseExpression(source) {
+    return new Parser(source).parse();
+}
+
+// Names of every symbol (not function) referenced by an AST
+export function collectSymbols(node, symbols = new Set()) {
+    switch (node.type) {
+        case 'symbol':
+            symbols.add(node.name);
+            break;
+        case 'unary':
+            collectSymbols(node.operand, symbols);
+            break;
+        case 'binary':
+            collectSymbols(node.left, symbols);
+            collectSymbols(node.right, symbols);
+            break;
+        case 'call':
+            node.args.forEach(arg => collectSymbols(arg, symbols));
+            break;
+    }
+    return symbols;
+}
+
+const binaryOps = {
+    '+': (a, b) => env => a(env) + b(env),
+    '-': (a, b) => env => a(env) - b(env),
+    '*': (a, b) => env => a(env) * b(env),
+    '/': (a, b) => env => a(env) / b(env),
+    '^': (a, b) => env => Math.pow(a(env), b(env))
+};
+
+function compileNode(node, slots) {
+    switch (node.type) {
+        case 'number': {
+            const value = node.value;
+            return () => value;
+        }
+        case 'symbol': {
+            if (Object.hasOwn(slots, node.name)) {
+                const slot = slots[node.name];
+                return env => env[slot];
+            }
+            if (Object.hasOwn(constants, node.name)) {
+                const value = constants[node.name];
+                return () => value;
+            }
+            if (Object.hasOwn(functions, node.name)) {
+                throw new ExpressionError(`Function '${node.name}' needs arguments, e.g. ${node.name}(x)`, node.position);
+            }
+            throw new ExpressionError(`Unknown symbol '${node.name}'`, node.position);
+        }
+        case 'unary': {
+            const operand = compileNode(node.operand, slots);
+            return env => -operand(env);
+        }
+        case 'binary':
+            return binaryOps[node.op](compileNode(node.left, slots), compileNode(node.right, slots));
+        case 'call': {
+            if (!Object.hasOwn(functions, node.name)) {
+                throw new ExpressionError(`Unknown function '${node.name}'`, node.position);
+            }
+            const [min, max] = arity[node.name] || [1, 1];
+            if (node.args.length < min || node.args.length > max) {
+                const expected = min === max ? `${min}` : `at least ${min}`;
+                throw new ExpressionError(
+                    `Function '${node.name}' expects ${expected} argument${min === 1 ? '' : 's'}, got ${node.args.length}`,
+                    node.position
+                );
+            }
+            const fn = functions[node.name];
+            const args = node.args.map(arg => compileNode(arg, slots));
+            if (args.length === 1) {
+                const [a] = args;
+                return env => fn(a(env));
+            }
+            if (args.length === 2) {
+                const [a, b] = args;
+                return env => fn(a(env), b(env));
+            }
+            return env => fn(...args.map(arg => arg(env)));
+        }
+    }
+    throw new ExpressionError(`Unsupported expression node '${node.type}'`);
+}
+
+// Compile an expression against a list of symbol names. The returned
+// function takes an array holding the symbol values in the same order.
+// Symbols shadow the built-in constants (so a parameter may be called "e").
+export function compileExpression(source, symbolNames) {
+    const slots = Object.create(null);
+    symbolNames.forEach((name, i) => { slots[name] = i; });
+    return compileNode(parseExpression(source), slots);
+}
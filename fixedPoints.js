@@ -0,0 +1,187 @@
+import { eigenvalues, numericalJacobian, realEigenvector, solveLinear } from './linearAlgebra.js';
+import { wrapAngle } from './poincare.js';
+
+// Numerical equilibria of f(t, y) = 0: damped Newton iterations from a grid
+// of seeds, deduplicated, each classified by the eigenvalues of its Jacobian.
+
+const RESIDUAL_TOLERANCE = 1e-9;
+const MAX_ITERATIONS = 60;
+
+// Upper bound on the number of grid seeds. Beyond GRID_SEED_DIMENSION
+// variables it shrinks with n³, the growth of a Newton iteration's cost, so
+// long pendulum chains take about as long as short ones.
+const MAX_GRID_SEEDS = 2048;
+const GRID_SEED_DIMENSION = 6;
+
+// Eigenvalues with |Re λ| below this are treated as zero
+const HYPERBOLIC_TOLERANCE = 1e-6;
+
+function norm(v) {
+    return Math.hypot(...v);
+}
+
+// Variables that never change and never influence the others (for example
+// the unused z of a planar system) are held fixed during the search.
+function findInertVariables(f, samples) {
+    const n = samples[0].length;
+    const inert = [];
+    for (let j = 0; j < n; j++) {
+        const isInert = samples.every(y => {
+            const J = numericalJacobian(f, 0, y);
+            return Math.abs(f(0, y)[j]) < 1e-12 && J.every(row => Math.abs(row[j]) < 1e-12);
+        });
+        if (isInert) inert.push(j);
+    }
+    return inert;
+}
+
+function newton(f, seed, active) {
+    let y = [...seed];
+    let residual = norm(active.map(i => f(0, y)[i]));
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        if (residual < RESIDUAL_TOLERANCE) return y;
+
+        const fy = f(0, y);
+        const J = numericalJacobian(f, 0, y);
+        const reduced = active.map(i => active.map(j => J[i][j]));
+        const step = solveLinear(reduced, active.map(i => -fy[i]));
+        if (!step) return null;
+
+        // Halve the step until the residual decreases
+        let damping = 1;
+        let accepted = false;
+        while (damping > 1e-4) {
+            const trial = [...y];
+            active.forEach((i, k) => { trial[i] += damping * step[k]; });
+            const trialResidual = norm(active.map(i => f(0, trial)[i]));
+            if (Number.isFinite(trialResidual) && trialResidual < residual) {
+                y = trial;
+                residual = trialResidual;
+                accepted = true;
+                break;
+            }
+            damping /= 2;
+        }
+        if (!accepted) return null;
+    }
+
+    return residual < RESIDUAL_TOLERANCE ? y : null;
+}
+
+export function classifyEigenvalues(values) {
+    const complex = values.some(v => v.im !== 0);
+    const negative = values.filter(v => v.re < -HYPERBOLIC_TOLERANCE).length;
+    const positive = values.filter(v => v.re > HYPERBOLIC_TOLERANCE).length;
+    const zero = values.length - negative - positive;
+
+    if (zero > 0) {
+        if (negative === 0 && positive === 0 && complex) return 'center';
+        return 'non-hyperbolic';
+    }
+    if (positive === 0) return complex ? 'stable focus' : 'stable node';
+    if (negative === 0) return complex ? 'unstable focus' : 'unstable node';
+    return complex ? 'saddle-focus' : 'saddle';
+}
+
+// Evenly spaced seeds on a grid spanning `bounds` ([min, max] per variable).
+// Grids with more than `limit` points are thinned to an evenly strided subset,
+// so high-dimensional systems (long pendulum chains) stay tractable.
+export function gridSeeds(bounds, perAxis, limit = Infinity) {
+    const axes = bounds.map(([min, max]) => (perAxis === 1
+        ? [(min + max) / 2]
+        : Array.from({ length: perAxis }, (_, k) => min + (max - min) * k / (perAxis - 1))));
+    const total = perAxis ** bounds.length;
+
+    // A stride sharing no factor with perAxis still varies every axis
+    let stride = Math.max(1, Math.ceil(total / limit));
+    while (stride > 1 && gcd(stride, perAxis) !== 1) stride++;
+
+    const seeds = [];
+    for (let index = 0; index < total; index += stride) {
+        let rest = index;
+        const seed = new Array(bounds.length);
+        for (let i = bounds.length - 1; i >= 0; i--) {
+            seed[i] = axes[i][rest % perAxis];
+            rest = Math.floor(rest / perAxis);
+        }
+        seeds.push(seed);
+    }
+    return seeds;
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+// Locate and classify the equilibria of f. Options:
+//   bounds    [min, max] per variable for the seed grid
+//   seeds     extra starting points (e.g. samples of the current trajectory)
+//   periodic  indices of angle variables, wrapped to (-π, π]
+//   reference state supplying the values of inert variables
+export function findFixedPoints(f, {
+    bounds,
+    seeds = [],
+    periodic = [],
+    reference,
+    perAxis
+}) {
+    const n = bounds.length;
+    const limit = Math.ceil(MAX_GRID_SEEDS * Math.min(1, (GRID_SEED_DIMENSION / n) ** 3));
+    const grid = gridSeeds(bounds, perAxis || (n <= 3 ? 7 : n <= 4 ? 5 : 3), limit);
+    const allSeeds = [...seeds, ...grid].map(seed => {
+        const y = [...seed];
+        if (reference) {
+            reference.forEach((v, i) => { if (!Number.isFinite(y[i])) y[i] = v; });
+        }
+        return y;
+    });
+
+    const inert = findInertVariables(f, allSeeds.slice(0, 5));
+    const active = bounds.map((_, i) => i).filter(i => !inert.includes(i));
+    if (active.length === 0) return [];
+
+    const wrap = y => y.map((v, i) => (periodic.includes(i) ? wrapAngle(v) : v));
+    const scale = Math.max(1, ...bounds.map(([min, max]) => max - min));
+    const found = [];
+
+    allSeeds.forEach(seed => {
+        if (reference) inert.forEach(i => { seed[i] = reference[i]; });
+        const root = newton(f, seed, active);
+        if (!root) return;
+        const point = wrap(root);
+
+        const duplicate = found.some(other =>
+            active.every(i => {
+                const d = periodic.includes(i) ? wrapAngle(point[i] - other.point[i]) : point[i] - other.point[i];
+                return Math.abs(d) < 1e-6 * scale;
+            })
+        );
+        if (!duplicate) found.push({ point });
+    });
+
+    return found.map(({ point }) => {
+        const J = numericalJacobian(f, 0, point);
+        const reduced = active.map(i => active.map(j => J[i][j]));
+        const values = eigenvalues(reduced);
+
+        // Real eigen-directions, embedded back into the full state space
+        const vectors = values
+            .filter((v, k) => v.im === 0 && values.findIndex(w => Math.abs(w.re - v.re) < 1e-9 && w.im === 0) === k)
+            .map(v => {
+                const reducedVector = realEigenvector(reduced, v.re);
+                const vector = new Array(n).fill(0);
+                active.forEach((i, k) => { vector[i] = reducedVector[k]; });
+                return { value: v.re, vector };
+            });
+
+        return {
+            point,
+            jacobian: J,
+            eigenvalues: values,
+            eigenvectors: vectors,
+            type: classifyEigenvalues(values),
+            inert
+        };
+    });
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+
+// Equilibria of the active system, recomputed whenever the parameters change:
+// markers and eigenvector arrows in the 3D scene plus a table for the
+// educational panel.
+//
+// The search runs in fixedPointsWorker.js. `getContext()` returns
+// { systemKey, custom, params, state, labels, periodic, samples, inScene,
+// unavailable }, where `samples` are recent trajectory states used as extra
+// Newton seeds, `inScene` says whether state coordinates are scene
+// coordinates and `unavailable`, if set, explains why there is nothing to
+// search for (a forced system has no equilibria).
+
+const TYPE_COLORS = {
+    'stable node': 0x00ff88,
+    'stable focus': 0x00ff88,
+    'unstable node': 0xff3366,
+    'unstable focus': 0xff3366,
+    'saddle': 0xffaa00,
+    'saddle-focus': 0xff00ff,
+    'center': 0xffffff,
+    'non-hyperbolic': 0xffffff
+};
+
+const ARROW_LENGTH = 4;
+const UPDATE_DELAY = 150;
+
+// Long pendulum chains have 2^links equilibria; the table lists the first few
+const MAX_ROWS = 20;
+
+function formatNumber(value) {
+    return Math.abs(value) < 5e-4 ? '0' : value.toFixed(3);
+}
+
+// Eigenvalues as text, with conjugate pairs written once as a ± bi
+function formatEigenvalues(values) {
+    return values
+        .filter(v => v.im >= 0)
+        .map(v => (v.im > 0 ? `${formatNumber(v.re)} ± ${formatNumber(v.im)}i` : formatNumber(v.re)))
+        .join(', ');
+}
+
+export class FixedPointView {
+    constructor(scene, { getContext }) {
+        this.getContext = getContext;
+        this.visible = true;
+        this.points = [];
+        this.pending = null;
+        this.worker = null;
+        this.stale = false;
+
+        this.group = new THREE.Group();
+        scene.add(this.group);
+        this.markerGeometry = new THREE.SphereGeometry(0.6, 16, 16);
+
+        this.element = document.createElement('div');
+        this.element.className = 'panel educational-panel fixed-point-panel';
+    }
+
+    isVisible() {
+        return this.visible;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.group.visible = visible;
+        this.element.style.display = visible ? '' : 'none';
+        this.update();
+    }
+
+    // Throttled update for slider drags and scheduled parameters: at most one
+    // per UPDATE_DELAY, so that a steady stream of changes still refreshes.
+    // A search under way is left to finish and then started over.
+    schedule() {
+        if (!this.visible || this.pending !== null) return;
+        this.pending = setTimeout(() => {
+            this.pending = null;
+            if (this.worker) {
+                this.stale = true;
+            } else {
+                this.search();
+            }
+        }, UPDATE_DELAY);
+    }
+
+    // Start afresh, dropping the points of the previous system
+    update() {
+        clearTimeout(this.pending);
+        this.pending = null;
+        this.cancel();
+        this.points = [];
+        this.error = null;
+        this.clearScene();
+        if (this.visible) this.search();
+    }
+
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.stale = false;
+    }
+
+    search() {
+        const {
+            systemKey, custom, params, state, labels, periodic = [], samples = [], inScene, unavailable
+        } = this.getContext();
+        this.unavailable = unavailable;
+        if (unavailable) {
+            this.points = [];
+            this.error = null;
+            this.renderScene(inScene);
+            this.renderTable(labels);
+            return;
+        }
+
+        const bounds = state.map((v, i) => {
+            if (periodic.includes(i)) return [-Math.PI, Math.PI];
+            const extent = Math.max(10, 2 * Math.abs(v), ...samples.map(s => 1.5 * Math.abs(s[i])));
+            return [-extent, extent];
+        });
+
+        this.worker = new Worker(new URL('./fixedPointsWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.finish(event.data, inScene, labels);
+        this.worker.onerror = (event) => this.finish({ type: 'error', message: event.message }, inScene, labels);
+        this.worker.postMessage({
+            systemKey,
+            custom,
+            params,
+            bounds,
+            seeds: [state, ...samples],
+            periodic,
+            reference: state
+        });
+        this.renderTable(labels);
+    }
+
+    finish(message, inScene, labels) {
+        const stale = this.stale;
+        this.cancel();
+        if (message.type === 'done') {
+            this.points = message.points;
+            this.error = null;
+        } else {
+            this.points = [];
+            this.error = message.message;
+        }
+        this.renderScene(inScene);
+        this.renderTable(labels);
+        if (stale) this.search();
+    }
+
+    clearScene() {
+        [...this.group.children].forEach(child => {
+            this.group.remove(child);
+            child.traverse(object => {
+                if (object.material) object.material.dispose();
+            });
+        });
+    }
+
+    renderScene(inScene) {
+        this.clearScene();
+        if (!inScene) return;
+
+        this.points.forEach(({ point, eigenvectors, type }) => {
+            const position = new THREE.Vector3(point[0], point[1], point[2] || 0);
+            const marker = new THREE.Mesh(
+                this.markerGeometry,
+                new THREE.MeshBasicMaterial({ color: TYPE_COLORS[type], transparent: true, opacity: 0.85 })
+            );
+            marker.position.copy(position);
+            this.group.add(marker);
+
+            // Attracting directions green, repelling red, in both senses
+            eigenvectors.forEach(({ value, vector }) => {
+                const direction = new THREE.Vector3(vector[0], vector[1], vector[2] || 0);
+                if (direction.lengthSq() < 1e-12 || Math.abs(value) < 1e-6) return;
+                direction.normalize();
+                const color = value < 0 ? 0x00ff88 : 0xff3366;
+                [direction, direction.clone().negate()].forEach(d => {
+                    this.group.add(new THREE.ArrowHelper(d, position, ARROW_LENGTH, color, 0.8, 0.4));
+                });
+            });
+        });
+    }
+
+    renderTable(labels) {
+        this.element.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Fixed Points';
+        this.element.appendChild(title);
+
+        if (this.unavailable || this.error || this.points.length === 0) {
+            const note = document.createElement('p');
+            if (this.unavailable) {
+                note.textContent = this.unavailable;
+            } else if (this.worker && !this.error) {
+                note.textContent = 'Searching for equilibria...';
+            } else {
+                note.textContent = this.error
+                    ? `Search failed: ${this.error}`
+                    : 'No equilibria found in the search region.';
+            }
+            this.element.appendChild(note);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'fixed-point-table';
+        const header = table.insertRow();
+        [`(${labels.join(', ')})`, 'Type', 'Eigenvalues'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        this.points.slice(0, MAX_ROWS).forEach(({ point, type, eigenvalues, inert }) => {
+            const row = table.insertRow();
+            const coordinates = point.map((v, i) => (inert.includes(i) ? '–' : formatNumber(v)));
+            [`(${coordinates.join(', ')})`, type, formatEigenvalues(eigenvalues)].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            const swatch = `#${TYPE_COLORS[type].toString(16).padStart(6, '0')}`;
+            row.cells[1].style.color = swatch;
+        });
+
+        this.element.appendChild(table);
+
+        if (this.points.length > MAX_ROWS) {
+            const note = document.createElement('p');
+            note.textContent = `${this.points.length - MAX_ROWS} more equilibria not listed.`;
+            this.element.appendChild(note);
+        }
+    }
+}
@@ -0,0 +1,19 @@
+import { resolveSystem, vectorField } from './systems.js';
+import { findFixedPoints } from './fixedPoints.js';
+
+// Runs the fixed point search off the main thread, where it would stall the
+// animation for long pendulum chains. Like the bifurcation worker, it
+// looks the system up by key (custom systems are rebuilt from their
+// definition).
+
+self.onmessage = (event) => {
+    const { systemKey, custom, params, ...options } = event.data;
+
+    try {
+        const system = resolveSystem(systemKey, params, custom);
+        const points = findFixedPoints(vectorField(system, params), options);
+        self.postMessage({ type: 'done', points });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
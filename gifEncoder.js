@@ -0,0 +1,196 @@
+// Minimal animated GIF (GIF89a) encoder. Frames are RGBA pixel arrays
+// quantised to a fixed 6×7×6 colour cube, so every frame shares one global
+// palette and encoding is a single pass per pixel. Image data is
+// LZW-compressed with the variable code sizes the format requires.
+
+const LEVELS = [6, 7, 6];
+
+function buildPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let i = 0;
+    for (let r = 0; r < LEVELS[0]; r++) {
+        for (let g = 0; g < LEVELS[1]; g++) {
+            for (let b = 0; b < LEVELS[2]; b++) {
+                palette[i++] = Math.round(r * 255 / (LEVELS[0] - 1));
+                palette[i++] = Math.round(g * 255 / (LEVELS[1] - 1));
+                palette[i++] = Math.round(b * 255 / (LEVELS[2] - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+// Growable byte buffer
+class ByteWriter {
+    constructor(size = 1 << 16) {
+        this.bytes = new Uint8Array(size);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    array(values) {
+        this.ensure(values.length);
+        this.bytes.set(values, this.length);
+        this.length += values.length;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// Palette index of every pixel of an RGBA frame
+export function quantize(rgba, pixelCount) {
+    const indices = new Uint8Array(pixelCount);
+    const scale = LEVELS.map(levels => (levels - 1) / 255);
+    for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+        const r = Math.round(rgba[i] * scale[0]);
+        const g = Math.round(rgba[i + 1] * scale[1]);
+        const b = Math.round(rgba[i + 2] * scale[2]);
+        indices[p] = (r * LEVELS[1] + g) * LEVELS[2] + b;
+    }
+    return indices;
+}
+
+// LZW-compress 8-bit palette indices into GIF sub-blocks
+export function lzwEncode(indices, writer) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    // Code for (prefix code, next index) pairs, -1 when absent
+    const table = new Int16Array(4096 << 8).fill(-1);
+    const output = new ByteWriter(indices.length + 64);
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bits = 0;
+    let bitCount = 0;
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.byte(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table[key];
+        if (code >= 0) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full: start over
+            emit(clearCode);
+            table.fill(-1);
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table[key] = nextCode++;
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) output.byte(bits & 0xff);
+
+    writer.byte(minCodeSize);
+    const data = output.result();
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.subarray(offset, offset + 255);
+        writer.byte(block.length);
+        writer.array(block);
+    }
+    writer.byte(0);
+}
+
+export class GIFEncoder {
+    // `delay` is the time between frames in milliseconds (stored in 1/100 s)
+    constructor(width, height, { delay = 100, loop = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.delay = Math.max(2, Math.round(delay / 10));
+        this.writer = new ByteWriter();
+        this.frames = 0;
+
+        const w = this.writer;
+        w.string('GIF89a');
+        w.word(width);
+        w.word(height);
+        // Global colour table of 256 entries, 8 bits per primary
+        w.byte(0xf7);
+        w.byte(0);
+        w.byte(0);
+        w.array(buildPalette());
+
+        // Netscape extension: repeat `loop` times (0 = forever)
+        w.byte(0x21);
+        w.byte(0xff);
+        w.byte(11);
+        w.string('NETSCAPE2.0');
+        w.byte(3);
+        w.byte(1);
+        w.word(loop);
+        w.byte(0);
+    }
+
+    addFrame(rgba) {
+        const w = this.writer;
+
+        // Graphic control extension: leave the frame in place, no transparency
+        w.byte(0x21);
+        w.byte(0xf9);
+        w.byte(4);
+        w.byte(0x04);
+        w.word(this.delay);
+        w.byte(0);
+        w.byte(0);
+
+        // Image descriptor covering the whole canvas
+        w.byte(0x2c);
+        w.word(0);
+        w.word(0);
+        w.word(this.width);
+        w.word(this.height);
+        w.byte(0);
+
+        lzwEncode(quantize(rgba, this.width * this.height), w);
+        this.frames++;
+    }
+
+    finish() {
+        this.writer.byte(0x3b);
+        return this.writer.result();
+    }
+}
@@ -0,0 +1,229 @@
+// Numerical integrators shared by every system.
+// A derivative function has the signature f(t, y) => number[] and
+// every stepper returns a new state array without mutating y.
+
+export const DEFAULT_INTEGRATOR_SETTINGS = {
+    method: 'rk4',
+    dt: 0.01,
+    rtol: 1e-6,
+    atol: 1e-9
+};
+
+// Largest number of adaptive sub-steps taken to cover one output step; a
+// step that needs more fails like a divergence (see advanceAdaptive)
+const MAX_ADAPTIVE_STEPS = 10000;
+
+function axpy(y, k, h) {
+    const out = new Array(y.length);
+    for (let i = 0; i < y.length; i++) {
+        out[i] = y[i] + h * k[i];
+    }
+    return out;
+}
+
+export function eulerStep(f, t, y, h) {
+    return axpy(y, f(t, y), h);
+}
+
+export function rk4Step(f, t, y, h) {
+    const k1 = f(t, y);
+    const k2 = f(t + h / 2, axpy(y, k1, h / 2));
+    const k3 = f(t + h / 2, axpy(y, k2, h / 2));
+    const k4 = f(t + h, axpy(y, k3, h));
+
+    const out = new Array(y.length);
+    for (let i = 0; i < y.length; i++) {
+        out[i] = y[i] + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) * h / 6;
+    }
+    return out;
+}
+
+// Positions are the even state components and velocities the odd ones,
+// which matches [θ₁, ω₁, θ₂, ω₂] for the pendulum and [x, ẋ] for oscillators.
+export function defaultPartition(dimension) {
+    const positions = [];
+    const velocities = [];
+    for (let i = 0; i < dimension; i++) {
+        (i % 2 === 0 ? positions : velocities).push(i);
+    }
+    return { positions, velocities };
+}
+
+// Kick-drift-kick leapfrog (velocity Verlet). Symplectic and second order for
+// systems of the form q' = v, v' = a(q); for any other split it is a
+// first-order splitting scheme.
+export function leapfrogStep(f, t, y, h, partition = defaultPartition(y.length)) {
+    const { positions, velocities } = partition;
+    const out = [...y];
+
+    const k1 = f(t, out);
+    velocities.forEach(i => { out[i] += k1[i] * h / 2; });
+
+    const k2 = f(t + h / 2, out);
+    positions.forEach(i => { out[i] += k2[i] * h; });
+
+    const k3 = f(t + h, out);
+    velocities.forEach(i => { out[i] += k3[i] * h / 2; });
+
+    return out;
+}
+
+// Dormand–Prince 5(4) tableau
+const DP_C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+const DP_A = [
+    [],
+    [1/5],
+    [3/40, 9/40],
+    [44/45, -56/15, 32/9],
+    [19372/6561, -25360/2187, 64448/6561, -212/729],
+    [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+    [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const DP_B = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+const DP_E = [71/57600, 0, -71/16695, 71/1920, -17253/339200, 22/525, -1/40];
+
+// One Dormand–Prince trial step: returns the fifth-order solution and the
+// difference to the embedded fourth-order solution.
+export function dormandPrinceStep(f, t, y, h) {
+    const n = y.length;
+    const k = [];
+
+    for (let s = 0; s < 7; s++) {
+        const stage = [...y];
+        for (let j = 0; j < s; j++) {
+            const a = DP_A[s][j];
+            if (a === 0) continue;
+            for (let i = 0; i < n; i++) {
+                stage[i] += h * a * k[j][i];
+            }
+        }
+        k.push(f(t + DP_C[s] * h, stage));
+    }
+
+    const next = [...y];
+    const error = new Array(n).fill(0);
+    for (let s = 0; s < 7; s++) {
+        for (let i = 0; i < n; i++) {
+            next[i] += h * DP_B[s] * k[s][i];
+            error[i] += h * DP_E[s] * k[s][i];
+        }
+    }
+
+    return { y: next, error };
+}
+
+function errorNorm(y, next, error, rtol, atol) {
+    let sum = 0;
+    for (let i = 0; i < y.length; i++) {
+        const scale = atol + rtol * Math.max(Math.abs(y[i]), Math.abs(next[i]));
+        sum += (error[i] / scale) ** 2;
+    }
+    return Math.sqrt(sum / y.length);
+}
+
+export const integrators = {
+    euler: {
+        name: 'Euler',
+        order: 1,
+        adaptive: false,
+        symplectic: false
+    },
+    rk4: {
+        name: 'Runge–Kutta 4',
+        order: 4,
+        adaptive: false,
+        symplectic: false
+    },
+    rk45: {
+        name: 'Dormand–Prince RK45',
+        order: 5,
+        adaptive: true,
+        symplectic: false
+    },
+    leapfrog: {
+        name: 'Leapfrog / Verlet',
+        order: 2,
+        adaptive: false,
+        symplectic: true
+    }
+};
+
+export class Integrator {
+    constructor(settings = {}) {
+        this.configure(settings);
+    }
+
+    configure(settings = {}) {
+        this.settings = { ...DEFAULT_INTEGRATOR_SETTINGS, ...this.settings, ...settings };
+        if (!Object.hasOwn(integrators, this.settings.method)) {
+            throw new Error(`Unknown integration method: ${this.settings.method}`);
+        }
+        // Adaptive step size carried over between calls
+        this.h = null;
+        this.stats = { steps: 0, rejected: 0, lastStep: 0, stalled: 0 };
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    // Advance y from t to t + dt. Fixed-step methods take a single step;
+    // adaptive methods take as many error-controlled sub-steps as needed.
+    advance(f, t, y, dt = this.settings.dt, partition) {
+        switch (this.settings.method) {
+            case 'euler':
+                return this.count(eulerStep(f, t, y, dt), dt);
+            case 'leapfrog':
+                return this.count(leapfrogStep(f, t, y, dt, partition), dt);
+            case 'rk45':
+                return this.advanceAdaptive(f, t, y, dt);
+            case 'rk4':
+            default:
+                return this.count(rk4Step(f, t, y, dt), dt);
+        }
+    }
+
+    count(y, h) {
+        this.stats.steps++;
+        this.stats.lastStep = h;
+        return y;
+    }
+
+    advanceAdaptive(f, t, y, dt) {
+        const { rtol, atol } = this.settings;
+        const tEnd = t + dt;
+        let h = Math.min(this.h || dt, dt);
+        let current = y;
+
+        for (let i = 0; i < MAX_ADAPTIVE_STEPS && t < tEnd; i++) {
+            const remaining = tEnd - t;
+            const lastStep = h >= remaining;
+            const trial = lastStep ? remaining : h;
+            const { y: next, error } = dormandPrinceStep(f, t, current, trial);
+            const err = errorNorm(current, next, error, rtol, atol);
+            const factor = err === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(err, -1 / 5)));
+
+            if (err <= 1 || trial <= 1e-12) {
+                t = lastStep ? tEnd : t + trial;
+                current = next;
+                this.count(current, trial);
+                // Don't let the shortened final step shrink the carried step size
+                h = lastStep ? Math.max(h, trial * factor) : trial * factor;
+            } else {
+                this.stats.rejected++;
+                h = trial * factor;
+            }
+
+            if (!current.every(Number.isFinite)) break;
+        }
+
+        this.h = h;
+        // Short of t + dt the state belongs to no output time. It comes back
+        // non-finite, so that callers stop as they do for a divergence.
+        if (t < tEnd) {
+            this.stats.stalled++;
+            return current.map(() => NaN);
+        }
+        return current;
+    }
+}
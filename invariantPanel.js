@@ -0,0 +1,190 @@
+import { InvariantMonitor } from './invariants.js';
+
+// Conserved-quantity monitor: plots the invariants a system declares (energy
+// for the double pendulum, a Lyapunov function for the point attractor) and
+// the drift of the tracked one from its initial value. For a conservative
+// system that drift is pure integrator error; with damping it is the
+// dissipation. The panel is hidden for systems without invariants.
+//
+// `getContext()` returns { invariants, params, state, time }.
+
+const QUANTITY_COLORS = ['#00fff2', '#ff00ff', '#ffffff', '#ffaa00'];
+
+export class InvariantPanel {
+    constructor(parent, getContext) {
+        this.getContext = getContext;
+        this.monitor = null;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        this.title = document.createElement('h3');
+        this.title.className = 'section-title';
+        this.panel.appendChild(this.title);
+
+        const restartBtn = document.createElement('button');
+        restartBtn.className = 'button';
+        restartBtn.textContent = 'Restart';
+        restartBtn.onclick = () => this.reset();
+        this.panel.appendChild(restartBtn);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'analysis-readout';
+        this.panel.appendChild(this.readout);
+
+        this.valuesCanvas = document.createElement('canvas');
+        this.valuesCanvas.className = 'analysis-plot';
+        this.valuesCanvas.width = 260;
+        this.valuesCanvas.height = 140;
+        this.panel.appendChild(this.valuesCanvas);
+
+        this.driftCanvas = document.createElement('canvas');
+        this.driftCanvas.className = 'analysis-plot';
+        this.driftCanvas.width = 260;
+        this.driftCanvas.height = 100;
+        this.panel.appendChild(this.driftCanvas);
+
+        this.panel.style.display = 'none';
+        parent.appendChild(this.panel);
+    }
+
+    // New baseline from the simulator's current system, parameters and state
+    reset() {
+        const { invariants, params, state, time } = this.getContext();
+        this.panel.style.display = invariants ? '' : 'none';
+        this.monitor = invariants ? new InvariantMonitor({ invariants, params, state, time }) : null;
+        if (invariants) this.title.textContent = `${invariants.title} Monitor`;
+        this.render();
+    }
+
+    // Called for every integration step of the main simulation, with the
+    // parameters in force for that step
+    record(time, state, params) {
+        if (this.monitor) this.monitor.record(time, state, params);
+    }
+
+    // Called once per rendered batch of steps
+    update() {
+        if (this.monitor) this.render();
+    }
+
+    render() {
+        this.renderReadout();
+        this.renderValues();
+        this.renderDrift();
+    }
+
+    renderReadout() {
+        this.readout.innerHTML = '';
+        const monitor = this.monitor;
+        if (!monitor) return;
+
+        const addLine = (text, color) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (color) line.style.color = color;
+            this.readout.appendChild(line);
+        };
+
+        const { invariants } = monitor;
+        const { time, values, drift } = monitor.latest;
+        invariants.quantities.forEach((name, i) => {
+            addLine(`${name} = ${values[i].toPrecision(6)}`, QUANTITY_COLORS[i % QUANTITY_COLORS.length]);
+        });
+        const tracked = invariants.quantities[invariants.drift];
+        const kind = monitor.relative ? 'relative' : 'absolute';
+        addLine(`${kind} drift of ${tracked}: ${drift.toExponential(2)}`);
+        addLine(`largest drift so far: ${monitor.maxDrift.toExponential(2)}`);
+        if (invariants.logScale) {
+            const rate = monitor.rate();
+            if (Number.isFinite(rate)) addLine(`mean rate d(ln ${tracked})/dt ≈ ${rate.toFixed(4)}`);
+        }
+        addLine(`t = ${(time - monitor.startTime).toFixed(1)}`);
+    }
+
+    // All quantities over time, log10 for exponentially decaying ones
+    renderValues() {
+        const ctx = this.valuesCanvas.getContext('2d');
+        const { width, height } = this.valuesCanvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const history = this.monitor ? this.monitor.history : [];
+        if (history.length < 2) return;
+
+        const logScale = this.monitor.invariants.logScale;
+        const transform = value => (logScale ? Math.log10(value) : value);
+        const count = history[0].values.length;
+        const series = [];
+        for (let i = 0; i < count; i++) series.push(history.map(h => transform(h.values[i])));
+
+        const finite = series.flat().filter(Number.isFinite);
+        if (finite.length === 0) return;
+        const yMin = Math.min(...finite);
+        const yMax = Math.max(...finite);
+        this.plot(ctx, width, height, history, series, yMin, yMax, QUANTITY_COLORS);
+
+        if (logScale) {
+            ctx.fillStyle = 'rgba(0, 255, 242, 0.6)';
+            ctx.font = '9px monospace';
+            ctx.fillText('log10', 2, 10);
+        }
+    }
+
+    // Drift of the tracked quantity, symmetric about zero
+    renderDrift() {
+        const ctx = this.driftCanvas.getContext('2d');
+        const { width, height } = this.driftCanvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const history = this.monitor ? this.monitor.history : [];
+        if (history.length < 2) return;
+
+        const drifts = history.map(h => h.drift);
+        const bound = Math.max(...drifts.filter(Number.isFinite).map(Math.abs)) || 1;
+        this.plot(ctx, width, height, history, [drifts], -bound, bound, ['#ffaa00']);
+
+        ctx.fillStyle = 'rgba(0, 255, 242, 0.6)';
+        ctx.font = '9px monospace';
+        ctx.fillText(`±${bound.toExponential(1)}`, 2, 10);
+    }
+
+    plot(ctx, width, height, history, series, yMin, yMax, colors) {
+        const tMin = history[0].time;
+        const tMax = history[history.length - 1].time;
+        const padding = 10;
+        const toX = t => padding + (t - tMin) / (tMax - tMin || 1) * (width - 2 * padding);
+        const toY = v => height - padding - (v - yMin) / (yMax - yMin || 1) * (height - 2 * padding);
+
+        // Zero line, when in range
+        if (yMin <= 0 && yMax >= 0) {
+            ctx.strokeStyle = 'rgba(0, 255, 242, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, toY(0));
+            ctx.lineTo(width, toY(0));
+            ctx.stroke();
+        }
+
+        series.forEach((data, s) => {
+            ctx.strokeStyle = colors[s % colors.length];
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            let drawing = false;
+            data.forEach((value, i) => {
+                if (!Number.isFinite(value)) {
+                    drawing = false;
+                    return;
+                }
+                const x = toX(history[i].time);
+                const y = toY(value);
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+        });
+    }
+}
@@ -0,0 +1,62 @@
+// Conserved quantities and Lyapunov functions along a trajectory.
+//
+// A system opts in with an `invariants` entry:
+//   title        heading for the monitor, e.g. 'Energy'
+//   quantities   names of the values returned by evaluate()
+//   evaluate(state, params)  array of quantity values
+//   drift        index of the quantity whose change from its initial value
+//                is tracked (the one that should be conserved or decay)
+//   scale(params)  optional natural size of that quantity; the drift is
+//                relative to it rather than to the initial value, which
+//                may be zero (a pendulum released level has E = 0)
+//   logScale     plot log10 of the values, for quantities that decay
+//                exponentially
+
+// History is thinned out beyond this many entries
+const MAX_HISTORY = 2000;
+
+export class InvariantMonitor {
+    constructor({ invariants, params, state, time = 0 }) {
+        this.invariants = invariants;
+        this.params = params;
+        this.startTime = time;
+        this.initial = invariants.evaluate(state, params);
+        this.reference = this.initial[invariants.drift];
+        this.scale = invariants.scale ? invariants.scale(params) : Math.abs(this.reference);
+        // Relative drift unless there is nothing to measure it against
+        this.relative = this.scale > 0;
+        this.maxDrift = 0;
+        this.history = [];
+        this.record(time, state);
+    }
+
+    // Change of the tracked quantity since the start, relative to its scale
+    drift(values) {
+        const change = values[this.invariants.drift] - this.reference;
+        return this.relative ? change / this.scale : change;
+    }
+
+    // `params` differ from the starting ones while a schedule is running
+    record(time, state, params = this.params) {
+        const values = this.invariants.evaluate(state, params);
+        const drift = this.drift(values);
+        if (Math.abs(drift) > Math.abs(this.maxDrift)) this.maxDrift = drift;
+
+        this.history.push({ time, values, drift });
+        if (this.history.length > MAX_HISTORY) {
+            this.history = this.history.filter((_, i) => i % 2 === 0);
+        }
+    }
+
+    get latest() {
+        return this.history[this.history.length - 1];
+    }
+
+    // Mean exponential rate of the tracked quantity, ln(Q/Q₀) / t
+    rate() {
+        const { time, values } = this.latest;
+        const elapsed = time - this.startTime;
+        const ratio = values[this.invariants.drift] / this.reference;
+        return elapsed > 0 && ratio > 0 ? Math.log(ratio) / elapsed : NaN;
+    }
+}
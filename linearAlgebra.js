@@ -0,0 +1,250 @@
+// Dense linear algebra for the small systems used here (dimension ≤ ~6)
+
+// Central-difference Jacobian of f at (t, y); J[i][j] = ∂f_i/∂y_j
+export function numericalJacobian(f, t, y) {
+    const n = y.length;
+    const J = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+        const h = 1e-6 * Math.max(1, Math.abs(y[j]));
+        const forward = [...y];
+        const backward = [...y];
+        forward[j] += h;
+        backward[j] -= h;
+        const fForward = f(t, forward);
+        const fBackward = f(t, backward);
+        for (let i = 0; i < n; i++) {
+            J[i][j] = (fForward[i] - fBackward[i]) / (2 * h);
+        }
+    }
+
+    return J;
+}
+
+// Solve A x = b by Gaussian elimination with partial pivoting.
+// Returns null when A is singular to working precision.
+export function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    const scale = Math.max(...A.flat().map(Math.abs), 1e-300);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-14 * scale) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+// Reduce a copy of A to upper Hessenberg form by stabilised elimination
+function hessenberg(A) {
+    const n = A.length;
+    const a = A.map(row => [...row]);
+
+    for (let m = 1; m < n - 1; m++) {
+        let x = 0;
+        let pivot = m;
+        for (let j = m; j < n; j++) {
+            if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                x = a[j][m - 1];
+                pivot = j;
+            }
+        }
+        if (pivot !== m) {
+            for (let j = m - 1; j < n; j++) [a[pivot][j], a[m][j]] = [a[m][j], a[pivot][j]];
+            for (let j = 0; j < n; j++) [a[j][pivot], a[j][m]] = [a[j][m], a[j][pivot]];
+        }
+        if (x === 0) continue;
+        for (let i = m + 1; i < n; i++) {
+            const y = a[i][m - 1] / x;
+            if (y === 0) continue;
+            a[i][m - 1] = 0;
+            for (let j = m; j < n; j++) a[i][j] -= y * a[m][j];
+            for (let j = 0; j < n; j++) a[j][m] += y * a[j][i];
+        }
+    }
+
+    return a;
+}
+
+// Eigenvalues { re, im } of a real matrix by the shifted QR algorithm on
+// its Hessenberg form (after Numerical Recipes' hqr), largest real part first
+export function eigenvalues(A) {
+    const a = hessenberg(A);
+    const n = a.length;
+    const wr = new Array(n).fill(0);
+    const wi = new Array(n).fill(0);
+    const sign = (value, reference) => (reference >= 0 ? Math.abs(value) : -Math.abs(value));
+
+    let norm = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = Math.max(i - 1, 0); j < n; j++) norm += Math.abs(a[i][j]);
+    }
+
+    let nn = n - 1;
+    let t = 0;
+    let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+
+    while (nn >= 0) {
+        let its = 0;
+        let l;
+        do {
+            // Look for a single small subdiagonal element
+            for (l = nn; l >= 1; l--) {
+                s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                if (s === 0) s = norm;
+                if (Math.abs(a[l][l - 1]) + s === s) {
+                    a[l][l - 1] = 0;
+                    break;
+                }
+            }
+            x = a[nn][nn];
+            if (l === nn) {
+                // One root found
+                wr[nn] = x + t;
+                wi[nn] = 0;
+                nn--;
+            } else {
+                y = a[nn - 1][nn - 1];
+                w = a[nn][nn - 1] * a[nn - 1][nn];
+                if (l === nn - 1) {
+                    // Two roots found
+                    p = 0.5 * (y - x);
+                    q = p * p + w;
+                    z = Math.sqrt(Math.abs(q));
+                    x += t;
+                    if (q >= 0) {
+                        z = p + sign(z, p);
+                        wr[nn - 1] = wr[nn] = x + z;
+                        if (z) wr[nn] = x - w / z;
+                        wi[nn - 1] = wi[nn] = 0;
+                    } else {
+                        wr[nn - 1] = wr[nn] = x + p;
+                        wi[nn - 1] = -z;
+                        wi[nn] = z;
+                    }
+                    nn -= 2;
+                } else {
+                    if (its === 60) throw new Error('Eigenvalue iteration did not converge');
+                    if (its === 10 || its === 20) {
+                        // Exceptional shift
+                        t += x;
+                        for (let i = 0; i <= nn; i++) a[i][i] -= x;
+                        s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                        y = x = 0.75 * s;
+                        w = -0.4375 * s * s;
+                    }
+                    its++;
+
+                    // Form the double shift and look for two small subdiagonal elements
+                    let m;
+                    for (m = nn - 2; m >= l; m--) {
+                        z = a[m][m];
+                        r = x - z;
+                        s = y - z;
+                        p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                        q = a[m + 1][m + 1] - z - r - s;
+                        r = a[m + 2][m + 1];
+                        s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        p /= s;
+                        q /= s;
+                        r /= s;
+                        if (m === l) break;
+                        const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                        const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                        if (u + v === v) break;
+                    }
+                    for (let i = m + 2; i <= nn; i++) {
+                        a[i][i - 2] = 0;
+                        if (i !== m + 2) a[i][i - 3] = 0;
+                    }
+
+                    // Double QR step on rows l..nn and columns m..nn
+                    for (let k = m; k <= nn - 1; k++) {
+                        if (k !== m) {
+                            p = a[k][k - 1];
+                            q = a[k + 1][k - 1];
+                            r = k !== nn - 1 ? a[k + 2][k - 1] : 0;
+                            x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                            if (x !== 0) {
+                                p /= x;
+                                q /= x;
+                                r /= x;
+                            }
+                        }
+                        s = sign(Math.sqrt(p * p + q * q + r * r), p);
+                        if (s === 0) continue;
+                        if (k === m) {
+                            if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                        } else {
+                            a[k][k - 1] = -s * x;
+                        }
+                        p += s;
+                        x = p / s;
+                        y = q / s;
+                        z = r / s;
+                        q /= p;
+                        r /= p;
+                        for (let j = k; j <= nn; j++) {
+                            p = a[k][j] + q * a[k + 1][j];
+                            if (k !== nn - 1) {
+                                p += r * a[k + 2][j];
+                                a[k + 2][j] -= p * z;
+                            }
+                            a[k + 1][j] -= p * y;
+                            a[k][j] -= p * x;
+                        }
+                        const last = Math.min(nn, k + 3);
+                        for (let i = l; i <= last; i++) {
+                            p = x * a[i][k] + y * a[i][k + 1];
+                            if (k !== nn - 1) {
+                                p += z * a[i][k + 2];
+                                a[i][k + 2] -= p * r;
+                            }
+                            a[i][k + 1] -= p * q;
+                            a[i][k] -= p;
+                        }
+                    }
+                }
+            }
+        } while (l < nn - 1);
+    }
+
+    return wr.map((re, i) => ({ re, im: wi[i] }))
+        .sort((a, b) => b.re - a.re || b.im - a.im);
+}
+
+// Unit eigenvector for a real eigenvalue, by inverse iteration
+export function realEigenvector(A, lambda) {
+    const n = A.length;
+    const shift = lambda + 1e-10 * Math.max(1, Math.abs(lambda));
+    const shifted = A.map((row, i) => row.map((v, j) => v - (i === j ? shift : 0)));
+
+    let v = Array.from({ length: n }, (_, i) => 1 / Math.sqrt(n) + i * 1e-3);
+    for (let iteration = 0; iteration < 20; iteration++) {
+        const next = solveLinear(shifted, v);
+        if (!next) break;
+        const norm = Math.hypot(...next);
+        if (!(norm > 0) || !Number.isFinite(norm)) break;
+        v = next.map(x => x / norm);
+    }
+
+    // Fix the sign so the largest component is positive
+    const largest = v.reduce((best, x) => (Math.abs(x) > Math.abs(best) ? x : best), 0);
+    return largest < 0 ? v.map(x => -x) : v;
+}
@@ -0,0 +1,176 @@
+import { Integrator } from './integrators.js';
+import { numericalJacobian } from './linearAlgebra.js';
+
+// Lyapunov exponent estimation for any derivative function f(t, y).
+// The largest exponent comes from a renormalised nearby trajectory; the
+// full spectrum from evolving tangent vectors and re-orthonormalising them
+// with a QR decomposition (Benettin's method).
+
+// Modified Gram–Schmidt on the column vectors in place; returns the
+// diagonal of R (the stretch factor of each direction).
+export function orthonormalize(vectors) {
+    const diagonal = [];
+
+    for (let k = 0; k < vectors.length; k++) {
+        const v = vectors[k];
+        for (let j = 0; j < k; j++) {
+            const q = vectors[j];
+            let dot = 0;
+            for (let i = 0; i < v.length; i++) dot += v[i] * q[i];
+            for (let i = 0; i < v.length; i++) v[i] -= dot * q[i];
+        }
+        const norm = Math.hypot(...v);
+        diagonal.push(norm);
+        if (norm > 0) {
+            for (let i = 0; i < v.length; i++) v[i] /= norm;
+        }
+    }
+
+    return diagonal;
+}
+
+// Convergence history is thinned out beyond this many entries
+const MAX_HISTORY = 2000;
+
+function distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+    return Math.sqrt(sum);
+}
+
+export class LyapunovEstimator {
+    constructor({
+        f,
+        state,
+        time = 0,
+        integrator = {},
+        separation = 1e-8,
+        renormalizeEvery = 10,
+        transient = 0,
+        spectrum = true
+    }) {
+        // Leapfrog's position/velocity split has no meaning for the tangent system
+        const method = integrator.method === 'leapfrog' ? 'rk4' : integrator.method;
+        this.integrator = new Integrator({ ...integrator, method });
+        this.dt = this.integrator.settings.dt;
+
+        this.f = f;
+        this.n = state.length;
+        this.time = time;
+        this.startTime = time;
+        this.separation = separation;
+        this.renormalizeEvery = renormalizeEvery;
+        this.transient = transient;
+        this.computeSpectrum = spectrum;
+        this.stepCount = 0;
+
+        this.state = [...state];
+
+        // Nearby trajectory, offset along the diagonal direction
+        this.neighbor = this.state.map(v => v + separation / Math.sqrt(this.n));
+
+        // Tangent vectors, initially the identity basis
+        this.tangents = Array.from({ length: this.n }, (_, k) =>
+            Array.from({ length: this.n }, (_, i) => (i === k ? 1 : 0))
+        );
+
+        this.logStretch = 0;
+        this.logSpectrum = new Array(this.n).fill(0);
+        this.accumulatedTime = 0;
+        this.history = [];
+        this.diverged = false;
+    }
+
+    // Derivative of [x, x̃, v₁, …, vₙ]: the trajectory, its neighbour and the
+    // tangent vectors following v' = J(x) v. They are integrated as one system,
+    // so that an adaptive method moves them through the same sub-steps.
+    derivative(t, y) {
+        const n = this.n;
+        const x = y.slice(0, n);
+        const out = [...this.f(t, x), ...this.f(t, y.slice(n, 2 * n))];
+        if (!this.computeSpectrum) return out;
+
+        const J = numericalJacobian(this.f, t, x);
+        for (let k = 0; k < n; k++) {
+            const offset = n * (k + 2);
+            for (let i = 0; i < n; i++) {
+                let sum = 0;
+                for (let j = 0; j < n; j++) sum += J[i][j] * y[offset + j];
+                out.push(sum);
+            }
+        }
+        return out;
+    }
+
+    step() {
+        const n = this.n;
+        const tangents = this.computeSpectrum ? this.tangents.flat() : [];
+        const next = this.integrator.advance(
+            (time, y) => this.derivative(time, y),
+            this.time,
+            [...this.state, ...this.neighbor, ...tangents],
+            this.dt
+        );
+        this.state = next.slice(0, n);
+        this.neighbor = next.slice(n, 2 * n);
+        if (this.computeSpectrum) {
+            this.tangents = this.tangents.map((_, k) => next.slice(n * (k + 2), n * (k + 3)));
+        }
+        this.time += this.dt;
+        this.stepCount++;
+
+        if (!next.every(Number.isFinite)) {
+            this.diverged = true;
+            return;
+        }
+
+        if (this.stepCount % this.renormalizeEvery === 0) {
+            this.renormalize();
+        }
+    }
+
+    renormalize() {
+        const counting = this.time - this.startTime >= this.transient;
+
+        // Largest exponent: rescale the neighbour back to the initial separation
+        const d = distance(this.state, this.neighbor);
+        if (d > 0) {
+            if (counting) this.logStretch += Math.log(d / this.separation);
+            this.neighbor = this.state.map((v, i) => v + (this.neighbor[i] - v) * this.separation / d);
+        }
+
+        // Full spectrum: QR re-orthonormalisation of the tangent vectors
+        if (this.computeSpectrum) {
+            const stretch = orthonormalize(this.tangents);
+            if (counting) {
+                stretch.forEach((r, i) => { this.logSpectrum[i] += Math.log(r); });
+            }
+        }
+
+        if (!counting) return;
+        this.accumulatedTime += this.renormalizeEvery * this.dt;
+        this.history.push({
+            time: this.time,
+            largest: this.getLargest(),
+            spectrum: this.getSpectrum()
+        });
+        if (this.history.length > MAX_HISTORY) {
+            this.history = this.history.filter((_, i) => i % 2 === 0);
+        }
+    }
+
+    advance(steps) {
+        for (let i = 0; i < steps && !this.diverged; i++) {
+            this.step();
+        }
+    }
+
+    getLargest() {
+        return this.accumulatedTime > 0 ? this.logStretch / this.accumulatedTime : NaN;
+    }
+
+    getSpectrum() {
+        if (!this.computeSpectrum || this.accumulatedTime === 0) return [];
+        return this.logSpectrum.map(sum => sum / this.accumulatedTime);
+    }
+}
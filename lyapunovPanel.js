@@ -0,0 +1,213 @@
+import { LyapunovEstimator } from './lyapunov.js';
+
+// Live Lyapunov exponent panel. `getDynamics` returns the active system as
+// { f, state, time, integrator } whenever the estimate restarts.
+
+const SPECTRUM_COLORS = ['#00fff2', '#ff00ff', '#0066ff', '#ffaa00'];
+
+// Exponents closer to zero than this are reported as neutral
+const ZERO_TOLERANCE = 0.02;
+
+export class LyapunovPanel {
+    constructor(parent, getDynamics) {
+        this.getDynamics = getDynamics;
+        this.estimator = null;
+        this.running = false;
+        this.stepsPerFrame = 20;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Lyapunov Exponents';
+        this.panel.appendChild(title);
+
+        this.toggleBtn = document.createElement('button');
+        this.toggleBtn.className = 'button';
+        this.toggleBtn.textContent = 'Start';
+        this.toggleBtn.onclick = () => (this.running ? this.stop() : this.start());
+        this.panel.appendChild(this.toggleBtn);
+
+        const restartBtn = document.createElement('button');
+        restartBtn.className = 'button';
+        restartBtn.textContent = 'Restart';
+        restartBtn.onclick = () => this.reset();
+        this.panel.appendChild(restartBtn);
+
+        const speedContainer = document.createElement('div');
+        speedContainer.className = 'slider-container';
+        const speedLabel = document.createElement('label');
+        speedLabel.textContent = 'Steps per frame';
+        const speedInput = document.createElement('input');
+        speedInput.type = 'number';
+        speedInput.className = 'input-box';
+        speedInput.min = '1';
+        speedInput.value = this.stepsPerFrame;
+        speedInput.onchange = () => {
+            const value = parseInt(speedInput.value, 10);
+            if (value > 0) {
+                this.stepsPerFrame = value;
+            } else {
+                speedInput.value = this.stepsPerFrame;
+            }
+        };
+        speedContainer.appendChild(speedLabel);
+        speedContainer.appendChild(speedInput);
+        this.panel.appendChild(speedContainer);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'analysis-readout';
+        this.panel.appendChild(this.readout);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'analysis-plot';
+        this.canvas.width = 260;
+        this.canvas.height = 140;
+        this.panel.appendChild(this.canvas);
+
+        parent.appendChild(this.panel);
+        this.render();
+    }
+
+    start() {
+        this.running = true;
+        this.toggleBtn.textContent = 'Stop';
+        if (!this.estimator) this.reset();
+    }
+
+    stop() {
+        this.running = false;
+        this.toggleBtn.textContent = 'Start';
+    }
+
+    // Restart from the simulator's current system, parameters and state
+    reset() {
+        if (!this.running) {
+            this.estimator = null;
+            this.render();
+            return;
+        }
+
+        const { f, state, time, integrator } = this.getDynamics();
+        this.estimator = new LyapunovEstimator({
+            f,
+            state,
+            time,
+            integrator,
+            transient: 20 * integrator.dt * this.stepsPerFrame
+        });
+        this.render();
+    }
+
+    update() {
+        if (!this.running || !this.estimator) return;
+        this.estimator.advance(this.stepsPerFrame);
+        this.render();
+    }
+
+    render() {
+        this.renderReadout();
+        this.renderPlot();
+    }
+
+    renderReadout() {
+        const estimator = this.estimator;
+        this.readout.innerHTML = '';
+
+        const addLine = (text, color) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (color) line.style.color = color;
+            this.readout.appendChild(line);
+        };
+
+        if (!estimator) {
+            addLine('Press Start to estimate the exponents of the current trajectory.');
+            return;
+        }
+        if (estimator.diverged) {
+            addLine('Trajectory diverged; estimate stopped.');
+            return;
+        }
+
+        const largest = estimator.getLargest();
+        if (!Number.isFinite(largest)) {
+            addLine('Discarding transient...');
+            return;
+        }
+
+        addLine(`λ_max ≈ ${largest.toFixed(4)}`);
+        estimator.getSpectrum().forEach((value, i) => {
+            addLine(`λ${i + 1} ≈ ${value.toFixed(4)}`, SPECTRUM_COLORS[i % SPECTRUM_COLORS.length]);
+        });
+        const spectrum = estimator.getSpectrum();
+        if (spectrum.length) {
+            addLine(`Σλ ≈ ${spectrum.reduce((a, b) => a + b, 0).toFixed(4)}`);
+        }
+        addLine(`t = ${(estimator.time - estimator.startTime).toFixed(1)}`);
+
+        let verdict;
+        if (largest > ZERO_TOLERANCE) {
+            verdict = 'Positive: chaotic (sensitive dependence)';
+        } else if (largest < -ZERO_TOLERANCE) {
+            verdict = 'Negative: converging to a fixed point';
+        } else {
+            verdict = 'Near zero: periodic or quasi-periodic';
+        }
+        addLine(verdict);
+    }
+
+    // Running estimates over time: λ_max dashed, spectrum solid
+    renderPlot() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const history = this.estimator ? this.estimator.history : [];
+        if (history.length < 2) return;
+
+        const series = [history.map(h => h.largest)];
+        const dimension = history[history.length - 1].spectrum.length;
+        for (let i = 0; i < dimension; i++) {
+            series.push(history.map(h => h.spectrum[i]));
+        }
+
+        // Skip the noisy first estimates when scaling
+        const settled = Math.floor(history.length * 0.1);
+        const values = series.flatMap(s => s.slice(settled)).filter(Number.isFinite);
+        const yMin = Math.min(0, ...values);
+        const yMax = Math.max(0, ...values);
+        const tMin = history[0].time;
+        const tMax = history[history.length - 1].time;
+        const padding = 10;
+        const toX = t => padding + (t - tMin) / (tMax - tMin || 1) * (width - 2 * padding);
+        const toY = v => height - padding - (v - yMin) / (yMax - yMin || 1) * (height - 2 * padding);
+
+        // Zero line
+        ctx.strokeStyle = 'rgba(0, 255, 242, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(0));
+        ctx.lineTo(width, toY(0));
+        ctx.stroke();
+
+        series.forEach((data, s) => {
+            ctx.strokeStyle = s === 0 ? '#ffffff' : SPECTRUM_COLORS[(s - 1) % SPECTRUM_COLORS.length];
+            ctx.setLineDash(s === 0 ? [4, 3] : []);
+            ctx.beginPath();
+            data.forEach((value, i) => {
+                const clamped = Math.min(yMax, Math.max(yMin, value));
+                const x = toX(history[i].time);
+                const y = toY(clamped);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    }
+}
@@ -1,125 +1,128 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import { DoublePendulum } from './doublePendulum.js';
+import { PendulumView } from './pendulumView.js';
+import { MAX_LINKS, SphericalPendulum } from './pendulum.js';
+import { systems, stateLabels, stepFunction, vectorField } from './systems.js';
+import { isMap } from './maps.js';
 import { createEducationalPanel } from './education.js';
+import { Integrator, integrators } from './integrators.js';
+import {
+    CONFIG_FORMAT, CONFIG_VERSION, ConfigError, decodeShareConfig, encodeShareConfig, validateConfig
+} from './config.js';
+import { CustomSystemError, createCustomSystem, customExamples, customSystemInfo } from './customSystem.js';
+import { LyapunovPanel } from './lyapunovPanel.js';
+import { InvariantPanel } from './invariantPanel.js';
+import { EnsemblePanel } from './ensemblePanel.js';
+import { ComparisonPanel, TWIN_COLOR } from './comparisonPanel.js';
+import { RecordingPanel } from './recordingPanel.js';
+import { CapturePanel } from './capturePanel.js';
+import { BifurcationPanel } from './bifurcationPanel.js';
+import { PoincarePanel } from './poincarePanel.js';
+import { CobwebPanel } from './cobwebPanel.js';
+import { FixedPointView } from './fixedPointsView.js';
+import { StateDragger } from './stateDragger.js';
+import { SchedulePanel } from './schedulePanel.js';
+import { PresetPanel } from './presetPanel.js';
+import { PresetLibrary, loadSession, saveSession } from './presets.js';
+import { scheduledParameters } from './schedule.js';
+import {
+    fromSlider, parameterError, parameterLabel, parameterRange, parameterSpecs, sliderRange, toSlider
+} from './parameters.js';
+import { SimulationEngine } from './simulationEngine.js';
+import { MAX_HISTORY_LENGTH, TrajectoryBuffer } from './trajectoryBuffer.js';
+import { createButton, createField, numberInput, selectInput } from './ui.js';
+import { COLOR_MODES, DEFAULT_COLOR_MAPPING, DEFAULT_VIEW, VIEW_TOGGLES, trailHue } from './display.js';
+import { DEFAULT_FIELD_SETTINGS } from './vectorFieldData.js';
+import { VectorFieldView } from './vectorFieldView.js';
+import { VectorFieldPanel } from './vectorFieldPanel.js';
 
-// Dynamic Systems Equations
-const systems = {
-    doublePendulum: {
-        name: 'Double Pendulum',
-        params: { 
-            m1: 1.0, 
-            m2: 1.0, 
-            l1: 1.0, 
-            l2: 1.0, 
-            g: 9.81, 
-            damping: 0.0 
-        },
-        equations: null, // Special handling in simulator
-        defaultState: [Math.PI/2, 0, Math.PI/2, 0]
-    },
-    lorenz: {
-        name: 'Lorenz Attractor',
-        params: { sigma: 10, rho: 28, beta: 8/3 },
-        equations: (x, y, z, params) => ({
-            dx: params.sigma * (y - x),
-            dy: x * (params.rho - z) - y,
-            dz: x * y - params.beta * z
-        }),
-        defaultState: [1, 1, 1]
-    },
-    rossler: {
-        name: 'Rössler Attractor',
-        params: { a: 0.2, b: 0.2, c: 5.7 },
-        equations: (x, y, z, params) => ({
-            dx: -y - z,
-            dy: x + params.a * y,
-            dz: params.b + z * (x - params.c)
-        }),
-        defaultState: [1, 1, 1]
-    },
-    vanDerPol: {
-        name: 'Van der Pol Oscillator',
-        params: { mu: 1 },
-        equations: (x, y, z, params) => ({
-            dx: y,
-            dy: params.mu * (1 - x * x) * y - x,
-            dz: 0
-        }),
-        defaultState: [1, 1, 0]
-    },
-    pointAttractor: {
-        name: 'Point Attractor',
-        params: { lambda: 1 },
-        equations: (x, y, z, params) => ({
-            dx: -params.lambda * x,
-            dy: -params.lambda * y,
-            dz: -params.lambda * z
-        }),
-        defaultState: [1, 1, 1]
-    },
-    pointRepeller: {
-        name: 'Point Repeller',
-        params: { lambda: 1 },
-        equations: (x, y, z, params) => ({
-            dx: params.lambda * x,
-            dy: params.lambda * y,
-            dz: params.lambda * z
-        }),
-        defaultState: [0.1, 0.1, 0.1]
-    }
-};
+// Samples kept for the 3D trail unless the user changes it
+const DEFAULT_HISTORY_LENGTH = 1000;
+
+// Most recent samples drawn in the 2D projections and the time series
+const PROJECTION_POINTS = 1000;
+const TIME_SERIES_POINTS = 200;
+
+// Longest real frame interval that is simulated; longer gaps (e.g. a
+// background tab) are dropped rather than caught up
+const MAX_FRAME_TIME = 0.1;
+
+// Iterations per real second when an iterated map is first shown
+const DEFAULT_MAP_SPEED = 100;
+
+// Worker time per batch in fast-forward mode, in milliseconds
+const FAST_FORWARD_BUDGET = 12;
+
+// Shortest real time between vector field rebuilds while a schedule moves
+// the parameters, in milliseconds
+const SCHEDULED_FIELD_INTERVAL = 1000;
+
+// How often the session is saved for the next visit, in milliseconds
+const SESSION_SAVE_INTERVAL = 5000;
+
+// A rejected configuration with its problems one per line
+function describeConfigError(heading, error) {
+    return error.errors.length
+        ? [`${heading}:`, ...error.errors.map(e => `• ${e}`)].join('\n')
+        : `${heading} (${error.message}).`;
+}
 
 class DynamicalSystemSimulator {
     constructor() {
+        this.integrator = new Integrator();
+        this.time = 0;
+        this.speed = 1;
+        // True while an iterated map is shown: there is no integrator, time
+        // counts iterations and iterates are drawn as points
+        this.discrete = false;
+        // Speed of flows (simulated s per real s) and of maps (iterations
+        // per real s), kept apart since their units differ
+        this.speeds = { flow: 1, map: DEFAULT_MAP_SPEED };
+        this.fastForward = false;
+        this.lastFrame = null;
+        // Keyframed parameter schedules for the current system (schedule.js)
+        this.schedules = [];
+        this.lastFieldUpdate = 0;
+        // The vector field is rebuilt at most once per frame (see animate)
+        this.fieldDirty = false;
+        this.fieldSettings = { ...DEFAULT_FIELD_SETTINGS };
+        // Parts of the view shown and the trail colouring (display.js)
+        this.view = { ...DEFAULT_VIEW };
+        this.colorMapping = { ...DEFAULT_COLOR_MAPPING };
+        this.engine = new SimulationEngine({
+            onBatch: batch => this.consumeBatch(batch),
+            onError: message => this.showMessage(`Simulation error: ${message}`)
+        });
+
         this.setupScene();
         this.setupUI();
         
-        // Create pendulum visualization elements
-        const sphereGeometry = new THREE.SphereGeometry(0.5, 32, 32);
-        const sphereMaterial = new THREE.MeshPhongMaterial({ color: 0x00fff2 });
-        this.bob1 = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        this.bob2 = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        
-        // Create pendulum rods
-        const rodGeometry = new THREE.CylinderGeometry(0.1, 0.1, 1);
-        rodGeometry.rotateZ(Math.PI / 2);  // Make cylinder horizontal
-        const rodMaterial = new THREE.MeshPhongMaterial({ color: 0xff00ff });
-        
-        // Create rod meshes
-        this.rod1 = new THREE.Mesh(rodGeometry.clone(), rodMaterial);
-        this.rod2 = new THREE.Mesh(rodGeometry.clone(), rodMaterial);
-        
-        // Create pivot points as groups to handle rotations
-        this.rod1Pivot = new THREE.Group();
-        this.rod2Pivot = new THREE.Group();
-        
-        // Add rods to pivots
-        this.rod1Pivot.add(this.rod1);
-        this.rod2Pivot.add(this.rod2);
-        
-        // Add pivots to scene
-        this.scene.add(this.rod1Pivot);
-        this.scene.add(this.rod2Pivot);
-        
-        // Add pendulum elements to scene (only bobs and pivots, rods are already added via pivots)
-        this.scene.add(this.bob1);
-        this.scene.add(this.bob2);
-        
-        // Hide pendulum elements initially
-        this.setPendulumVisibility(false);
+        // Bobs and rods for whichever pendulum is selected
+        this.pendulumView = new PendulumView(this.scene);
+
+        // Marker for the starting point; it and the pendulum bobs can be
+        // dragged to choose where the trajectory begins
+        this.startHandle = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 16),
+            new THREE.MeshPhongMaterial({ color: 0xffff00, transparent: true, opacity: 0.8 })
+        );
+        this.scene.add(this.startHandle);
+        this.stateDragger = new StateDragger(this.renderer.domElement, this.camera, {
+            getHandles: () => (this.pendulum ? this.pendulumView.bobs : [this.startHandle]),
+            onStart: () => this.beginStateDrag(),
+            onDrag: (handle, point) => this.dragState(handle, point),
+            onEnd: (handle, point) => this.endStateDrag(handle, point)
+        });
         
-        this.initializeSystem('lorenz');
+        // A shared link wins over the last session
+        if (!this.restoreFromUrl() && !this.restoreSession()) {
+            this.initializeSystem('lorenz');
+        }
+        setInterval(() => this.persistSession(), SESSION_SAVE_INTERVAL);
+        window.addEventListener('pagehide', () => this.persistSession());
         this.animate();
     }
 
-    setPendulumVisibility(visible) {
-        this.bob1.visible = visible;
-        this.bob2.visible = visible;
-        this.rod1Pivot.visible = visible;
-        this.rod2Pivot.visible = visible;
-    }
-
     setupScene() {
         // Get existing visualization container
         this.visualizationContainer = document.querySelector('.visualization');
@@ -170,39 +173,47 @@ class DynamicalSystemSimulator {
             yz: this.create2DProjection('Y-Z Projection'),
             xz: this.create2DProjection('X-Z Projection')
         };
+        // Clicking a projection restarts from that point
+        [['xy', 0, 1], ['yz', 1, 2], ['xz', 0, 2]].forEach(([key, xIndex, yIndex]) => {
+            const projection = this.projections[key];
+            projection.xIndex = xIndex;
+            projection.yIndex = yIndex;
+            projection.canvas.classList.add('placeable');
+            projection.canvas.title = 'Click to start from this point';
+            projection.canvas.addEventListener('click', event => this.placeFromProjection(projection, event));
+        });
 
         // Time series canvas
         this.timeSeriesCanvas = document.createElement('canvas');
         this.timeSeriesCanvas.width = window.innerWidth / 2;
         this.timeSeriesCanvas.height = window.innerHeight / 4;
-        const timeSeriesPanel = document.createElement('div');
-        timeSeriesPanel.className = 'panel';
-        timeSeriesPanel.appendChild(this.timeSeriesCanvas);
-        this.visualizationContainer.appendChild(timeSeriesPanel);
-
-        // Initialize time series data
-        this.timeSeriesData = {
-            x: [],
-            y: [],
-            z: [],
-            time: []
-        };
+        this.timeSeriesPanel = document.createElement('div');
+        this.timeSeriesPanel.className = 'panel';
+        this.timeSeriesPanel.appendChild(this.timeSeriesCanvas);
+        this.visualizationContainer.appendChild(this.timeSeriesPanel);
 
         // Set initial camera zoom
         this.camera.position.z = 50;
 
-        // Trajectory
-        this.trajectory = new THREE.BufferGeometry();
-        const material = new THREE.LineBasicMaterial({ 
+        // Trajectory history, shared by the 3D trail, projections and time series
+        this.history = new TrajectoryBuffer(DEFAULT_HISTORY_LENGTH);
+        this.trailColor = new THREE.Color();
+        this.trajectoryMaterial = new THREE.LineBasicMaterial({ 
             vertexColors: true,
             linewidth: 2 
         });
-        this.line = new THREE.Line(this.trajectory, material);
-        this.scene.add(this.line);
+        this.trajectoryLines = new THREE.Group();
+        this.scene.add(this.trajectoryLines);
+        // Iterates of maps are drawn as a point cloud over the same history
+        this.trajectoryPointsMaterial = new THREE.PointsMaterial({
+            vertexColors: true,
+            size: 3,
+            sizeAttenuation: false
+        });
+        this.createTrajectoryLines();
 
         // Vector field
-        this.vectorField = new THREE.Group();
-        this.scene.add(this.vectorField);
+        this.vectorFieldView = new VectorFieldView(this.scene);
 
         // Lighting
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
@@ -213,8 +224,8 @@ class DynamicalSystemSimulator {
         this.scene.add(pointLight);
 
         // Grid helper with custom colors
-        const gridHelper = new THREE.GridHelper(100, 20, 0x00fff2, 0x00fff2);
-        this.scene.add(gridHelper);
+        this.gridHelper = new THREE.GridHelper(100, 20, 0x00fff2, 0x00fff2);
+        this.scene.add(this.gridHelper);
 
         // Handle window resize
         const handleResize = () => {
@@ -244,6 +255,10 @@ class DynamicalSystemSimulator {
     setupUI() {
         const controlPanel = document.querySelector('.control-panel');
 
+        // Status messages (e.g. rejected share links)
+        this.messageContainer = document.createElement('div');
+        controlPanel.appendChild(this.messageContainer);
+
         // Educational panel container
         this.educationalContainer = document.createElement('div');
         this.educationalContainer.className = 'educational-container';
@@ -255,17 +270,38 @@ class DynamicalSystemSimulator {
         Object.keys(systems).forEach(key => {
             const option = document.createElement('option');
             option.value = key;
-            option.textContent = systems[key].name;
+            option.textContent = key === 'custom' ? 'Custom System' : systems[key].name;
             systemSelect.appendChild(option);
         });
         systemSelect.addEventListener('change', (e) => this.initializeSystem(e.target.value));
         controlPanel.appendChild(systemSelect);
+        this.systemSelect = systemSelect;
+
+        // Equation editor, only shown for the custom system
+        this.customEditorContainer = document.createElement('div');
+        this.customEditorContainer.className = 'panel custom-editor';
+        controlPanel.appendChild(this.customEditorContainer);
 
         // Parameters UI will be dynamically updated based on selected system
         this.paramsContainer = document.createElement('div');
         this.paramsContainer.className = 'panel';
         controlPanel.appendChild(this.paramsContainer);
 
+        // Starting point, rebuilt with the state variables of each system
+        this.initialStateContainer = document.createElement('div');
+        this.initialStateContainer.className = 'panel';
+        controlPanel.appendChild(this.initialStateContainer);
+
+        this.schedulePanel = new SchedulePanel(controlPanel, {
+            getContext: () => ({
+                params: { ...this.currentParams },
+                specs: this.parameterSpecs,
+                schedules: this.schedules,
+                time: this.time
+            }),
+            onChange: schedules => this.setSchedules(schedules)
+        });
+
         // Playback controls
         const playbackControls = document.createElement('div');
         playbackControls.className = 'panel';
@@ -273,10 +309,8 @@ class DynamicalSystemSimulator {
         const playPauseBtn = document.createElement('button');
         playPauseBtn.className = 'button';
         playPauseBtn.textContent = 'Pause';
-        playPauseBtn.onclick = () => {
-            this.isRunning = !this.isRunning;
-            playPauseBtn.textContent = this.isRunning ? 'Pause' : 'Play';
-        };
+        playPauseBtn.onclick = () => this.setRunning(!this.isRunning);
+        this.playPauseBtn = playPauseBtn;
         
         const resetBtn = document.createElement('button');
         resetBtn.className = 'button';
@@ -285,6 +319,65 @@ class DynamicalSystemSimulator {
 
         playbackControls.appendChild(playPauseBtn);
         playbackControls.appendChild(resetBtn);
+
+        // Speed in simulated seconds per real second, independent of frame rate
+        const fastForwardBtn = document.createElement('button');
+        fastForwardBtn.className = 'button';
+        fastForwardBtn.textContent = 'Fast Forward';
+        fastForwardBtn.onclick = () => {
+            this.fastForward = !this.fastForward;
+            fastForwardBtn.classList.toggle('active', this.fastForward);
+        };
+        playbackControls.appendChild(fastForwardBtn);
+
+        const speedContainer = document.createElement('div');
+        speedContainer.className = 'slider-container';
+        const speedLabel = document.createElement('label');
+        speedLabel.textContent = 'Speed (simulated s per real s)';
+        this.speedLabel = speedLabel;
+        const speedInput = document.createElement('input');
+        speedInput.type = 'number';
+        speedInput.className = 'input-box';
+        speedInput.min = '0';
+        speedInput.step = 'any';
+        speedInput.value = this.speed;
+        speedInput.onchange = () => {
+            const value = parseFloat(speedInput.value);
+            if (Number.isFinite(value) && value > 0) {
+                this.speed = value;
+                this.speeds[this.discrete ? 'map' : 'flow'] = value;
+            } else {
+                speedInput.value = this.speed;
+            }
+        };
+        this.speedInput = speedInput;
+        speedContainer.appendChild(speedLabel);
+        speedContainer.appendChild(speedInput);
+        playbackControls.appendChild(speedContainer);
+
+        const historyContainer = document.createElement('div');
+        historyContainer.className = 'slider-container';
+        const historyLabel = document.createElement('label');
+        historyLabel.textContent = 'Trail length (points)';
+        const historyInput = document.createElement('input');
+        historyInput.type = 'number';
+        historyInput.className = 'input-box';
+        historyInput.min = '2';
+        historyInput.max = String(MAX_HISTORY_LENGTH);
+        historyInput.step = '1000';
+        historyInput.value = DEFAULT_HISTORY_LENGTH;
+        this.historyInput = historyInput;
+        historyInput.onchange = () => {
+            const value = parseInt(historyInput.value, 10);
+            if (value >= 2 && value <= MAX_HISTORY_LENGTH) {
+                this.setHistoryLength(value);
+            } else {
+                historyInput.value = this.history.capacity;
+            }
+        };
+        historyContainer.appendChild(historyLabel);
+        historyContainer.appendChild(historyInput);
+        playbackControls.appendChild(historyContainer);
         
         // Save/Load controls
         const saveBtn = document.createElement('button');
@@ -321,6 +414,527 @@ class DynamicalSystemSimulator {
         playbackControls.appendChild(exportBtn);
         playbackControls.appendChild(shareBtn);
         controlPanel.appendChild(playbackControls);
+
+        // View toggles and trail colouring
+        const displayPanel = document.createElement('div');
+        displayPanel.className = 'panel';
+        const displayTitle = document.createElement('label');
+        displayTitle.textContent = 'Display';
+        displayPanel.appendChild(displayTitle);
+        const displayForm = document.createElement('div');
+        displayForm.className = 'tool-form';
+        this.viewInputs = {};
+        Object.entries(VIEW_TOGGLES).forEach(([key, label]) => {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = this.view[key];
+            input.onchange = () => this.setView({ [key]: input.checked });
+            this.viewInputs[key] = createField(label, input, displayForm);
+        });
+        this.colorModeInput = createField('Trail colour', selectInput(Object.entries(COLOR_MODES)), displayForm);
+        this.colorModeInput.value = this.colorMapping.mode;
+        this.colorModeInput.onchange = () => this.setColorMapping({ mode: this.colorModeInput.value });
+        this.colorScaleInput = createField('Colour cycles per unit', numberInput(this.colorMapping.scale), displayForm);
+        this.colorScaleInput.onchange = () => {
+            const value = parseFloat(this.colorScaleInput.value);
+            if (Number.isFinite(value) && value > 0) {
+                this.setColorMapping({ scale: value });
+            } else {
+                this.colorScaleInput.value = this.colorMapping.scale;
+            }
+        };
+        displayPanel.appendChild(displayForm);
+        controlPanel.appendChild(displayPanel);
+
+        this.vectorFieldPanel = new VectorFieldPanel(controlPanel, {
+            onChange: settings => this.setFieldSettings(settings)
+        });
+
+        this.presetPanel = new PresetPanel(controlPanel, {
+            library: new PresetLibrary(systems),
+            // Presets start from the initial state, not wherever the run has got to
+            getConfiguration: () => {
+                const { paused, ...config } = this.currentConfiguration();
+                return { ...config, state: [...this.initialState] };
+            },
+            onApply: config => this.applyConfiguration(config)
+        });
+
+        // Integrator controls
+        this.integratorContainer = document.createElement('div');
+        this.integratorContainer.className = 'panel';
+        controlPanel.appendChild(this.integratorContainer);
+        this.updateIntegratorControls();
+
+        // Live analysis of the active trajectory
+        this.lyapunovPanel = new LyapunovPanel(controlPanel, () => this.getDynamics());
+        this.invariantPanel = new InvariantPanel(controlPanel, () => ({
+            invariants: this.currentSystem.invariants,
+            params: { ...this.currentParams },
+            state: [...this.state],
+            time: this.time
+        }));
+        this.ensemblePanel = new EnsemblePanel(controlPanel, this.scene, {
+            getContext: () => ({
+                // Pendulum ghosts fan out from nearly identical angles
+                variables: this.pendulum ? this.currentSystem.periodic : undefined,
+                pendulum: this.pendulum ? this.currentSystem.createModel({ ...this.currentParams }) : null
+            }),
+            onSeed: options => this.engine.setEnsemble(options)
+        });
+        this.recordingPanel = new RecordingPanel(controlPanel, {
+            getContext: () => ({
+                systemKey: this.currentSystemKey,
+                name: this.currentSystem.name,
+                custom: this.currentSystem.custom ? this.currentSystem.definition : undefined,
+                labels: stateLabels(this.currentSystem),
+                derived: this.pendulum ? ['speed', 'energy'] : [this.discrete ? 'step' : 'speed'],
+                params: { ...this.currentParams },
+                integrator: this.integrator.getSettings(),
+                time: this.time
+            }),
+            onReplayStart: recording => this.enterReplay(recording),
+            onReplayFrame: (recording, index) => this.showReplayFrame(recording, index),
+            onReplayEnd: () => this.exitReplay()
+        });
+        this.capturePanel = new CapturePanel(controlPanel, {
+            sourceSize: view => this.viewSize(view),
+            drawFrame: (view, ctx, width, height) => {
+                ctx.fillStyle = '#0a0a0f';
+                ctx.fillRect(0, 0, width, height);
+                this.drawView(view, ctx, width, height);
+            },
+            stepFrame: frameTime => this.stepFrame(frameTime),
+            getName: () => this.currentSystem.name
+        });
+        this.comparisonPanel = new ComparisonPanel(controlPanel, this.timeSeriesPanel, this.scene, {
+            getContext: () => ({
+                params: { ...this.currentParams },
+                integrator: this.integrator.getSettings(),
+                labels: stateLabels(this.currentSystem),
+                periodic: this.currentSystem.periodic,
+                sceneMapper: params => this.sceneMapper(params)
+            }),
+            onStart: options => this.engine.setTwin(options)
+        });
+
+        // Tool panels shown in the visualization area
+        this.bifurcationPanel = new BifurcationPanel(this.visualizationContainer, {
+            getContext: () => this.getAnalysisContext(),
+            onSelect: (key, value) => this.setParameter(key, value)
+        });
+        this.poincarePanel = new PoincarePanel(this.visualizationContainer, {
+            getContext: () => ({
+                labels: stateLabels(this.currentSystem),
+                periodic: this.currentSystem.periodic,
+                section: this.currentSystem.section,
+                forcingPeriod: this.currentSystem.forcingPeriod
+                    ? this.currentSystem.forcingPeriod(this.currentParams)
+                    : null
+            })
+        });
+        this.cobwebPanel = new CobwebPanel(this.visualizationContainer, {
+            getContext: () => {
+                const system = this.currentSystem;
+                const oneDimensional = this.discrete && system.defaultState.length === 1;
+                return {
+                    iterate: oneDimensional ? x => system.iterate([x], this.currentParams)[0] : null,
+                    domain: system.domain,
+                    iterates: count => this.history.recent(count).map(point => point[0]),
+                    label: stateLabels(system)[0]
+                };
+            }
+        });
+        this.fixedPointView = new FixedPointView(this.scene, {
+            getContext: () => ({
+                systemKey: this.currentSystemKey,
+                custom: this.currentSystem.custom ? this.currentSystem.definition : undefined,
+                params: { ...this.currentParams },
+                state: [...this.state],
+                labels: stateLabels(this.currentSystem),
+                periodic: this.currentSystem.periodic,
+                samples: this.pendulum ? [] : this.history.recent(1000).filter((_, i) => i % 100 === 0),
+                inScene: !this.pendulum,
+                unavailable: this.fixedPointNote()
+            })
+        });
+
+        const toolsPanel = document.createElement('div');
+        toolsPanel.className = 'panel';
+        const toolsTitle = document.createElement('label');
+        toolsTitle.textContent = 'Tools';
+        toolsPanel.appendChild(toolsTitle);
+        toolsPanel.appendChild(document.createElement('br'));
+        // Each tool is offered only where `available()` holds
+        this.tools = [
+            { label: 'Bifurcation Diagram', panel: this.bifurcationPanel, available: () => true },
+            { label: 'Poincaré Section', panel: this.poincarePanel, available: () => !this.discrete },
+            {
+                label: 'Cobweb Diagram',
+                panel: this.cobwebPanel,
+                available: () => this.discrete && this.currentSystem.defaultState.length === 1
+            },
+            { label: 'Fixed Points', panel: this.fixedPointView, available: () => true }
+        ];
+        this.tools.forEach(tool => {
+            const { label, panel } = tool;
+            const button = document.createElement('button');
+            button.className = 'button';
+            button.textContent = label;
+            button.classList.toggle('active', panel.isVisible());
+            button.onclick = () => {
+                panel.setVisible(!panel.isVisible());
+                button.classList.toggle('active', panel.isVisible());
+            };
+            tool.button = button;
+            toolsPanel.appendChild(button);
+        });
+        controlPanel.appendChild(toolsPanel);
+    }
+
+    // Why the fixed-point table is empty, or null when equilibria are searched for
+    fixedPointNote() {
+        if (this.discrete) {
+            return 'Iterated maps have no equilibria to search for; their fixed points, F(x) = x, are where the cobweb staircase meets the diagonal.';
+        }
+        if (this.currentSystem.forcingPeriod) {
+            return 'The forcing keeps this system from resting anywhere; its periodic orbits show up as fixed points of the stroboscopic Poincaré section.';
+        }
+        return null;
+    }
+
+    // Integrators, Lyapunov exponents, ensembles and twin comparisons work
+    // on flows only, the cobweb diagram on one-dimensional maps only; tools
+    // that don't apply to the active system are closed and hidden
+    updateToolAvailability() {
+        [this.lyapunovPanel, this.ensemblePanel, this.comparisonPanel].forEach(panel => {
+            if (this.discrete && panel.running) panel.stop();
+            panel.panel.style.display = this.discrete ? 'none' : '';
+        });
+        this.tools.forEach(({ panel, button, available }) => {
+            const usable = available();
+            if (!usable && panel.isVisible()) panel.setVisible(false);
+            button.style.display = usable ? '' : 'none';
+            button.classList.toggle('active', panel.isVisible());
+        });
+
+        this.speed = this.speeds[this.discrete ? 'map' : 'flow'];
+        this.speedInput.value = this.speed;
+        this.speedLabel.textContent = this.discrete
+            ? 'Speed (iterations per real s)'
+            : 'Speed (simulated s per real s)';
+    }
+
+    // Plain-data description of the active system for tools that run in a worker
+    getAnalysisContext() {
+        return {
+            systemKey: this.currentSystemKey,
+            custom: this.currentSystem.custom ? this.currentSystem.definition : undefined,
+            params: { ...this.currentParams },
+            state: [...this.state],
+            labels: stateLabels(this.currentSystem),
+            ranges: this.parameterRanges(),
+            integrator: this.integrator.getSettings(),
+            forced: Boolean(this.currentSystem.forcingPeriod),
+            map: isMap(this.currentSystem)
+        };
+    }
+
+    // Slider limits of every parameter in parameter units
+    parameterRanges() {
+        const ranges = {};
+        Object.entries(this.currentParams).forEach(([key, value]) => {
+            ranges[key] = parameterRange(this.parameterSpecs[key], value);
+        });
+        return ranges;
+    }
+
+    setParameter(key, value) {
+        this.currentParams[key] = value;
+        this.updateParameterControls();
+        this.onParametersChanged();
+    }
+
+    // The active system as a derivative function f(t, y) plus the current
+    // state and integrator settings, for analysis tools
+    getDynamics() {
+        return {
+            f: vectorField(this.currentSystem, { ...this.currentParams }),
+            state: [...this.state],
+            time: this.time,
+            integrator: this.integrator.getSettings()
+        };
+    }
+
+    // Point drawn in the 3D view for a state: the outermost bob for pendulums,
+    // and (x, f(x)) for one-dimensional systems, i.e. the return map
+    // (x_n, x_{n+1}) of a map or the phase line (x, dx/dt) of a flow
+    scenePosition(state) {
+        return this.sceneMapper(this.currentParams, this.pendulum)(state);
+    }
+
+    // scenePosition() for states under other parameters; pendulums need a
+    // model of their own, built once here
+    sceneMapper(params, pendulum = this.pendulum && this.currentSystem.createModel({ ...params })) {
+        if (pendulum) {
+            return state => {
+                pendulum.setState(state);
+                const bobs = pendulum.getBobPositions();
+                return bobs[bobs.length - 1];
+            };
+        }
+        if (this.currentSystem.defaultState.length === 1) {
+            const f = stepFunction(this.currentSystem, { ...params });
+            return state => [state[0], f(0, state)[0], 0];
+        }
+        return state => [state[0], state[1] || 0, state[2] || 0];
+    }
+
+    // Restart the worker simulation from the current system, state and settings
+    syncEngine() {
+        this.divergedNotified = false;
+        this.engine.load({
+            systemKey: this.currentSystemKey,
+            custom: this.currentSystem.custom ? this.currentSystem.definition : undefined,
+            params: { ...this.currentParams },
+            state: [...this.state],
+            time: this.time,
+            integrator: this.integrator.getSettings(),
+            schedules: this.schedules
+        });
+        if (this.pendulum) {
+            this.pendulum.setState(this.state);
+            this.updatePendulumMeshes();
+        }
+    }
+
+    onParametersChanged() {
+        if (this.pendulum) {
+            this.pendulum.setParameters(this.currentParams);
+            this.updatePendulumMeshes();
+        }
+        this.engine.setParameters({ ...this.currentParams });
+        this.recordingPanel.parametersChanged(this.time, { ...this.currentParams });
+        this.lyapunovPanel.reset();
+        this.invariantPanel.reset();
+        this.ensemblePanel.reset();
+        this.comparisonPanel.reset();
+        this.poincarePanel.parametersChanged();
+        this.cobwebPanel.update();
+        this.fixedPointView.schedule();
+        this.fieldDirty = true;
+    }
+
+    // Replace the parameter schedules; scheduled sliders follow their schedule
+    setSchedules(schedules) {
+        this.schedules = schedules;
+        this.engine.setSchedules(schedules);
+        this.applySchedules();
+        this.updateParameterControls();
+        this.onParametersChanged();
+    }
+
+    // Move scheduled parameters to their values at the current time. Called
+    // after every batch, so this is kept lighter than onParametersChanged():
+    // the analysis tools carry on across the sweep.
+    applySchedules() {
+        if (this.schedules.length === 0) return;
+        const values = scheduledParameters(this.schedules, this.time);
+        if (!Object.keys(values).some(key => values[key] !== this.currentParams[key])) return;
+
+        Object.assign(this.currentParams, values);
+        Object.entries(values).forEach(([key, value]) => {
+            const control = this.parameterControls[key];
+            if (!control) return;
+            control.slider.value = toSlider(control.spec, value);
+            control.valueDisplay.value = parseFloat(value.toPrecision(6));
+        });
+        if (this.pendulum) this.pendulum.setParameters(this.currentParams);
+        this.recordingPanel.parametersChanged(this.time, { ...this.currentParams });
+        this.fixedPointView.schedule();
+
+        if (performance.now() - this.lastFieldUpdate > SCHEDULED_FIELD_INTERVAL) {
+            this.fieldDirty = true;
+        }
+    }
+
+    setRunning(running) {
+        this.isRunning = running;
+        this.playPauseBtn.textContent = running ? 'Pause' : 'Play';
+    }
+
+    showMessage(text, type = 'error') {
+        const message = document.createElement('div');
+        message.className = `status-message ${type}`;
+        message.textContent = text;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'status-close';
+        closeBtn.textContent = '×';
+        closeBtn.onclick = () => message.remove();
+        message.appendChild(closeBtn);
+
+        this.messageContainer.appendChild(message);
+    }
+
+    updateCustomEditor() {
+        this.customEditorContainer.innerHTML = '';
+        this.customEditorContainer.style.display = this.currentSystem.custom ? '' : 'none';
+        if (!this.currentSystem.custom) return;
+
+        const definition = this.currentSystem.definition;
+
+        const exampleSelect = document.createElement('select');
+        exampleSelect.className = 'dropdown';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Load example...';
+        exampleSelect.appendChild(placeholder);
+        Object.entries(customExamples).forEach(([key, example]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = example.name;
+            exampleSelect.appendChild(option);
+        });
+
+        const createField = (labelText, element) => {
+            const container = document.createElement('div');
+            container.className = 'slider-container';
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            element.className = 'input-box';
+            element.spellcheck = false;
+            container.appendChild(label);
+            container.appendChild(element);
+            this.customEditorContainer.appendChild(container);
+            return element;
+        };
+
+        const nameInput = createField('Name', document.createElement('input'));
+        nameInput.value = definition.name;
+
+        const equationsInput = createField('Equations', document.createElement('textarea'));
+        equationsInput.rows = 4;
+        equationsInput.placeholder = 'dx/dt = sigma*(y - x)';
+        equationsInput.value = definition.equations;
+
+        const parametersInput = createField('Parameters (name = default [min, max])', document.createElement('textarea'));
+        parametersInput.rows = 3;
+        parametersInput.placeholder = 'sigma = 10 [0, 50]';
+        parametersInput.value = definition.parameters;
+
+        const stateInput = createField('Initial state', document.createElement('input'));
+        stateInput.value = definition.initialState.join(', ');
+
+        const errorDisplay = document.createElement('div');
+        errorDisplay.className = 'custom-errors';
+
+        exampleSelect.onchange = () => {
+            const example = customExamples[exampleSelect.value];
+            if (!example) return;
+            nameInput.value = example.name;
+            equationsInput.value = example.equations;
+            parametersInput.value = example.parameters;
+            stateInput.value = example.initialState.join(', ');
+            exampleSelect.value = '';
+        };
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'button';
+        applyBtn.textContent = 'Apply';
+        applyBtn.onclick = () => {
+            try {
+                systems.custom = createCustomSystem({
+                    name: nameInput.value.trim(),
+                    equations: equationsInput.value,
+                    parameters: parametersInput.value,
+                    initialState: stateInput.value
+                });
+                this.initializeSystem('custom');
+            } catch (error) {
+                if (!(error instanceof CustomSystemError)) throw error;
+                errorDisplay.innerHTML = '';
+                error.errors.forEach(text => {
+                    const line = document.createElement('div');
+                    line.textContent = text;
+                    errorDisplay.appendChild(line);
+                });
+            }
+        };
+
+        this.customEditorContainer.insertBefore(exampleSelect, this.customEditorContainer.firstChild);
+        this.customEditorContainer.appendChild(errorDisplay);
+        this.customEditorContainer.appendChild(applyBtn);
+    }
+
+    updateIntegratorControls() {
+        this.integratorContainer.innerHTML = '';
+        const settings = this.integrator.getSettings();
+
+        const title = document.createElement('label');
+        title.textContent = this.discrete ? 'Iteration' : 'Integrator';
+        this.integratorContainer.appendChild(title);
+        if (this.discrete) {
+            const note = document.createElement('div');
+            note.className = 'tool-status';
+            note.textContent = 'Maps are iterated directly: every step applies the map once.';
+            this.integratorContainer.appendChild(note);
+            return;
+        }
+
+        const methodSelect = document.createElement('select');
+        methodSelect.className = 'dropdown';
+        Object.entries(integrators).forEach(([key, method]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = method.name;
+            methodSelect.appendChild(option);
+        });
+        methodSelect.value = settings.method;
+        methodSelect.onchange = () => {
+            this.integrator.configure({ method: methodSelect.value });
+            this.engine.configure(this.integrator.getSettings());
+            this.updateIntegratorControls();
+            this.lyapunovPanel.reset();
+        };
+        this.integratorContainer.appendChild(methodSelect);
+
+        const fields = [{ key: 'dt', label: 'Step size (dt)' }];
+        if (integrators[settings.method].adaptive) {
+            fields.push(
+                { key: 'rtol', label: 'Relative tolerance' },
+                { key: 'atol', label: 'Absolute tolerance' }
+            );
+        }
+
+        fields.forEach(({ key, label }) => {
+            const container = document.createElement('div');
+            container.className = 'slider-container';
+
+            const fieldLabel = document.createElement('label');
+            fieldLabel.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'input-box';
+            input.min = '0';
+            input.step = 'any';
+            input.value = settings[key];
+            input.onchange = () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value) && value > 0) {
+                    this.integrator.configure({ [key]: value });
+                    this.engine.configure(this.integrator.getSettings());
+                    this.lyapunovPanel.reset();
+                } else {
+                    input.value = this.integrator.settings[key];
+                }
+            };
+
+            container.appendChild(fieldLabel);
+            container.appendChild(input);
+            this.integratorContainer.appendChild(container);
+        });
     }
 
     create2DProjection(title) {
@@ -340,19 +954,43 @@ class DynamicalSystemSimulator {
         this.visualizationContainer.appendChild(panel);
         
         return {
+            panel,
             canvas,
-            context: canvas.getContext('2d'),
-            data: []
+            context: canvas.getContext('2d')
         };
     }
 
-    saveConfiguration() {
+    // Everything needed to bring the simulator back to where it is now, in
+    // the current schema (see config.js); saved files and share links alike
+    currentConfiguration() {
         const config = {
-            system: this.currentSystem.name,
-            parameters: this.currentParams,
-            state: this.state
+            format: CONFIG_FORMAT,
+            version: CONFIG_VERSION,
+            system: this.currentSystemKey,
+            parameters: { ...this.currentParams },
+            state: [...this.state],
+            integrator: this.integrator.getSettings(),
+            historyLength: this.history.capacity,
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray()
+            },
+            view: { ...this.view },
+            colorMapping: { ...this.colorMapping },
+            fieldSettings: { ...this.fieldSettings },
+            paused: !this.isRunning
         };
-        
+        if (this.schedules.length) {
+            config.schedules = this.schedules;
+        }
+        if (this.currentSystem.custom) {
+            config.custom = this.currentSystem.definition;
+        }
+        return config;
+    }
+
+    saveConfiguration() {
+        const config = this.currentConfiguration();
         const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
@@ -365,38 +1003,59 @@ class DynamicalSystemSimulator {
         URL.revokeObjectURL(url);
     }
 
+    // Saved files go through the same checks as share links; nothing is
+    // applied unless the whole file is valid
     async loadConfiguration(file) {
+        let config;
         try {
-            const text = await file.text();
-            const config = JSON.parse(text);
-            
-            const systemKey = Object.keys(systems).find(
-                key => systems[key].name === config.system
-            );
-            
-            if (!systemKey) throw new Error('Invalid system in configuration file');
-            
-            this.initializeSystem(systemKey);
-            this.currentParams = { ...config.parameters };
-            this.state = [...config.state];
-            
-            // Update UI
-            this.updateParameterControls();
-            this.reset();
+            config = validateConfig(JSON.parse(await file.text()), systems);
         } catch (error) {
             console.error('Error loading configuration:', error);
-            alert('Error loading configuration file');
+            this.showMessage(error instanceof ConfigError
+                ? describeConfigError(`Could not load ${file.name}`, error)
+                : `Could not load ${file.name} (the file is not valid JSON).`);
+            return;
         }
+        this.applyConfiguration(config);
     }
 
     exportVisualization() {
         // Create a composite canvas of all views
         const canvas = document.createElement('canvas');
-        const width = this.renderer.domElement.width * 2;
-        const height = this.renderer.domElement.height * 2;
+        const { width, height } = this.viewSize('composite');
         canvas.width = width;
         canvas.height = height;
-        const ctx = canvas.getContext('2d');
+        this.drawView('composite', canvas.getContext('2d'), width, height);
+
+        // Export
+        const link = document.createElement('a');
+        link.download = `${this.currentSystem.name.toLowerCase()}_visualization.png`;
+        link.href = canvas.toDataURL();
+        link.click();
+    }
+
+    viewCanvas(view) {
+        if (view === 'scene') return this.renderer.domElement;
+        if (view === 'timeSeries') return this.timeSeriesCanvas;
+        return this.projections[view].canvas;
+    }
+
+    viewSize(view) {
+        if (view === 'composite') {
+            return { width: this.renderer.domElement.width * 2, height: this.renderer.domElement.height * 2 };
+        }
+        const { width, height } = this.viewCanvas(view);
+        return { width, height };
+    }
+
+    // Draw one view, or the composite of all of them, scaled to width × height
+    drawView(view, ctx, width, height) {
+        // Render now so the WebGL drawing buffer is still valid when copied
+        this.renderer.render(this.scene, this.camera);
+        if (view !== 'composite') {
+            ctx.drawImage(this.viewCanvas(view), 0, 0, width, height);
+            return;
+        }
 
         // Draw main 3D view
         ctx.drawImage(this.renderer.domElement, 0, 0, width/2, height/2);
@@ -408,22 +1067,21 @@ class DynamicalSystemSimulator {
 
         // Draw time series
         ctx.drawImage(this.timeSeriesCanvas, width/2, height/2, width/2, height/4);
+    }
 
-        // Export
-        const link = document.createElement('a');
-        link.download = `${this.currentSystem.name.toLowerCase()}_visualization.png`;
-        link.href = canvas.toDataURL();
-        link.click();
+    // Deterministic capture: one frame is exactly one batch of simulated time
+    // (or the same stretch of a replay), whatever the frame took to render
+    stepFrame(frameTime) {
+        if (this.replaying) {
+            this.recordingPanel.update(frameTime, this.speed);
+            return null;
+        }
+        if (!this.isRunning) return null;
+        return this.engine.step(frameTime * this.speed);
     }
 
     shareConfiguration() {
-        const config = {
-            system: this.currentSystem.name,
-            parameters: this.currentParams,
-            state: this.state
-        };
-        
-        const queryString = btoa(JSON.stringify(config));
+        const queryString = encodeShareConfig(this.currentConfiguration());
         const url = `${window.location.href.split('?')[0]}?config=${queryString}`;
         
         // Copy to clipboard
@@ -435,36 +1093,144 @@ class DynamicalSystemSimulator {
         });
     }
 
+    // Returns true when a ?config= link was found and applied
+    restoreFromUrl() {
+        const encoded = new URLSearchParams(window.location.search).get('config');
+        if (!encoded) return false;
+
+        try {
+            this.applyConfiguration(validateConfig(decodeShareConfig(encoded), systems));
+            return true;
+        } catch (error) {
+            console.error('Error restoring shared configuration:', error);
+            this.showMessage(error instanceof ConfigError
+                ? describeConfigError('Could not open shared link; showing the default system instead', error)
+                : 'Could not open shared link (unexpected error). Showing the default system instead.');
+            return false;
+        }
+    }
+
+    // Pick up where the last visit left off; returns true when a saved
+    // session was found and applied
+    restoreSession() {
+        const config = loadSession(systems);
+        if (!config) return false;
+        this.applyConfiguration(config);
+        return true;
+    }
+
+    persistSession() {
+        if (this.replaying) return;
+        saveSession(this.currentConfiguration());
+    }
+
+    // Apply a configuration that has already passed validateConfig()
+    applyConfiguration(config) {
+        if (config.custom) {
+            systems.custom = createCustomSystem(config.custom);
+        }
+        if (systems[config.system].fromParameters) {
+            systems[config.system] = systems[config.system].fromParameters(config.parameters);
+        }
+        this.initializeSystem(config.system);
+
+        this.currentParams = { ...config.parameters };
+        this.schedules = config.schedules;
+        this.applySchedules();
+        this.state = [...config.state];
+        this.initialState = [...config.state];
+        if (this.pendulum) {
+            this.pendulum.setState(this.state);
+        }
+        this.updateInitialStateControls();
+        this.updateParameterControls();
+        this.schedulePanel.refresh();
+        this.updateVectorField();
+
+        if (config.integrator) {
+            this.integrator.configure(config.integrator);
+            this.updateIntegratorControls();
+        }
+        this.onParametersChanged();
+
+        if (config.historyLength && config.historyLength !== this.history.capacity) {
+            this.setHistoryLength(config.historyLength);
+            this.historyInput.value = config.historyLength;
+        }
+        if (config.view) this.setView(config.view);
+        if (config.colorMapping) this.setColorMapping(config.colorMapping);
+        if (config.fieldSettings) this.setFieldSettings(config.fieldSettings);
+
+        if (config.camera) {
+            this.camera.position.fromArray(config.camera.position);
+            this.controls.target.fromArray(config.camera.target);
+            this.controls.update();
+        }
+
+        this.syncEngine();
+        this.setRunning(!config.paused);
+    }
+
     updateParameterControls() {
         this.paramsContainer.innerHTML = '';
+        this.parameterControls = {};
+        if (this.currentSystem.resize) this.addLinkControl();
         Object.entries(this.currentParams).forEach(([key, value]) => {
+            const spec = this.parameterSpecs[key];
             const container = document.createElement('div');
             container.className = 'slider-container';
+            container.title = this.parameterTooltip(key);
+            // Scheduled parameters only display their current value
+            const scheduled = this.schedules.some(schedule => schedule.param === key);
             
             const label = document.createElement('label');
-            label.textContent = key;
+            label.textContent = parameterLabel(key, spec) + (scheduled ? ' (scheduled)' : '');
             
             const slider = document.createElement('input');
             slider.type = 'range';
             slider.className = 'slider';
-            slider.min = '0';
-            slider.max = value * 2;
-            slider.step = value / 100;
-            slider.value = value;
+            const range = sliderRange(spec, value);
+            slider.min = range.min;
+            slider.max = range.max;
+            slider.step = range.step;
+            slider.value = toSlider(spec, value);
             
             const valueDisplay = document.createElement('input');
             valueDisplay.type = 'number';
             valueDisplay.className = 'input-box';
+            valueDisplay.step = 'any';
+            if (spec.min !== undefined) valueDisplay.min = spec.min;
+            if (spec.max !== undefined) valueDisplay.max = spec.max;
             valueDisplay.value = value;
+            slider.disabled = scheduled;
+            valueDisplay.disabled = scheduled;
+            this.parameterControls[key] = { slider, valueDisplay, spec };
             
             slider.oninput = () => {
-                this.currentParams[key] = parseFloat(slider.value);
-                valueDisplay.value = slider.value;
+                // Log sliders would otherwise produce long decimals
+                const position = parseFloat(slider.value);
+                const next = spec.log ? parseFloat(fromSlider(spec, position).toPrecision(3)) : position;
+                this.currentParams[key] = next;
+                valueDisplay.value = next;
+                valueDisplay.setCustomValidity('');
+                this.onParametersChanged();
             };
             
+            // Typed values are checked against the limits; rejected ones are
+            // explained in a tooltip and the box keeps the previous value
             valueDisplay.onchange = () => {
-                this.currentParams[key] = parseFloat(valueDisplay.value);
-                slider.value = valueDisplay.value;
+                const next = valueDisplay.value.trim() === '' ? NaN : Number(valueDisplay.value);
+                const error = parameterError(key, next, spec);
+                if (error) {
+                    valueDisplay.setCustomValidity(error);
+                    valueDisplay.reportValidity();
+                    valueDisplay.value = this.currentParams[key];
+                    return;
+                }
+                valueDisplay.setCustomValidity('');
+                this.currentParams[key] = next;
+                slider.value = toSlider(spec, next);
+                this.onParametersChanged();
             };
             
             container.appendChild(label);
@@ -474,276 +1240,557 @@ class DynamicalSystemSimulator {
         });
     }
 
+    // Description and limits of a parameter, for tooltips
+    parameterTooltip(key) {
+        const { name, description, unit, min, max } = this.parameterSpecs[key];
+        const lines = [description ? `${name}: ${description}` : name];
+        if (min !== undefined || max !== undefined) {
+            lines.push(`Range: ${min ?? '−∞'} to ${max ?? '∞'}${unit ? ` ${unit}` : ''}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Number of links of the resizable pendulum chain; changing it starts over
+    addLinkControl() {
+        const container = document.createElement('div');
+        container.className = 'slider-container';
+        const label = document.createElement('label');
+        label.textContent = `Links (1–${MAX_LINKS})`;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'input-box';
+        input.min = '1';
+        input.max = String(MAX_LINKS);
+        input.step = '1';
+        input.value = this.currentSystem.links;
+        input.onchange = () => {
+            const links = parseInt(input.value, 10);
+            if (links >= 1 && links <= MAX_LINKS) {
+                systems[this.currentSystemKey] = this.currentSystem.resize(links);
+                this.initializeSystem(this.currentSystemKey);
+            } else {
+                input.value = this.currentSystem.links;
+            }
+        };
+        container.appendChild(label);
+        container.appendChild(input);
+        this.paramsContainer.appendChild(container);
+    }
+
     initializeSystem(systemKey) {
+        this.currentSystemKey = systemKey;
         this.currentSystem = systems[systemKey];
         this.currentParams = { ...this.currentSystem.params };
+        this.parameterSpecs = parameterSpecs(systemKey, this.currentSystem);
+        this.discrete = isMap(this.currentSystem);
+        this.updateToolAvailability();
 
         // Update educational panel
         this.educationalContainer.innerHTML = '';
-        const educationalPanel = createEducationalPanel(systemKey);
+        const educationalPanel = this.currentSystem.custom
+            ? createEducationalPanel(systemKey, customSystemInfo(this.currentSystem))
+            : createEducationalPanel(systemKey);
         if (educationalPanel) {
             this.educationalContainer.appendChild(educationalPanel);
         }
+        this.educationalContainer.appendChild(this.fixedPointView.element);
         
         // Handle pendulum visibility and initialization
-        if (systemKey === 'doublePendulum') {
-            this.doublePendulum = new DoublePendulum(this.currentParams);
-            this.state = this.doublePendulum.getState();
-            this.setPendulumVisibility(true);
-            // Adjust camera for better pendulum view
-            this.camera.position.set(0, 0, 15);
+        if (this.currentSystem.createModel) {
+            this.pendulum = this.currentSystem.createModel(this.currentParams);
+            this.state = [...this.currentSystem.defaultState];
+            this.pendulum.setState(this.state);
+            this.pendulumView.build(this.pendulum);
+            this.pendulumView.setVisible(true);
+            // Adjust camera for better pendulum view, far enough for the whole chain
+            const reach = Math.max(...this.pendulum.getBobPositions().map(p => Math.hypot(...p)));
+            const distance = Math.max(15, 6 * reach);
+            if (this.pendulum instanceof SphericalPendulum) {
+                // Look down at an angle so the swing is seen in depth
+                this.camera.position.set(distance * 0.5, distance * 0.3, distance * 0.8);
+            } else {
+                this.camera.position.set(0, 0, distance);
+            }
             this.camera.lookAt(0, 0, 0);
+        } else if (this.discrete) {
+            this.pendulum = null;
+            this.state = [...this.currentSystem.defaultState];
+            this.pendulumView.setVisible(false);
+            // Face the plane of the map's iterates, framing its usual region
+            const { center: [x, y], size } = this.currentSystem.view;
+            this.camera.position.set(x, y, 1.5 * size);
+            this.camera.lookAt(x, y, 0);
         } else {
-            this.doublePendulum = null;
+            this.pendulum = null;
             this.state = [...this.currentSystem.defaultState];
-            this.setPendulumVisibility(false);
+            this.pendulumView.setVisible(false);
             // Reset camera for other systems
             this.camera.position.set(15, 15, 15);
             this.camera.lookAt(0, 0, 0);
         }
+        const [targetX, targetY] = this.discrete ? this.currentSystem.view.center : [0, 0];
+        this.controls.target.set(targetX, targetY, 0);
+        this.initialState = [...this.state];
+        this.buildInitialStateControls();
+        this.schedules = [];
         
-        this.positions = [];
-        this.colors = [];
-        this.isRunning = true;
+        this.setRunning(true);
+        this.time = 0;
+        this.integrator.configure();
+        this.recordingPanel.systemChanged();
         
-        // Clear projections and time series
+        // Clear the trail, projections and time series
+        this.history.clear();
+        this.updateTrajectory();
         Object.values(this.projections).forEach(proj => {
-            proj.data = [];
             proj.context.clearRect(0, 0, proj.canvas.width, proj.canvas.height);
         });
         
-        this.timeSeriesData = { x: [], y: [], z: [], time: [] };
-        
-        // Clear existing parameter controls
-        this.paramsContainer.innerHTML = '';
-        
-        // Create parameter controls
-        Object.entries(this.currentParams).forEach(([key, value]) => {
-            const container = document.createElement('div');
-            container.className = 'slider-container';
-            
-            const label = document.createElement('label');
-            label.textContent = key;
-            
-            const slider = document.createElement('input');
-            slider.type = 'range';
-            slider.className = 'slider';
-            slider.min = '0';
-            slider.max = value * 2;
-            slider.step = value / 100;
-            slider.value = value;
-            
-            const valueDisplay = document.createElement('input');
-            valueDisplay.type = 'number';
-            valueDisplay.className = 'input-box';
-            valueDisplay.value = value;
-            
-            slider.oninput = () => {
-                this.currentParams[key] = parseFloat(slider.value);
-                valueDisplay.value = slider.value;
-            };
-            
-            valueDisplay.onchange = () => {
-                this.currentParams[key] = parseFloat(valueDisplay.value);
-                slider.value = valueDisplay.value;
-            };
-            
-            container.appendChild(label);
-            container.appendChild(slider);
-            container.appendChild(valueDisplay);
-            this.paramsContainer.appendChild(container);
-        });
+        this.updateParameterControls();
+        this.updateIntegratorControls();
+        this.schedulePanel.refresh();
+        this.updateCustomEditor();
+        this.systemSelect.value = systemKey;
+        this.lyapunovPanel.reset();
+        this.invariantPanel.reset();
+        this.ensemblePanel.reset();
+        this.comparisonPanel.refreshForm();
+        this.comparisonPanel.reset();
+        if (this.bifurcationPanel.isVisible()) {
+            this.bifurcationPanel.refreshForm();
+        }
+        this.poincarePanel.refreshForm();
 
         this.updateVectorField();
+        this.fixedPointView.update();
+        this.syncEngine();
     }
 
     updateVectorField() {
-        // Clear existing vector field
-        while(this.vectorField.children.length > 0) {
-            this.vectorField.remove(this.vectorField.children[0]);
-        }
+        this.fieldDirty = false;
+        this.lastFieldUpdate = performance.now();
+        const dimension = this.currentSystem.defaultState.length;
 
-        // Skip vector field for double pendulum
-        if (this.currentSystem.name === 'Double Pendulum') {
+        // Skip vector field for pendulums and maps, or when hidden
+        let note = null;
+        if (this.currentSystem.createModel || this.discrete) {
+            note = 'Drawn for flows only.';
+        } else if (dimension > 3) {
+            note = 'Drawn for systems with two or three variables.';
+        }
+        this.vectorFieldPanel.setNote(note);
+        if (note || !this.view.vectorField) {
+            this.vectorFieldView.clear();
             return;
         }
 
-        // Create new vector field
-        const gridSize = 5;
-        const spacing = 5;
-        
-        for(let x = -gridSize; x <= gridSize; x++) {
-            for(let y = -gridSize; y <= gridSize; y++) {
-                for(let z = -gridSize; z <= gridSize; z++) {
-                    const position = new THREE.Vector3(x * spacing, y * spacing, z * spacing);
-                    if (this.currentSystem.equations) {
-                        const derivatives = this.currentSystem.equations(
-                            position.x, 
-                            position.y, 
-                            position.z, 
-                            this.currentParams
-                        );
-                        
-                        const direction = new THREE.Vector3(
-                            derivatives.dx,
-                            derivatives.dy,
-                            derivatives.dz
-                        ).normalize();
-
-                        const arrowHelper = new THREE.ArrowHelper(
-                            direction,
-                            position,
-                            spacing * 0.8,
-                            0x00fff2,
-                            spacing * 0.2,
-                            spacing * 0.1
-                        );
-                        
-                        this.vectorField.add(arrowHelper);
-                    }
-                }
-            }
-        }
+        this.vectorFieldView.update(
+            vectorField(this.currentSystem, { ...this.currentParams }),
+            this.fieldSettings,
+            { dimension, time: this.time }
+        );
+    }
+
+    setFieldSettings(settings) {
+        this.fieldSettings = { ...settings };
+        this.vectorFieldPanel.setSettings(this.fieldSettings);
+        this.fieldDirty = true;
     }
 
     reset() {
-        this.state = [...this.currentSystem.defaultState];
-        this.positions = [];
-        this.colors = [];
+        this.state = [...this.initialState];
+        if (this.pendulum) {
+            this.pendulum.setState(this.state);
+        }
+        this.time = 0;
+        this.applySchedules();
+        this.schedulePanel.update();
+        this.integrator.configure();
+        this.history.clear();
         this.updateTrajectory();
+        this.invariantPanel.reset();
+        this.ensemblePanel.reset();
+        this.comparisonPanel.reset();
+        this.syncEngine();
     }
 
+    // Two lines share the history's vertex attributes; between them they
+    // draw the ring buffer in time order (see TrajectoryBuffer.runs). A point
+    // cloud on the same attributes stands in for them while a map is shown.
+    createTrajectoryLines() {
+        [...this.trajectoryLines.children].forEach(line => {
+            this.trajectoryLines.remove(line);
+            line.geometry.dispose();
+        });
+
+        const position = new THREE.BufferAttribute(this.history.positions, 3).setUsage(THREE.DynamicDrawUsage);
+        const color = new THREE.BufferAttribute(this.history.colors, 3).setUsage(THREE.DynamicDrawUsage);
+        for (let i = 0; i < 2; i++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', position);
+            geometry.setAttribute('color', color);
+            const line = new THREE.Line(geometry, this.trajectoryMaterial);
+            // Bounds change every frame; skip culling rather than recompute them
+            line.frustumCulled = false;
+            this.trajectoryLines.add(line);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', position);
+        geometry.setAttribute('color', color);
+        const points = new THREE.Points(geometry, this.trajectoryPointsMaterial);
+        points.frustumCulled = false;
+        this.trajectoryLines.add(points);
+        this.updateTrajectory();
+    }
+
+    // Show or hide parts of the view; `view` may hold any of VIEW_TOGGLES
+    setView(view) {
+        const fieldChanged = 'vectorField' in view && view.vectorField !== this.view.vectorField;
+        Object.assign(this.view, view);
+        Object.entries(this.view).forEach(([key, shown]) => { this.viewInputs[key].checked = shown; });
+
+        this.gridHelper.visible = this.view.grid;
+        Object.values(this.projections).forEach(({ panel }) => {
+            panel.style.display = this.view.projections ? '' : 'none';
+        });
+        this.timeSeriesPanel.style.display = this.view.timeSeries ? '' : 'none';
+        if (fieldChanged) this.updateVectorField();
+    }
+
+    // Samples already in the trail keep their colours
+    setColorMapping(mapping) {
+        this.colorMapping = { ...this.colorMapping, ...mapping };
+        this.colorModeInput.value = this.colorMapping.mode;
+        this.colorScaleInput.value = this.colorMapping.scale;
+    }
+
+    setHistoryLength(length) {
+        this.history = this.history.resized(length);
+        this.createTrajectoryLines();
+        this.updateProjections();
+        this.updateTimeSeries();
+    }
+
+    // Upload only the vertices written since the last frame
     updateTrajectory() {
-        const positions = new Float32Array(this.positions.flat());
-        const colors = new Float32Array(this.colors.flat());
-        
-        this.trajectory.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        this.trajectory.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        
-        this.trajectory.attributes.position.needsUpdate = true;
-        this.trajectory.attributes.color.needsUpdate = true;
+        const [first, second, points] = this.trajectoryLines.children;
+        const { position, color } = first.geometry.attributes;
+        const range = this.history.takeDirtyRange();
+        if (range) {
+            [position, color].forEach(attribute => {
+                attribute.updateRange.offset = range.offset * 3;
+                attribute.updateRange.count = range.count < 0 ? -1 : range.count * 3;
+                attribute.needsUpdate = true;
+            });
+        }
+
+        const runs = this.history.runs();
+        first.geometry.setDrawRange(runs[0].start, runs[0].count);
+        second.geometry.setDrawRange(runs[1].start, runs[1].count);
+        // Order doesn't matter for points, but the bridge slot must be left out
+        points.geometry.setDrawRange(0, this.history.length);
+        first.visible = second.visible = !this.discrete;
+        points.visible = this.discrete;
     }
 
-    integrate(dt = 0.01) {
-        if (!this.isRunning) return;
+    // Apply a batch of steps streamed from the simulation worker. Analysis
+    // tools see every step; only the most recent ones reach the trails. The
+    // ensemble and the twin were stepped in the worker, and report even
+    // when no step was taken (a new cloud or twin comes with its seed).
+    consumeBatch({ times, states, dimension, diverged, ensemble, twin }) {
+        if (diverged && !this.divergedNotified) {
+            this.divergedNotified = true;
+            this.showMessage('The trajectory diverged (non-finite state). Reset or reduce the step size.');
+        }
+        this.ensemblePanel.update(ensemble);
+        this.comparisonPanel.update(times, twin);
+        const steps = times.length;
+        if (steps === 0) return;
 
-        let velocity = 0;
-        let pos;
+        // Scheduled values are followed step by step, as the worker applied
+        // them, with the values at the start of each step
+        let params = this.currentParams;
+        let f = stepFunction(this.currentSystem, params);
+        const firstDrawn = Math.max(0, steps - this.history.capacity);
 
-        if (this.currentSystem.name === 'Double Pendulum') {
-            const pendulumPos = this.doublePendulum.step(dt);
-            this.state = this.doublePendulum.getState();
-            
-            // Update pendulum visualization
-            const { x1, y1, x2, y2 } = pendulumPos;
-            
-            // Position bobs
-            this.bob1.position.set(x1, y1, 0);
-            this.bob2.position.set(x2, y2, 0);
-            
-            // Calculate rod lengths and angles
-            const l1 = Math.sqrt(x1*x1 + y1*y1);
-            const l2 = Math.sqrt((x2-x1)*(x2-x1) + (y2-y1)*(y2-y1));
-            const angle1 = Math.atan2(y1, x1);
-            const angle2 = Math.atan2(y2-y1, x2-x1);
-            
-            // Update rod lengths
-            this.rod1.scale.x = l1;
-            this.rod2.scale.x = l2;
-            
-            // Position rods at their centers
-            this.rod1.position.x = l1/2;
-            this.rod2.position.x = l2/2;
-            
-            // Position and rotate pivots
-            this.rod1Pivot.position.set(0, 0, 0);
-            this.rod2Pivot.position.set(x1, y1, 0);
-            this.rod1Pivot.rotation.z = angle1;
-            this.rod2Pivot.rotation.z = angle2;
-            
-            pos = [x2, y2, 0];
-            
-            // Calculate velocity for double pendulum
-            const [, omega1, , omega2] = this.state;
-            velocity = Math.sqrt(omega1 * omega1 + omega2 * omega2);
-        } else {
-            const derivatives = this.currentSystem.equations(
-                this.state[0],
-                this.state[1],
-                this.state[2],
-                this.currentParams
-            );
+        for (let i = 0; i < steps; i++) {
+            const previousState = this.state;
+            const previousTime = this.time;
+            this.state = Array.from(states.subarray(i * dimension, (i + 1) * dimension));
+            this.time = times[i];
 
-            this.state[0] += derivatives.dx * dt;
-            this.state[1] += derivatives.dy * dt;
-            this.state[2] += derivatives.dz * dt;
-            
-            pos = [this.state[0], this.state[1], this.state[2]];
-            
-            // Calculate velocity for other systems
-            velocity = Math.sqrt(
-                derivatives.dx * derivatives.dx +
-                derivatives.dy * derivatives.dy +
-                derivatives.dz * derivatives.dz
-            );
+            if (this.schedules.length) {
+                const values = scheduledParameters(this.schedules, previousTime);
+                if (Object.keys(values).some(key => values[key] !== params[key])) {
+                    params = { ...params, ...values };
+                    f = stepFunction(this.currentSystem, params);
+                    if (this.pendulum) this.pendulum.setParameters(params);
+                }
+            }
+            this.poincarePanel.record(f, previousTime, previousState, this.time, this.state);
+            this.invariantPanel.record(this.time, this.state, params);
+            if (this.recordingPanel.isRecording()) {
+                this.recordingPanel.record(this.time, this.state, this.derivedValues(f));
+            }
+            if (i >= firstDrawn) this.recordPoint(f);
         }
 
-        // Update positions array
-        this.positions.push(pos);
-        
-        // Store data for projections
-        Object.values(this.projections).forEach(proj => {
-            if (proj.data.length > 1000) proj.data.shift();
-            proj.data.push([...pos]);
-        });
+        if (this.pendulum && params !== this.currentParams) this.pendulum.setParameters(this.currentParams);
+        if (this.schedules.length) {
+            this.applySchedules();
+            this.schedulePanel.update();
+        }
+        if (this.pendulum) {
+            this.pendulum.setState(this.state);
+            this.updatePendulumMeshes();
+        }
+        this.invariantPanel.update();
+        this.cobwebPanel.update();
+        this.updateTrajectory();
+        this.updateProjections();
+        this.updateTimeSeries();
+    }
+
+    // Phase-space velocity of a flow, or the jump to the next iterate of a map
+    rateOfChange(f) {
+        const value = f(this.time, this.state);
+        return this.discrete ? value.map((v, i) => v - this.state[i]) : value;
+    }
 
-        // Update time series
-        const currentTime = this.timeSeriesData.time.length * dt;
-        if (this.timeSeriesData.x.length > 200) {
-            this.timeSeriesData.x.shift();
-            this.timeSeriesData.y.shift();
-            this.timeSeriesData.z.shift();
-            this.timeSeriesData.time.shift();
+    // Quantities stored alongside the state in recordings: phase-space speed
+    // (step length for maps), plus the total energy for the pendulum
+    derivedValues(f) {
+        const derivative = this.rateOfChange(f);
+        const speed = Math.sqrt(derivative.reduce((sum, v) => sum + v * v, 0));
+        if (!this.pendulum) return [speed];
+        this.pendulum.setState(this.state);
+        return [speed, this.pendulum.getEnergy()];
+    }
+
+    // Switch to replaying a loaded recording; the live simulation is paused
+    enterReplay(recording) {
+        let systemKey = recording.system;
+        try {
+            if (recording.custom) {
+                systems.custom = createCustomSystem(recording.custom);
+                systemKey = 'custom';
+            }
+        } catch (error) {
+            this.showMessage(`Cannot replay: ${error.message}`);
+            return false;
+        }
+        let system = systems[systemKey];
+        if (system && system.fromParameters) system = system.fromParameters(recording.events[0].params);
+        if (!system || stateLabels(system).length !== recording.labels.length) {
+            this.showMessage(`Cannot replay: the recording's system "${recording.name}" is not available.`);
+            return false;
         }
-        this.timeSeriesData.x.push(pos[0]);
-        this.timeSeriesData.y.push(pos[1]);
-        this.timeSeriesData.z.push(pos[2]);
-        this.timeSeriesData.time.push(currentTime);
+        systems[systemKey] = system;
 
-        // Calculate color based on velocity
-        const hue = (velocity * 0.1) % 1;
-        const color = new THREE.Color().setHSL(hue, 1, 0.5);
-        this.colors.push([color.r, color.g, color.b]);
+        this.initializeSystem(systemKey);
+        this.replaying = true;
+        // Last frame drawn into the trail
+        this.replayIndex = -1;
+        this.setRunning(false);
+        return true;
+    }
 
-        // Limit trajectory length
-        if (this.positions.length > 1000) {
-            this.positions.shift();
-            this.colors.shift();
+    showReplayFrame(recording, index) {
+        const params = recording.parametersAt(recording.time(index));
+        if (JSON.stringify(params) !== JSON.stringify(this.currentParams)) {
+            this.currentParams = { ...params };
+            if (this.pendulum) this.pendulum.setParameters(this.currentParams);
+            this.updateParameterControls();
+            this.updateVectorField();
         }
 
+        // Extend the trail to this frame, as a live run would have drawn it;
+        // it is only rebuilt when scrubbing backwards or after it was emptied
+        const f = stepFunction(this.currentSystem, this.currentParams);
+        let from = this.replayIndex + 1;
+        if (index < this.replayIndex || this.history.length === 0) {
+            this.history.clear();
+            from = 0;
+        }
+        for (let k = Math.max(from, index - this.history.capacity + 1); k <= index; k++) {
+            this.state = recording.state(k);
+            this.time = recording.time(k);
+            this.recordPoint(f);
+        }
+        this.replayIndex = index;
+
+        if (this.pendulum) {
+            this.pendulum.setState(this.state);
+            this.updatePendulumMeshes();
+        }
         this.updateTrajectory();
         this.updateProjections();
         this.updateTimeSeries();
+        this.cobwebPanel.update();
+    }
+
+    // Leave replay; the live simulation continues from the frame on screen
+    exitReplay() {
+        this.replaying = false;
+        this.initialState = [...this.state];
+        this.updateInitialStateControls();
+        this.onParametersChanged();
+        this.syncEngine();
+    }
+
+    updatePendulumMeshes() {
+        this.pendulumView.update(this.pendulum);
+    }
+
+    // Numeric inputs for every state variable, plus how to pick a start by hand
+    buildInitialStateControls() {
+        this.initialStateContainer.innerHTML = '';
+        const title = document.createElement('label');
+        title.textContent = 'Initial State';
+        this.initialStateContainer.appendChild(title);
+
+        const form = document.createElement('div');
+        form.className = 'tool-form';
+        this.initialStateInputs = stateLabels(this.currentSystem).map((label, i) => {
+            const input = createField(`${label}(0)`, numberInput(''), form);
+            input.onchange = () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    const state = [...this.initialState];
+                    state[i] = value;
+                    this.setInitialState(state);
+                } else {
+                    this.updateInitialStateControls();
+                }
+            };
+            return input;
+        });
+        this.initialStateContainer.appendChild(form);
+
+        createButton('Start From Current State', () => this.setInitialState(this.state), this.initialStateContainer);
+        const hint = document.createElement('div');
+        hint.className = 'tool-status';
+        hint.textContent = this.pendulum
+            ? 'Drag a bob in the 3D view to set its angle, or click a projection to place the last bob.'
+            : 'Drag the yellow marker in the 3D view, or click a projection, to start from that point.';
+        this.initialStateContainer.appendChild(hint);
+        this.updateInitialStateControls();
+    }
+
+    updateInitialStateControls() {
+        this.initialStateInputs.forEach((input, i) => {
+            input.value = parseFloat(this.initialState[i].toPrecision(6));
+        });
+        this.startHandle.visible = !this.pendulum;
+        if (!this.pendulum) this.startHandle.position.fromArray(this.scenePosition(this.initialState));
+    }
+
+    // Start over from `state`, leaving replay if necessary
+    setInitialState(state) {
+        if (this.replaying) this.recordingPanel.exitReplay();
+        this.initialState = [...state];
+        this.reset();
+        this.updateInitialStateControls();
+    }
+
+    // Start over from the state drawn at scene position `point`. Coordinates
+    // the scene doesn't show are kept from the current state; for pendulums
+    // the last bob is swung towards the point.
+    placeStart(point) {
+        let state;
+        if (this.pendulum) {
+            this.pendulum.setState(this.state);
+            this.pendulum.placeBob(this.pendulum.links - 1, point);
+            state = this.pendulum.getState();
+        } else {
+            state = this.state.map((value, i) => (i < 3 ? point[i] : value));
+        }
+        this.setInitialState(state);
+    }
+
+    placeFromProjection(projection, event) {
+        const { canvas, view } = projection;
+        if (!view) return;
+        // The canvas may be drawn at a different size than its pixel buffer
+        const rect = canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * canvas.width / rect.width;
+        const y = (event.clientY - rect.top) * canvas.height / rect.height;
+
+        const point = this.scenePosition(this.state);
+        point[projection.xIndex] = view.xMin + (x - view.padding) / view.xScale;
+        point[projection.yIndex] = view.yMin + (canvas.height - y - view.padding) / view.yScale;
+        this.placeStart(point);
+    }
+
+    // The simulation holds still while a handle is dragged in the 3D view
+    beginStateDrag() {
+        if (this.replaying) this.recordingPanel.exitReplay();
+        this.dragResume = this.isRunning;
+        this.setRunning(false);
+        // Drop batches already on their way from the worker
+        this.syncEngine();
+    }
+
+    dragState(handle, point) {
+        if (this.pendulum) {
+            // Bobs move like a physics toy: each one swings its own link
+            this.pendulum.placeBob(this.pendulumView.bobs.indexOf(handle), point);
+            this.state = this.pendulum.getState();
+            this.updatePendulumMeshes();
+        } else {
+            handle.position.fromArray(point);
+        }
+    }
+
+    endStateDrag(handle, point) {
+        if (this.pendulum) {
+            if (point) this.dragState(handle, point);
+            this.setInitialState(this.state);
+        } else {
+            this.placeStart(handle.position.toArray());
+        }
+        this.setRunning(this.dragResume);
+    }
+
+    // Append the current state to the shared trajectory history
+    recordPoint(f) {
+        const pos = this.scenePosition(this.state);
+
+        let velocity;
+        if (this.pendulum) {
+            // Angular velocities sit at the odd indices
+            velocity = Math.sqrt(this.state.reduce((sum, v, i) => sum + (i % 2 === 1 ? v * v : 0), 0));
+        } else {
+            const [dx, dy = 0, dz = 0] = this.rateOfChange(f);
+            velocity = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        }
+
+        const color = this.trailColor.setHSL(trailHue(this.colorMapping, velocity, this.time), 1, 0.5);
+        this.history.push(this.time, pos[0], pos[1], pos[2], color.r, color.g, color.b);
     }
 
     updateProjections() {
+        const data = this.history.recent(PROJECTION_POINTS);
         // Update XY projection
-        this.drawProjection(this.projections.xy, 0, 1);
+        this.drawProjection(this.projections.xy, data, 0, 1);
         // Update YZ projection
-        this.drawProjection(this.projections.yz, 1, 2);
+        this.drawProjection(this.projections.yz, data, 1, 2);
         // Update XZ projection
-        this.drawProjection(this.projections.xz, 0, 2);
+        this.drawProjection(this.projections.xz, data, 0, 2);
     }
 
-    drawProjection(projection, xIndex, yIndex) {
-        const { canvas, context, data } = projection;
+    drawProjection(projection, data, xIndex, yIndex) {
+        const { canvas, context } = projection;
         context.clearRect(0, 0, canvas.width, canvas.height);
+        projection.view = null;
         
         if (data.length < 2) return;
 
-        // Find min/max for scaling
-        const xValues = data.map(p => p[xIndex]);
-        const yValues = data.map(p => p[yIndex]);
+        // Find min/max for scaling, including the comparison twin if running
+        const twin = this.comparisonPanel.getTrail();
+        const points = twin.length ? [...data, ...twin] : data;
+        const xValues = points.map(p => p[xIndex]);
+        const yValues = points.map(p => p[yIndex]);
         const xMin = Math.min(...xValues);
         const xMax = Math.max(...xValues);
         const yMin = Math.min(...yValues);
@@ -752,24 +1799,32 @@ class DynamicalSystemSimulator {
         const padding = 20;
         const xScale = (canvas.width - 2 * padding) / (xMax - xMin || 1);
         const yScale = (canvas.height - 2 * padding) / (yMax - yMin || 1);
+        // Kept so clicks can be mapped back to coordinates
+        projection.view = { xMin, yMin, xScale, yScale, padding };
 
-        // Draw trajectory
-        context.beginPath();
-        context.strokeStyle = '#00fff2';
-        context.lineWidth = 1;
-        
-        data.forEach((point, i) => {
-            const x = padding + (point[xIndex] - xMin) * xScale;
-            const y = canvas.height - (padding + (point[yIndex] - yMin) * yScale);
-            
-            if (i === 0) {
-                context.moveTo(x, y);
-            } else {
-                context.lineTo(x, y);
-            }
+        // Draw trajectories
+        [[data, '#00fff2'], [twin, TWIN_COLOR]].forEach(([trajectory, color]) => {
+            context.beginPath();
+            context.strokeStyle = color;
+            context.lineWidth = 1;
+
+            context.fillStyle = color;
+
+            trajectory.forEach((point, i) => {
+                const x = padding + (point[xIndex] - xMin) * xScale;
+                const y = canvas.height - (padding + (point[yIndex] - yMin) * yScale);
+
+                if (this.discrete) {
+                    context.fillRect(x - 1, y - 1, 2, 2);
+                } else if (i === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            });
+
+            context.stroke();
         });
-        
-        context.stroke();
     }
 
     updateTimeSeries() {
@@ -800,10 +1855,16 @@ class DynamicalSystemSimulator {
         }
         
         // Draw time series
+        const series = [[], [], []];
+        this.history.forEachRecent(TIME_SERIES_POINTS, (t, x, y, z) => {
+            series[0].push(x);
+            series[1].push(y);
+            series[2].push(z);
+        });
         const variables = [
-            { data: this.timeSeriesData.x, color: '#00fff2' },
-            { data: this.timeSeriesData.y, color: '#ff00ff' },
-            { data: this.timeSeriesData.z, color: '#0066ff' }
+            { data: series[0], color: '#00fff2' },
+            { data: series[1], color: '#ff00ff' },
+            { data: series[2], color: '#0066ff' }
         ];
         
         variables.forEach(({ data, color }) => {
@@ -832,11 +1893,34 @@ class DynamicalSystemSimulator {
         });
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(now = performance.now()) {
+        requestAnimationFrame(time => this.animate(time));
+
+        // The worker is asked for simulated time in proportion to real time
+        const elapsed = this.lastFrame === null ? 0 : Math.min(MAX_FRAME_TIME, (now - this.lastFrame) / 1000);
+        this.lastFrame = now;
+        // A deterministic capture steps the simulation itself, frame by frame
+        const capturing = this.capturePanel.isDeterministic();
+        if (!capturing) this.recordingPanel.update(elapsed, this.speed);
+        if (this.isRunning && !this.replaying && !capturing) {
+            if (this.fastForward) {
+                this.engine.fastForward(FAST_FORWARD_BUDGET);
+            } else {
+                this.engine.advance(elapsed * this.speed);
+            }
+        }
         
-        this.integrate();
+        // Forced systems' fields turn with the forcing phase
+        if (this.currentSystem.forcingPeriod && this.isRunning
+            && now - this.lastFieldUpdate > SCHEDULED_FIELD_INTERVAL) {
+            this.fieldDirty = true;
+        }
+        if (this.fieldDirty) this.updateVectorField();
+
+        this.lyapunovPanel.update();
         this.controls.update();
+        // Keep the start marker the same size on screen
+        this.startHandle.scale.setScalar(0.015 * this.camera.position.distanceTo(this.controls.target));
         this.renderer.render(this.scene, this.camera);
     }
 }
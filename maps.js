@@ -0,0 +1,94 @@
+import { wrapAngle } from './poincare.js';
+
+// Iterated maps x_{n+1} = F(x_n). They sit in the systems table next to the
+// flows with type 'map' and an iterate(state, params) function in place of
+// equations; "time" is the iteration count. `domain` is the interval the
+// cobweb diagram shows for one-dimensional maps, and `view` the region the
+// 3D camera frames ({ center, size }).
+
+export const maps = {
+    logistic: {
+        name: 'Logistic Map',
+        type: 'map',
+        params: { r: 3.7 },
+        iterate: ([x], params) => [params.r * x * (1 - x)],
+        domain: [0, 1],
+        view: { center: [0.5, 0], size: 1.5 },
+        defaultState: [0.2]
+    },
+    tent: {
+        name: 'Tent Map',
+        type: 'map',
+        params: { mu: 1.9 },
+        iterate: ([x], params) => [params.mu * Math.min(x, 1 - x)],
+        domain: [0, 1],
+        view: { center: [0.5, 0], size: 1.5 },
+        defaultState: [0.2]
+    },
+    henon: {
+        name: 'Hénon Map',
+        type: 'map',
+        params: { a: 1.4, b: 0.3 },
+        iterate: ([x, y], params) => [1 - params.a * x * x + y, params.b * x],
+        view: { center: [0, 0], size: 4 },
+        defaultState: [0.1, 0.1]
+    },
+    ikeda: {
+        name: 'Ikeda Map',
+        type: 'map',
+        params: { u: 0.9 },
+        iterate: ([x, y], params) => {
+            const t = 0.4 - 6 / (1 + x * x + y * y);
+            const cos = Math.cos(t);
+            const sin = Math.sin(t);
+            return [1 + params.u * (x * cos - y * sin), params.u * (x * sin + y * cos)];
+        },
+        view: { center: [0.7, -0.7], size: 3.5 },
+        defaultState: [0.1, 0.1]
+    },
+    // Both coordinates live on a circle; they are kept in [-π, π)
+    standardMap: {
+        name: 'Chirikov Standard Map',
+        type: 'map',
+        params: { K: 0.971635 },
+        iterate: ([theta, p], params) => {
+            const momentum = wrapAngle(p + params.K * Math.sin(theta));
+            return [wrapAngle(theta + momentum), momentum];
+        },
+        variables: ['θ', 'p'],
+        periodic: [0, 1],
+        view: { center: [0, 0], size: 8 },
+        defaultState: [0.5, 0.3]
+    }
+};
+
+export function isMap(system) {
+    return system.type === 'map';
+}
+
+// A map as f(t, y) = F(y), the next state, for MapStepper
+export function mapFunction(system, params) {
+    return (t, y) => system.iterate(y, params);
+}
+
+// Stands in for an Integrator when the system is a map: every step is one
+// iteration and advances the iteration count by 1
+export class MapStepper {
+    constructor() {
+        this.settings = { method: 'map', dt: 1 };
+        this.configure();
+    }
+
+    configure() {
+        this.stats = { steps: 0, rejected: 0, lastStep: 1 };
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    advance(f, t, y) {
+        this.stats.steps++;
+        return f(t, y);
+    }
+}
@@ -0,0 +1,72 @@
+import { systemInfo } from './education.js';
+
+// Parameter metadata for the sliders, the schedule editor and configuration
+// checks. Built-in systems describe their parameters in systemInfo
+// (education.js); numbered parameters share the entry of their stem, so m3 of
+// a pendulum chain uses `m`. Custom systems contribute the ranges typed in
+// their definition. A spec may give
+//   name         display symbol, e.g. 'σ'
+//   description  tooltip text
+//   unit         e.g. 'kg'
+//   min, max     limits: values outside them are rejected
+//   step         slider resolution
+//   log          the slider moves in decades (min must be positive)
+
+// Slider positions per range when no step is given
+const SLIDER_DIVISIONS = 100;
+
+export function parameterSpecs(systemKey, system) {
+    const info = (!system.custom && systemInfo[systemKey] && systemInfo[systemKey].parameters) || {};
+    const specs = {};
+    Object.keys(system.params).forEach(key => {
+        const entry = info[key] || info[key.replace(/\d+$/, '')] || {};
+        const range = system.paramRanges && system.paramRanges[key];
+        specs[key] = { name: key, ...entry, ...range };
+    });
+    return specs;
+}
+
+// Slider limits in parameter units. Parameters without limits get a range
+// around their value.
+export function parameterRange(spec, value) {
+    const reach = Math.max(1, Math.abs(value));
+    return { min: spec.min ?? value - reach, max: spec.max ?? value + reach };
+}
+
+// Slider limits and step in slider units (log10 of the value for log sliders)
+export function sliderRange(spec, value) {
+    const { min, max } = parameterRange(spec, value);
+    if (spec.log) {
+        const low = Math.log10(min);
+        const high = Math.log10(max);
+        return { min: low, max: high, step: (high - low) / SLIDER_DIVISIONS, log: true };
+    }
+    return { min, max, step: spec.step ?? (max - min) / SLIDER_DIVISIONS, log: false };
+}
+
+export function toSlider(spec, value) {
+    return spec.log ? Math.log10(value) : value;
+}
+
+export function fromSlider(spec, position) {
+    return spec.log ? 10 ** position : position;
+}
+
+// Label text with the unit, e.g. 'g (m/s²)'
+export function parameterLabel(key, spec) {
+    return spec.unit ? `${key} (${spec.unit})` : key;
+}
+
+// Why `value` is not acceptable for parameter `key`, or null when it is
+export function parameterError(key, value, spec = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `parameter "${key}" must be a finite number`;
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        return `parameter "${key}" must be at least ${spec.min}`;
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        return `parameter "${key}" must be at most ${spec.max}`;
+    }
+    return null;
+}
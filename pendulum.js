@@ -0,0 +1,251 @@
+import { Integrator } from './integrators.js';
+import { solveLinear } from './linearAlgebra.js';
+
+// Pendulum models: a planar chain of N point masses on massless rods, and the
+// spherical pendulum. Both share the model interface the simulator relies on:
+// derivatives(state), getBobPositions(), getEnergies() and the state and
+// parameter accessors.
+
+export const MAX_LINKS = 10;
+
+// Number of links described by params m1, l1, m2, l2, ...
+export function countLinks(params) {
+    let links = 0;
+    while (`m${links + 1}` in params) links++;
+    return links;
+}
+
+export class PendulumChain {
+    constructor(params = {}, links = countLinks(params) || 2) {
+        this.links = links;
+        this.params = { g: params.g ?? 9.81, damping: params.damping ?? 0.0 };
+        for (let i = 1; i <= links; i++) {
+            this.params[`m${i}`] = params[`m${i}`] ?? 1.0;
+            this.params[`l${i}`] = params[`l${i}`] ?? 1.0;
+        }
+        this.updateLinks();
+
+        // State variables: [θ₁, ω₁, θ₂, ω₂, ...], angles from the downward vertical
+        this.state = new Array(2 * links).fill(0);
+        this.reset();
+
+        // Used when step() is called without an explicit integrator
+        this.integrator = new Integrator({ method: 'rk4' });
+    }
+
+    updateLinks() {
+        const n = this.links;
+        this.masses = Array.from({ length: n }, (_, i) => this.params[`m${i + 1}`]);
+        this.lengths = Array.from({ length: n }, (_, i) => this.params[`l${i + 1}`]);
+        // Mass carried by link i: its own bob and every bob below it
+        this.tail = new Array(n);
+        for (let i = n - 1, sum = 0; i >= 0; i--) {
+            sum += this.masses[i];
+            this.tail[i] = sum;
+        }
+    }
+
+    // Lagrange's equations give M(θ)·α = b(θ, ω) with
+    //   M_ij = μ_ij l_i l_j cos(θ_i − θ_j)
+    //   b_i  = −Σ_j μ_ij l_i l_j sin(θ_i − θ_j) ω_j² − μ_ii g l_i sin θ_i
+    // where μ_ij is the mass below link max(i, j)
+    derivatives(state) {
+        const n = this.links;
+        const { g, damping } = this.params;
+        const { lengths, tail } = this;
+
+        const M = Array.from({ length: n }, () => new Array(n));
+        const b = new Array(n);
+        for (let i = 0; i < n; i++) {
+            const thetaI = state[2 * i];
+            b[i] = -tail[i] * g * lengths[i] * Math.sin(thetaI);
+            for (let j = 0; j < n; j++) {
+                const delta = thetaI - state[2 * j];
+                const c = tail[Math.max(i, j)] * lengths[i] * lengths[j];
+                M[i][j] = c * Math.cos(delta);
+                b[i] -= c * Math.sin(delta) * state[2 * j + 1] * state[2 * j + 1];
+            }
+        }
+
+        const alpha = solveLinear(M, b) || new Array(n).fill(NaN);
+        const result = new Array(2 * n);
+        for (let i = 0; i < n; i++) {
+            const omega = state[2 * i + 1];
+            result[2 * i] = omega;
+            result[2 * i + 1] = alpha[i] - damping * omega;
+        }
+        return result;
+    }
+
+    step(dt, integrator = this.integrator) {
+        this.state = integrator.advance(
+            (t, state) => this.derivatives(state),
+            0,
+            this.state,
+            dt
+        );
+
+        return this.getBobPositions();
+    }
+
+    // Bob positions as [x, y, z], pivot at the origin, y up
+    getBobPositions() {
+        const positions = [];
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < this.links; i++) {
+            x += this.lengths[i] * Math.sin(this.state[2 * i]);
+            y -= this.lengths[i] * Math.cos(this.state[2 * i]);
+            positions.push([x, y, 0]);
+        }
+        return positions;
+    }
+
+    // Released from horizontal, at rest
+    reset() {
+        this.state = this.state.map((_, i) => (i % 2 === 0 ? Math.PI/2 : 0));
+    }
+
+    // Swing link `index` so its bob points at (x, y) from the bob above it,
+    // leaving the other angles alone, and bring the whole chain to rest
+    placeBob(index, [x, y]) {
+        const [px, py] = index > 0 ? this.getBobPositions()[index - 1] : [0, 0];
+        this.state[2 * index] = Math.atan2(x - px, py - y);
+        this.state = this.state.map((value, i) => (i % 2 === 0 ? value : 0));
+    }
+
+    getState() {
+        return [...this.state];
+    }
+
+    setState(state) {
+        this.state = [...state];
+    }
+
+    getParameters() {
+        return { ...this.params };
+    }
+
+    setParameters(params) {
+        this.params = { ...this.params, ...params };
+        this.updateLinks();
+    }
+
+    // Kinetic, potential and total energy of the current state
+    getEnergies() {
+        const { g } = this.params;
+        let T = 0;
+        let V = 0;
+        let vx = 0;
+        let vy = 0;
+        let y = 0;
+        for (let i = 0; i < this.links; i++) {
+            const theta = this.state[2 * i];
+            const omega = this.state[2 * i + 1];
+            const l = this.lengths[i];
+            vx += l * omega * Math.cos(theta);
+            vy += l * omega * Math.sin(theta);
+            y -= l * Math.cos(theta);
+            T += 0.5 * this.masses[i] * (vx * vx + vy * vy);
+            V += this.masses[i] * g * y;
+        }
+        return { kinetic: T, potential: V, total: T + V };
+    }
+
+    getEnergy() {
+        return this.getEnergies().total;
+    }
+
+    // Depth of the potential well: V ranges over ±g Σ μ_i l_i
+    getEnergyScale() {
+        return this.params.g * this.tail.reduce((sum, mass, i) => sum + mass * this.lengths[i], 0);
+    }
+}
+
+// A single bob free to swing in any direction. State [θ, ω_θ, φ, ω_φ] with θ
+// measured from the downward vertical and φ the azimuth; the equations are
+// singular at θ = 0, where φ is undefined.
+export class SphericalPendulum {
+    constructor(params = {}) {
+        this.links = 1;
+        this.params = {
+            m: params.m ?? 1.0,
+            l: params.l ?? 1.0,
+            g: params.g ?? 9.81,
+            damping: params.damping ?? 0.0
+        };
+        this.reset();
+        this.integrator = new Integrator({ method: 'rk4' });
+    }
+
+    derivatives(state) {
+        const [theta, omegaTheta, , omegaPhi] = state;
+        const { l, g, damping } = this.params;
+        const sin = Math.sin(theta);
+        const cos = Math.cos(theta);
+
+        const alphaTheta = sin * cos * omegaPhi * omegaPhi - (g / l) * sin - damping * omegaTheta;
+        // Conservation of angular momentum about the vertical, l² sin²θ ω_φ
+        const alphaPhi = Math.abs(sin) > 1e-9
+            ? -2 * omegaTheta * omegaPhi * cos / sin - damping * omegaPhi
+            : -damping * omegaPhi;
+
+        return [omegaTheta, alphaTheta, omegaPhi, alphaPhi];
+    }
+
+    step(dt, integrator = this.integrator) {
+        this.state = integrator.advance((t, state) => this.derivatives(state), 0, this.state, dt);
+        return this.getBobPositions();
+    }
+
+    getBobPositions() {
+        const { l } = this.params;
+        const [theta, , phi] = this.state;
+        return [[l * Math.sin(theta) * Math.cos(phi), -l * Math.cos(theta), l * Math.sin(theta) * Math.sin(phi)]];
+    }
+
+    // A tilted conical swing
+    reset() {
+        this.state = [Math.PI/3, 0, 0, 2];
+    }
+
+    // Point the rod at (x, y, z) and release from rest
+    placeBob(index, [x, y, z]) {
+        const r = Math.hypot(x, y, z);
+        if (r === 0) return;
+        this.state = [Math.acos(-y / r), 0, Math.atan2(z, x), 0];
+    }
+
+    getState() {
+        return [...this.state];
+    }
+
+    setState(state) {
+        this.state = [...state];
+    }
+
+    getParameters() {
+        return { ...this.params };
+    }
+
+    setParameters(params) {
+        this.params = { ...this.params, ...params };
+    }
+
+    getEnergies() {
+        const { m, l, g } = this.params;
+        const [theta, omegaTheta, , omegaPhi] = this.state;
+        const sin = Math.sin(theta);
+        const T = 0.5 * m * l * l * (omegaTheta * omegaTheta + sin * sin * omegaPhi * omegaPhi);
+        const V = -m * g * l * Math.cos(theta);
+        return { kinetic: T, potential: V, total: T + V };
+    }
+
+    getEnergy() {
+        return this.getEnergies().total;
+    }
+
+    getEnergyScale() {
+        return this.params.m * this.params.g * this.params.l;
+    }
+}
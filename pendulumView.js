@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+// Meshes for any pendulum model: one bob per link, sized by its mass, and a
+// rod from each bob to the one above it (the first from the pivot). Works in
+// 3D, so the spherical pendulum is drawn the same way.
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export class PendulumView {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        scene.add(this.group);
+
+        this.bobGeometry = new THREE.SphereGeometry(0.5, 32, 32);
+        this.bobMaterial = new THREE.MeshPhongMaterial({ color: 0x00fff2 });
+        // Unit-length rod along y, stretched to each link's length
+        this.rodGeometry = new THREE.CylinderGeometry(0.1, 0.1, 1);
+        this.rodMaterial = new THREE.MeshPhongMaterial({ color: 0xff00ff });
+        this.bobs = [];
+        this.rods = [];
+        this.direction = new THREE.Vector3();
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    // Make sure there is one bob and rod per link of `model`
+    build(model) {
+        const count = model.getBobPositions().length;
+        while (this.bobs.length < count) {
+            const rod = new THREE.Mesh(this.rodGeometry, this.rodMaterial);
+            const bob = new THREE.Mesh(this.bobGeometry, this.bobMaterial);
+            this.group.add(rod, bob);
+            this.rods.push(rod);
+            this.bobs.push(bob);
+        }
+        while (this.bobs.length > count) {
+            this.group.remove(this.rods.pop(), this.bobs.pop());
+        }
+        this.update(model);
+    }
+
+    update(model) {
+        const params = model.getParameters();
+        let previous = [0, 0, 0];
+        model.getBobPositions().forEach((position, i) => {
+            // Bob volume proportional to mass
+            const mass = params[`m${i + 1}`] || params.m || 1;
+            this.bobs[i].position.fromArray(position);
+            this.bobs[i].scale.setScalar(Math.cbrt(mass));
+
+            const rod = this.rods[i];
+            this.direction.fromArray(position).sub(rod.position.fromArray(previous));
+            const length = this.direction.length();
+            rod.position.addScaledVector(this.direction, 0.5);
+            rod.scale.set(1, length, 1);
+            if (length > 0) rod.quaternion.setFromUnitVectors(UP, this.direction.divideScalar(length));
+            previous = position;
+        });
+    }
+}
@@ -0,0 +1,143 @@
+// Poincaré sections: detect where a trajectory crosses the hyperplane
+// normal · y = offset between two integration steps. Crossings are located
+// on the cubic Hermite interpolant of the step, which uses the derivative at
+// both ends and is as accurate as a fourth-order integrator. Forced systems
+// are instead sampled at fixed times (StroboscopicSection).
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+export function wrapAngle(angle) {
+    return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+// Cubic Hermite interpolation of a step from (y0, f0) to (y1, f1) of length h
+export function hermite(y0, f0, y1, f1, h, s) {
+    const s2 = s * s;
+    const s3 = s2 * s;
+    const h00 = 2 * s3 - 3 * s2 + 1;
+    const h10 = s3 - 2 * s2 + s;
+    const h01 = -2 * s3 + 3 * s2;
+    const h11 = s3 - s2;
+    return y0.map((v, i) => h00 * v + h10 * h * f0[i] + h01 * y1[i] + h11 * h * f1[i]);
+}
+
+export function axisPlane(index, value, dimension) {
+    const normal = new Array(dimension).fill(0);
+    normal[index] = 1;
+    return { normal, offset: value };
+}
+
+// Orthonormal basis of the plane through the origin with the given normal
+export function planeBasis(normal) {
+    const n = normal.length;
+    const length = Math.hypot(...normal);
+    const unit = normal.map(v => v / length);
+    const basis = [];
+
+    for (let axis = 0; axis < n && basis.length < n - 1; axis++) {
+        const v = new Array(n).fill(0);
+        v[axis] = 1;
+        [unit, ...basis].forEach(q => {
+            const d = dot(v, q);
+            for (let i = 0; i < n; i++) v[i] -= d * q[i];
+        });
+        const norm = Math.hypot(...v);
+        if (norm > 1e-8) basis.push(v.map(x => x / norm));
+    }
+
+    return basis;
+}
+
+export class PoincareSection {
+    // direction: 'up' (normal · y increasing), 'down' or 'both'.
+    // periodic: indices of angle components; a plane normal to a single
+    // angle axis is then crossed once per revolution at the wrapped angle.
+    constructor({ normal, offset = 0, direction = 'up', periodic = [] }) {
+        this.normal = [...normal];
+        this.offset = offset;
+        this.direction = direction;
+
+        const axes = this.normal.map((v, i) => (v !== 0 ? i : -1)).filter(i => i >= 0);
+        this.angleAxis = axes.length === 1 && periodic.includes(axes[0]) ? axes[0] : -1;
+    }
+
+    distance(y) {
+        if (this.angleAxis >= 0) {
+            const scale = this.normal[this.angleAxis];
+            return scale * wrapAngle(y[this.angleAxis] - this.offset / scale);
+        }
+        return dot(this.normal, y) - this.offset;
+    }
+
+    // Returns { t, state } of a crossing between (t0, y0) and (t1, y1), or null
+    detect(f, t0, y0, t1, y1) {
+        const d0 = this.distance(y0);
+        const d1 = this.distance(y1);
+
+        const up = d0 < 0 && d1 >= 0;
+        const down = d0 > 0 && d1 <= 0;
+        if (!((up && this.direction !== 'down') || (down && this.direction !== 'up'))) {
+            return null;
+        }
+        // A wrapped angle jumping from +π to -π is not a crossing
+        if (this.angleAxis >= 0 && Math.abs(d0 - d1) > Math.PI) {
+            return null;
+        }
+
+        const h = t1 - t0;
+        const f0 = f(t0, y0);
+        const f1 = f(t1, y1);
+        const g = s => this.distance(hermite(y0, f0, y1, f1, h, s));
+
+        // Illinois (modified regula falsi) on the interpolant
+        let a = 0;
+        let b = 1;
+        let ga = d0;
+        let gb = d1;
+        let side = 0;
+        let s = ga / (ga - gb);
+        for (let i = 0; i < 50; i++) {
+            s = (a * gb - b * ga) / (gb - ga);
+            const gs = g(s);
+            if (Math.abs(gs) < 1e-13 || b - a < 1e-14) break;
+            if ((gs > 0) === (gb > 0)) {
+                b = s;
+                gb = gs;
+                if (side === -1) ga /= 2;
+                side = -1;
+            } else {
+                a = s;
+                ga = gs;
+                if (side === 1) gb /= 2;
+                side = 1;
+            }
+        }
+
+        return { t: t0 + s * h, state: hermite(y0, f0, y1, f1, h, s) };
+    }
+}
+
+// Stroboscopic section of a periodically forced system: the state sampled
+// once per forcing period, at times (phase + k)·period with phase a fraction
+// of the period. Periodic orbits of the forced system are fixed points of
+// this map.
+export class StroboscopicSection {
+    constructor({ period, phase = 0 }) {
+        this.period = period;
+        this.offset = phase * period;
+    }
+
+    // Returns { t, state } of a sampling time in (t0, t1], or null
+    detect(f, t0, y0, t1, y1) {
+        const k = Math.floor((t1 - this.offset) / this.period);
+        const t = this.offset + k * this.period;
+        if (t <= t0) return null;
+
+        const h = t1 - t0;
+        return { t, state: hermite(y0, f(t0, y0), y1, f(t1, y1), h, (t - t0) / h) };
+    }
+}
@@ -0,0 +1,285 @@
+import { PoincareSection, StroboscopicSection, axisPlane, planeBasis, wrapAngle } from './poincare.js';
+import { createButton, createField, downloadCanvas, numberInput, selectInput } from './ui.js';
+
+// Poincaré section panel. Every integration step of the live trajectory is
+// passed to record(); crossings of the configured plane accumulate on a
+// persistent 2D map until the section or the system changes.
+//
+// `getContext()` returns { labels, periodic, section, forcingPeriod } for the
+// active system, where `section` is the system's suggested default plane and
+// `forcingPeriod` is set for forced systems, which can also be sampled
+// stroboscopically.
+
+const PADDING = 30;
+const MAX_POINTS = 100000;
+
+export class PoincarePanel {
+    constructor(parent, { getContext }) {
+        this.getContext = getContext;
+        this.section = null;
+        this.points = [];
+        this.bounds = null;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel wide-panel';
+        this.panel.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'projection-title';
+        title.textContent = 'Poincaré Section';
+        this.panel.appendChild(title);
+
+        this.form = document.createElement('div');
+        this.form.className = 'tool-form';
+        this.panel.appendChild(this.form);
+
+        const actions = document.createElement('div');
+        createButton('Apply Section', () => this.applySection(), actions);
+        createButton('Clear', () => this.clear(), actions);
+        createButton('Export PNG', () => downloadCanvas(this.canvas, 'poincare_section.png'), actions);
+        this.status = document.createElement('span');
+        this.status.className = 'tool-status';
+        actions.appendChild(this.status);
+        this.panel.appendChild(actions);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tool-canvas';
+        this.canvas.width = 800;
+        this.canvas.height = 360;
+        this.panel.appendChild(this.canvas);
+
+        parent.appendChild(this.panel);
+    }
+
+    isVisible() {
+        return this.panel.style.display !== 'none';
+    }
+
+    setVisible(visible) {
+        this.panel.style.display = visible ? '' : 'none';
+        if (visible) {
+            if (!this.section) this.refreshForm();
+            this.canvas.width = Math.max(300, this.panel.clientWidth - 30);
+            this.redraw();
+        }
+    }
+
+    // Rebuild the inputs for the active system and reset to its default plane
+    refreshForm() {
+        const { labels, section: defaults = {}, forcingPeriod } = this.getContext();
+        const section = { index: 0, value: 0, direction: 'up', ...defaults };
+        this.labels = labels;
+        this.form.innerHTML = '';
+
+        const variableOptions = labels.map((label, i) => [i, label]);
+        const planeTypes = [['axis', 'Axis-aligned'], ['normal', 'Normal vector']];
+        if (forcingPeriod) planeTypes.push(['stroboscopic', 'Stroboscopic (once per period)']);
+        this.planeTypeSelect = createField('Plane', selectInput(planeTypes), this.form);
+        const stroboscopic = forcingPeriod && section.type === 'stroboscopic';
+        this.planeTypeSelect.value = stroboscopic ? 'stroboscopic' : 'axis';
+        this.axisSelect = createField('Variable', selectInput(variableOptions), this.form);
+        this.axisSelect.value = String(section.index);
+        this.valueInput = createField('Value', numberInput(section.value), this.form);
+
+        this.normalInput = createField(`Normal (${labels.join(', ')})`, document.createElement('input'), this.form);
+        this.normalInput.className = 'input-box';
+        this.normalInput.value = labels.map((_, i) => (i === section.index ? 1 : 0)).join(', ');
+        this.offsetInput = createField('Offset', numberInput(section.value), this.form);
+        this.phaseInput = createField('Phase (fraction of period)', numberInput(section.phase ?? 0), this.form);
+
+        this.directionSelect = createField('Crossing', selectInput([
+            ['up', 'Increasing (n·ẏ > 0)'],
+            ['down', 'Decreasing (n·ẏ < 0)'],
+            ['both', 'Both directions']
+        ]), this.form);
+        this.directionSelect.value = section.direction;
+
+        const axisOptions = [...variableOptions, ['u', 'Plane u'], ['v', 'Plane v']];
+        const others = labels.map((_, i) => i).filter(i => stroboscopic || i !== section.index);
+        this.horizontalSelect = createField('Horizontal', selectInput(axisOptions), this.form);
+        this.horizontalSelect.value = String(others[0] ?? 'u');
+        this.verticalSelect = createField('Vertical', selectInput(axisOptions), this.form);
+        this.verticalSelect.value = String(others[1] ?? 'v');
+
+        const updatePlaneFields = () => {
+            const type = this.planeTypeSelect.value;
+            const show = (inputs, visible) => inputs.forEach(input => {
+                input.parentElement.style.display = visible ? '' : 'none';
+            });
+            show([this.axisSelect, this.valueInput], type === 'axis');
+            show([this.normalInput, this.offsetInput], type === 'normal');
+            show([this.directionSelect], type !== 'stroboscopic');
+            show([this.phaseInput], type === 'stroboscopic');
+        };
+        this.planeTypeSelect.onchange = updatePlaneFields;
+        updatePlaneFields();
+
+        this.applySection();
+    }
+
+    applySection() {
+        const { periodic = [], forcingPeriod } = this.getContext();
+        const dimension = this.labels.length;
+        let plane;
+
+        if (this.planeTypeSelect.value === 'stroboscopic') {
+            const phase = parseFloat(this.phaseInput.value);
+            if (!Number.isFinite(phase)) {
+                this.status.textContent = 'Enter a numeric phase';
+                return;
+            }
+            this.section = new StroboscopicSection({ period: forcingPeriod, phase });
+            // Plane u and v are the first two state variables
+            this.basis = this.labels.map((_, i) => this.labels.map((_, j) => (i === j ? 1 : 0)));
+            this.periodic = periodic;
+            this.axes = [this.horizontalSelect.value, this.verticalSelect.value];
+            this.clear();
+            return;
+        }
+        if (this.planeTypeSelect.value === 'axis') {
+            const value = parseFloat(this.valueInput.value);
+            if (!Number.isFinite(value)) {
+                this.status.textContent = 'Enter a numeric plane value';
+                return;
+            }
+            plane = axisPlane(parseInt(this.axisSelect.value, 10), value, dimension);
+        } else {
+            const normal = this.normalInput.value.split(/[\s,]+/).filter(Boolean).map(Number);
+            const offset = parseFloat(this.offsetInput.value);
+            if (normal.length !== dimension || !normal.every(Number.isFinite) || normal.every(v => v === 0)) {
+                this.status.textContent = `Normal must be ${dimension} numbers, not all zero`;
+                return;
+            }
+            if (!Number.isFinite(offset)) {
+                this.status.textContent = 'Enter a numeric offset';
+                return;
+            }
+            plane = { normal, offset };
+        }
+
+        this.section = new PoincareSection({ ...plane, direction: this.directionSelect.value, periodic });
+        this.basis = planeBasis(plane.normal);
+        this.periodic = periodic;
+        this.axes = [this.horizontalSelect.value, this.verticalSelect.value];
+        this.clear();
+    }
+
+    // A stroboscopic section follows the forcing period; crossings of a plane
+    // under the old parameters are simply dropped
+    parametersChanged() {
+        if (this.section instanceof StroboscopicSection) {
+            this.applySection();
+        } else {
+            this.clear();
+        }
+    }
+
+    clear() {
+        this.points = [];
+        this.bounds = null;
+        this.status.textContent = '0 crossings';
+        this.redraw();
+    }
+
+    // Map coordinate of a crossing state: a state variable or a plane basis vector
+    coordinate(state, axis) {
+        if (axis === 'u' || axis === 'v') {
+            const basis = this.basis[axis === 'u' ? 0 : 1];
+            if (!basis) return 0;
+            return basis.reduce((sum, b, i) => sum + b * state[i], 0);
+        }
+        const index = parseInt(axis, 10);
+        return this.periodic.includes(index) ? wrapAngle(state[index]) : state[index];
+    }
+
+    // Called for every integration step of the live trajectory
+    record(f, t0, y0, t1, y1) {
+        if (!this.section || !this.isVisible()) return;
+        const crossing = this.section.detect(f, t0, y0, t1, y1);
+        if (!crossing) return;
+
+        if (this.points.length >= MAX_POINTS) this.points.shift();
+        const point = this.axes.map(axis => this.coordinate(crossing.state, axis));
+        this.points.push(point);
+        this.status.textContent = `${this.points.length} crossings`;
+
+        if (this.bounds && this.inBounds(point)) {
+            this.drawPoint(point);
+        } else {
+            this.redraw();
+        }
+    }
+
+    inBounds([u, v]) {
+        const { uMin, uMax, vMin, vMax } = this.bounds;
+        return u >= uMin && u <= uMax && v >= vMin && v <= vMax;
+    }
+
+    // Bounds grow with a margin so that most new points are drawn incrementally
+    updateBounds() {
+        if (this.points.length === 0) {
+            this.bounds = null;
+            return;
+        }
+        let uMin = Infinity;
+        let uMax = -Infinity;
+        let vMin = Infinity;
+        let vMax = -Infinity;
+        this.points.forEach(([u, v]) => {
+            uMin = Math.min(uMin, u);
+            uMax = Math.max(uMax, u);
+            vMin = Math.min(vMin, v);
+            vMax = Math.max(vMax, v);
+        });
+        const uMargin = (uMax - uMin) * 0.25 || 1;
+        const vMargin = (vMax - vMin) * 0.25 || 1;
+        this.bounds = {
+            uMin: uMin - uMargin,
+            uMax: uMax + uMargin,
+            vMin: vMin - vMargin,
+            vMax: vMax + vMargin
+        };
+    }
+
+    toCanvas([u, v]) {
+        const { width, height } = this.canvas;
+        const { uMin, uMax, vMin, vMax } = this.bounds;
+        return [
+            PADDING + (u - uMin) / (uMax - uMin) * (width - 2 * PADDING),
+            height - PADDING - (v - vMin) / (vMax - vMin) * (height - 2 * PADDING)
+        ];
+    }
+
+    drawPoint(point) {
+        const ctx = this.canvas.getContext('2d');
+        const [x, y] = this.toCanvas(point);
+        ctx.fillStyle = 'rgba(0, 255, 242, 0.8)';
+        ctx.fillRect(x - 0.75, y - 0.75, 1.5, 1.5);
+    }
+
+    redraw() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, width, height);
+
+        this.updateBounds();
+        if (!this.bounds) return;
+
+        ctx.strokeStyle = 'rgba(0, 255, 242, 0.5)';
+        ctx.strokeRect(PADDING, PADDING, width - 2 * PADDING, height - 2 * PADDING);
+
+        const axisName = axis => (axis === 'u' || axis === 'v' ? `plane ${axis}` : this.labels[axis]);
+        const { uMin, uMax, vMin, vMax } = this.bounds;
+        ctx.fillStyle = '#00fff2';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(axisName(this.axes[0]), width / 2, height - 8);
+        ctx.fillText(uMin.toPrecision(3), PADDING, height - 8);
+        ctx.fillText(uMax.toPrecision(3), width - PADDING, height - 8);
+        ctx.textAlign = 'left';
+        ctx.fillText(`${axisName(this.axes[1])}  [${vMin.toPrecision(3)}, ${vMax.toPrecision(3)}]`, PADDING, PADDING - 10);
+
+        this.points.forEach(point => this.drawPoint(point));
+    }
+}
@@ -0,0 +1,167 @@
+import { ConfigError } from './config.js';
+import { PresetError } from './presets.js';
+import { createButton, createField, downloadBlob } from './ui.js';
+
+// Preset library in the control panel: pick a preset to load it, save the
+// current setup under the name typed in, and rename, delete, export or
+// import the user's presets (see presets.js).
+//
+// `getConfiguration()` returns the current configuration to save, and
+// `onApply(config)` applies a validated one.
+
+export class PresetPanel {
+    constructor(parent, { library, getConfiguration, onApply }) {
+        this.library = library;
+        this.getConfiguration = getConfiguration;
+        this.onApply = onApply;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Presets';
+        this.panel.appendChild(title);
+
+        this.list = document.createElement('select');
+        this.list.className = 'dropdown';
+        this.list.size = 8;
+        this.list.onchange = () => this.showSelection();
+        this.list.ondblclick = () => this.load();
+        this.panel.appendChild(this.list);
+
+        this.description = document.createElement('div');
+        this.description.className = 'analysis-readout';
+        this.panel.appendChild(this.description);
+
+        this.nameInput = createField('Name', document.createElement('input'), this.panel);
+        this.nameInput.className = 'input-box';
+        this.nameInput.placeholder = 'Name for Save or Rename';
+
+        createButton('Load', () => this.load(), this.panel);
+        createButton('Save Current', () => this.save(), this.panel);
+        this.renameBtn = createButton('Rename', () => this.rename(), this.panel);
+        this.deleteBtn = createButton('Delete', () => this.remove(), this.panel);
+        createButton('Export', () => this.exportPresets(), this.panel);
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json';
+        fileInput.style.display = 'none';
+        fileInput.onchange = (e) => {
+            if (e.target.files[0]) this.importPresets(e.target.files[0]);
+            fileInput.value = '';
+        };
+        this.panel.appendChild(fileInput);
+        createButton('Import', () => fileInput.click(), this.panel);
+
+        this.status = document.createElement('div');
+        this.status.className = 'analysis-readout preset-status';
+        this.panel.appendChild(this.status);
+
+        parent.appendChild(this.panel);
+        this.refresh();
+    }
+
+    // Rebuild the list, keeping `selectedId` selected
+    refresh(selectedId = this.list.value) {
+        this.list.innerHTML = '';
+        const presets = this.library.list();
+        [['Built-in', true], ['My presets', false]].forEach(([label, builtIn]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.filter(preset => Boolean(preset.builtIn) === builtIn).forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                option.title = preset.description || '';
+                group.appendChild(option);
+            });
+            if (group.children.length) this.list.appendChild(group);
+        });
+        this.list.value = selectedId;
+        this.showSelection();
+    }
+
+    selected() {
+        return this.library.get(this.list.value);
+    }
+
+    showSelection() {
+        const preset = this.selected();
+        this.description.textContent = preset ? preset.description || '' : '';
+        this.renameBtn.disabled = this.deleteBtn.disabled = !preset || Boolean(preset.builtIn);
+        if (preset && !preset.builtIn) this.nameInput.value = preset.name;
+    }
+
+    // Runs a library operation, reporting its errors in the status line
+    attempt(action) {
+        try {
+            return action();
+        } catch (error) {
+            if (!(error instanceof PresetError || error instanceof ConfigError)) throw error;
+            this.status.textContent = error.errors.length
+                ? error.errors.map(e => `• ${e}`).join('\n')
+                : error.message;
+            return undefined;
+        }
+    }
+
+    load() {
+        const preset = this.selected();
+        if (!preset) {
+            this.status.textContent = 'Select a preset to load.';
+            return;
+        }
+        this.attempt(() => {
+            this.onApply(this.library.configuration(preset.id));
+            this.status.textContent = `Loaded "${preset.name}".`;
+        });
+    }
+
+    save() {
+        this.attempt(() => {
+            const preset = this.library.add(this.nameInput.value, this.getConfiguration());
+            this.refresh(preset.id);
+            this.status.textContent = `Saved "${preset.name}".`;
+        });
+    }
+
+    rename() {
+        const preset = this.selected();
+        if (!preset) return;
+        this.attempt(() => {
+            this.library.rename(preset.id, this.nameInput.value);
+            this.refresh(preset.id);
+            this.status.textContent = `Renamed to "${this.selected().name}".`;
+        });
+    }
+
+    remove() {
+        const preset = this.selected();
+        if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+        this.attempt(() => {
+            this.library.remove(preset.id);
+            this.refresh('');
+            this.nameInput.value = '';
+            this.status.textContent = `Deleted "${preset.name}".`;
+        });
+    }
+
+    exportPresets() {
+        if (this.library.presets.length === 0) {
+            this.status.textContent = 'There are no presets of your own to export yet.';
+            return;
+        }
+        downloadBlob(new Blob([this.library.export()], { type: 'application/json' }), 'presets.json');
+    }
+
+    async importPresets(file) {
+        const text = await file.text();
+        this.attempt(() => {
+            const added = this.library.import(text);
+            this.refresh(added.length ? added[0].id : undefined);
+            this.status.textContent = `Imported ${added.length} preset${added.length === 1 ? '' : 's'} from ${file.name}.`;
+        });
+    }
+}
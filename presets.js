@@ -0,0 +1,248 @@
+import { CONFIG_FORMAT, CONFIG_VERSION, ConfigError, validateConfig } from './config.js';
+
+// Named presets (snapshots of a configuration: system, parameters, initial
+// state and display settings) and the autosaved session, both kept in
+// localStorage. Built-in presets are read-only; the user's own can be
+// added, renamed, deleted, and exported to or imported from a JSON file:
+//   { format, version, presets: [{ name, description, config }, ...] }
+
+export const PRESETS_FORMAT = 'dynamical-systems-sim/presets';
+export const PRESETS_VERSION = 1;
+
+const PRESETS_KEY = 'dynamical-systems-sim/presets';
+const SESSION_KEY = 'dynamical-systems-sim/session';
+
+export class PresetError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}: ${errors.join('; ')}` : message);
+        this.name = 'PresetError';
+        this.errors = errors;
+    }
+}
+
+function builtIn(id, name, description, config) {
+    return {
+        id: `builtin:${id}`,
+        name,
+        description,
+        builtIn: true,
+        config: { format: CONFIG_FORMAT, version: CONFIG_VERSION, ...config }
+    };
+}
+
+export const builtInPresets = [
+    builtIn('lorenz-28', 'Lorenz, ρ = 28', 'The butterfly: Lorenz\'s original chaotic attractor', {
+        system: 'lorenz',
+        parameters: { sigma: 10, rho: 28, beta: 8 / 3 },
+        state: [1, 1, 1]
+    }),
+    builtIn('lorenz-99.96', 'Lorenz, ρ = 99.96', 'Far above the chaotic range the attractor is a stable periodic orbit tied in a knot', {
+        system: 'lorenz',
+        parameters: { sigma: 10, rho: 99.96, beta: 8 / 3 },
+        state: [1, 1, 1]
+    }),
+    builtIn('rossler-period-2', 'Rössler, c = 4 (period 2)', 'After the first period doubling the orbit goes round twice before it closes', {
+        system: 'rossler',
+        parameters: { a: 0.17, b: 0.2, c: 4 },
+        state: [1, 1, 1]
+    }),
+    builtIn('van-der-pol-relaxation', 'Van der Pol, μ = 8 (relaxation)', 'Relaxation oscillations: slow build-ups ending in sudden jumps', {
+        system: 'vanDerPol',
+        parameters: { mu: 8 },
+        state: [2, 0]
+    }),
+    builtIn('pendulum-upright', 'Pendulum near upright', 'Released 0.001 rad from the unstable upright equilibrium: it lingers at the top, falls and swings back up', {
+        system: 'simplePendulum',
+        parameters: { m1: 1, l1: 1, g: 9.81, damping: 0 },
+        state: [Math.PI - 0.001, 0]
+    })
+];
+
+// localStorage, or null where it is missing or blocked
+function defaultStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function checkName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new PresetError('A preset needs a name');
+    return trimmed;
+}
+
+export class PresetLibrary {
+    constructor(systems, storage = defaultStorage()) {
+        this.systems = systems;
+        this.storage = storage;
+        this.presets = this.read();
+        this.nextId = this.presets.length;
+    }
+
+    read() {
+        if (!this.storage) return [];
+        try {
+            const stored = JSON.parse(this.storage.getItem(PRESETS_KEY) || '[]');
+            return Array.isArray(stored)
+                ? stored.filter(p => p && typeof p.id === 'string' && typeof p.name === 'string' && p.config)
+                : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable presets:', error);
+            return [];
+        }
+    }
+
+    write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(PRESETS_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            throw new PresetError('Presets could not be saved (browser storage is full or unavailable)');
+        }
+    }
+
+    // Built-in presets first, then the user's in the order they were added
+    list() {
+        return [...builtInPresets, ...this.presets];
+    }
+
+    get(id) {
+        return this.list().find(preset => preset.id === id) || null;
+    }
+
+    // The preset's configuration checked against the current systems, ready
+    // to apply; throws a ConfigError if it no longer fits
+    configuration(id) {
+        const preset = this.get(id);
+        if (!preset) throw new PresetError(`No preset with id "${id}"`);
+        return validateConfig(preset.config, this.systems);
+    }
+
+    userPreset(id) {
+        const preset = this.presets.find(p => p.id === id);
+        if (!preset) throw new PresetError(this.get(id) ? 'Built-in presets cannot be changed' : `No preset with id "${id}"`);
+        return preset;
+    }
+
+    checkUnique(name, except) {
+        if (this.list().some(preset => preset.name === name && preset !== except)) {
+            throw new PresetError(`There is already a preset named "${name}"`);
+        }
+    }
+
+    add(name, config, description = '') {
+        const trimmed = checkName(name);
+        this.checkUnique(trimmed);
+        const preset = {
+            id: `user:${Date.now().toString(36)}-${this.nextId++}`,
+            name: trimmed,
+            description,
+            config: validateConfig(config, this.systems)
+        };
+        this.presets.push(preset);
+        this.write();
+        return preset;
+    }
+
+    rename(id, name) {
+        const preset = this.userPreset(id);
+        const trimmed = checkName(name);
+        this.checkUnique(trimmed, preset);
+        preset.name = trimmed;
+        this.write();
+    }
+
+    remove(id) {
+        const preset = this.userPreset(id);
+        this.presets = this.presets.filter(p => p !== preset);
+        this.write();
+    }
+
+    // The user's presets as a file's contents (built-ins are left out)
+    export() {
+        return JSON.stringify({
+            format: PRESETS_FORMAT,
+            version: PRESETS_VERSION,
+            presets: this.presets.map(({ name, description, config }) => ({ name, description, config }))
+        }, null, 2);
+    }
+
+    // Add every preset in an exported file. Nothing is added unless all of
+    // them are valid; names already taken get a number appended. Returns
+    // the added presets.
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new PresetError('The file is not valid JSON');
+        }
+        if (!data || data.format !== PRESETS_FORMAT || !Array.isArray(data.presets)) {
+            throw new PresetError('Not a preset file exported by this simulator');
+        }
+        if (data.version > PRESETS_VERSION) {
+            throw new PresetError(`Preset file version ${data.version} is newer than this simulator supports (${PRESETS_VERSION})`);
+        }
+
+        const errors = [];
+        const incoming = [];
+        data.presets.forEach((entry, i) => {
+            const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+            if (!name) {
+                errors.push(`preset ${i + 1}: needs a name`);
+                return;
+            }
+            const label = `preset "${name}"`;
+            try {
+                incoming.push({
+                    name,
+                    description: typeof entry.description === 'string' ? entry.description : '',
+                    config: validateConfig(entry.config, this.systems)
+                });
+            } catch (error) {
+                if (!(error instanceof ConfigError)) throw error;
+                (error.errors.length ? error.errors : [error.message]).forEach(e => errors.push(`${label}: ${e}`));
+            }
+        });
+        if (errors.length) throw new PresetError('Invalid preset file', errors);
+
+        const taken = new Set(this.list().map(preset => preset.name));
+        const added = incoming.map(({ name, description, config }) => {
+            let unique = name;
+            for (let n = 2; taken.has(unique); n++) unique = `${name} (${n})`;
+            taken.add(unique);
+            return { id: `user:${Date.now().toString(36)}-${this.nextId++}`, name: unique, description, config };
+        });
+        this.presets.push(...added);
+        this.write();
+        return added;
+    }
+}
+
+// Keep the current configuration for the next visit; returns false when
+// storage is unavailable or full
+export function saveSession(config, storage = defaultStorage()) {
+    if (!storage) return false;
+    try {
+        storage.setItem(SESSION_KEY, JSON.stringify(config));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The saved session, validated, or null when there is none or it no longer
+// fits the current systems (it is then discarded)
+export function loadSession(systems, storage = defaultStorage()) {
+    if (!storage) return null;
+    try {
+        const stored = storage.getItem(SESSION_KEY);
+        return stored ? validateConfig(JSON.parse(stored), systems) : null;
+    } catch (error) {
+        console.warn('Discarding saved session:', error);
+        storage.removeItem(SESSION_KEY);
+        return null;
+    }
+}
@@ -0,0 +1,359 @@
+// Recorded runs: time, the full state vector, derived quantities (speed,
+// energy) and every parameter change, with import and export as CSV,
+// JSON lines, or a compact binary format.
+//
+// Binary layout (little-endian):
+//   8 bytes   magic "DSSREC01"
+//   uint32    byte length of the JSON header
+//   ...       UTF-8 JSON header, padded with spaces to a multiple of 8 bytes
+//   float64   samples × columns, row by row
+
+export const RECORDING_FORMAT = 'dynamical-systems-sim/recording';
+export const RECORDING_VERSION = 1;
+
+const BINARY_MAGIC = 'DSSREC01';
+
+export class RecordingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecordingError';
+    }
+}
+
+export class Recording {
+    // `derived` names the extra columns stored after the state variables
+    constructor({ system, name, custom, labels, derived = [], params, integrator, time = 0 }) {
+        this.system = system;
+        this.name = name;
+        this.custom = custom;
+        this.labels = [...labels];
+        this.derived = [...derived];
+        this.integrator = integrator;
+        this.columns = ['t', ...this.labels, ...this.derived];
+        this.width = this.columns.length;
+        this.data = new Float64Array(this.width * 1024);
+        this.length = 0;
+        this.events = [{ time, params: { ...params } }];
+    }
+
+    addSample(time, state, derivedValues = []) {
+        if ((this.length + 1) * this.width > this.data.length) {
+            const grown = new Float64Array(this.data.length * 2);
+            grown.set(this.data);
+            this.data = grown;
+        }
+        const offset = this.length * this.width;
+        this.data[offset] = time;
+        this.data.set(state, offset + 1);
+        this.data.set(derivedValues, offset + 1 + this.labels.length);
+        this.length++;
+    }
+
+    addParameters(time, params) {
+        this.events.push({ time, params: { ...params } });
+    }
+
+    time(k) {
+        return this.data[k * this.width];
+    }
+
+    state(k) {
+        const offset = k * this.width + 1;
+        return Array.from(this.data.subarray(offset, offset + this.labels.length));
+    }
+
+    derivedValues(k) {
+        const offset = k * this.width + 1 + this.labels.length;
+        return Array.from(this.data.subarray(offset, offset + this.derived.length));
+    }
+
+    // Parameters in force at time t (the latest change at or before t)
+    parametersAt(time) {
+        let params = this.events[0].params;
+        for (const event of this.events) {
+            if (event.time > time) break;
+            params = event.params;
+        }
+        return params;
+    }
+
+    // Index of the last sample at or before time t
+    indexAt(time) {
+        let low = 0;
+        let high = this.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.time(mid) <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    header() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            system: this.system,
+            name: this.name,
+            custom: this.custom,
+            labels: this.labels,
+            derived: this.derived,
+            columns: this.columns,
+            integrator: this.integrator,
+            samples: this.length
+        };
+    }
+
+    // Parameters appear as extra columns holding the value in force on each
+    // row; the metadata goes in a leading comment line
+    toCSV() {
+        const paramKeys = Object.keys(this.events[0].params);
+        const lines = [
+            `# ${JSON.stringify(this.header())}`,
+            [...this.columns, ...paramKeys].join(',')
+        ];
+        let event = 0;
+        for (let k = 0; k < this.length; k++) {
+            const t = this.time(k);
+            while (event + 1 < this.events.length && this.events[event + 1].time <= t) event++;
+            const row = Array.from(this.data.subarray(k * this.width, (k + 1) * this.width));
+            lines.push([...row, ...paramKeys.map(key => this.events[event].params[key])].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // One JSON object per line: the header, then samples and parameter
+    // changes in time order
+    toJSONLines() {
+        const lines = [JSON.stringify({ type: 'header', ...this.header() })];
+        let event = 0;
+        for (let k = 0; k < this.length; k++) {
+            const t = this.time(k);
+            while (event < this.events.length && this.events[event].time <= t) {
+                lines.push(JSON.stringify({ type: 'parameters', t: this.events[event].time, params: this.events[event].params }));
+                event++;
+            }
+            const sample = { type: 'sample', t, state: this.state(k) };
+            this.derived.forEach((name, i) => { sample[name] = this.derivedValues(k)[i]; });
+            lines.push(JSON.stringify(sample));
+        }
+        for (; event < this.events.length; event++) {
+            lines.push(JSON.stringify({ type: 'parameters', t: this.events[event].time, params: this.events[event].params }));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    toBinary() {
+        let json = JSON.stringify({ ...this.header(), events: this.events });
+        let headerBytes = new TextEncoder().encode(json);
+        const padding = (8 - (BINARY_MAGIC.length + 4 + headerBytes.length) % 8) % 8;
+        json += ' '.repeat(padding);
+        headerBytes = new TextEncoder().encode(json);
+
+        const dataOffset = BINARY_MAGIC.length + 4 + headerBytes.length;
+        const buffer = new ArrayBuffer(dataOffset + this.length * this.width * 8);
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        for (let i = 0; i < BINARY_MAGIC.length; i++) bytes[i] = BINARY_MAGIC.charCodeAt(i);
+        view.setUint32(BINARY_MAGIC.length, headerBytes.length, true);
+        bytes.set(headerBytes, BINARY_MAGIC.length + 4);
+
+        for (let i = 0; i < this.length * this.width; i++) {
+            view.setFloat64(dataOffset + i * 8, this.data[i], true);
+        }
+        return buffer;
+    }
+}
+
+function checkHeader(header) {
+    if (!header || header.format !== RECORDING_FORMAT) {
+        throw new RecordingError('Not a recording exported by this simulator');
+    }
+    if (header.version > RECORDING_VERSION) {
+        throw new RecordingError(`Recording version ${header.version} is newer than this simulator supports`);
+    }
+    if (!Array.isArray(header.labels) || header.labels.length === 0) {
+        throw new RecordingError('Recording header has no state variables');
+    }
+    if (header.derived !== undefined && !Array.isArray(header.derived)) {
+        throw new RecordingError('Recording header lists its derived quantities incorrectly');
+    }
+}
+
+// Parameter sets must be objects; anything else would fail later on
+function checkParams(params, where) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new RecordingError(`${where}: parameters must be an object`);
+    }
+}
+
+function createFromHeader(header, params) {
+    return new Recording({
+        system: header.system,
+        name: header.name,
+        custom: header.custom,
+        labels: header.labels,
+        derived: header.derived || [],
+        integrator: header.integrator,
+        params
+    });
+}
+
+function finish(recording) {
+    if (recording.length === 0) throw new RecordingError('Recording contains no samples');
+    // The first parameter set applies from the first sample on
+    recording.events[0].time = Math.min(recording.events[0].time, recording.time(0));
+    return recording;
+}
+
+function parseNumber(text, line) {
+    const value = Number(text);
+    if (text.trim() === '' || Number.isNaN(value)) {
+        throw new RecordingError(`Line ${line}: "${text}" is not a number`);
+    }
+    return value;
+}
+
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw new RecordingError('CSV recording has no column names');
+    if (!lines[0].startsWith('#')) throw new RecordingError('CSV recording is missing its header comment');
+
+    let header;
+    try {
+        header = JSON.parse(lines[0].slice(1));
+    } catch (error) {
+        throw new RecordingError('CSV header comment is not valid JSON');
+    }
+    checkHeader(header);
+
+    const names = lines[1].split(',');
+    const width = 1 + header.labels.length + (header.derived || []).length;
+    if (names.length < width) {
+        throw new RecordingError(`Line 2: expected at least ${width} column names, found ${names.length}`);
+    }
+    const paramKeys = names.slice(width);
+    let recording = null;
+    let previous = null;
+
+    lines.slice(2).forEach((line, i) => {
+        const values = line.split(',').map(text => parseNumber(text, i + 3));
+        if (values.length !== names.length) {
+            throw new RecordingError(`Line ${i + 3}: expected ${names.length} values, found ${values.length}`);
+        }
+        const params = {};
+        paramKeys.forEach((key, j) => { params[key] = values[width + j]; });
+        const [t, ...rest] = values.slice(0, width);
+
+        if (!recording) {
+            recording = createFromHeader(header, params);
+            recording.events[0].time = t;
+        } else if (paramKeys.some(key => params[key] !== previous[key])) {
+            recording.addParameters(t, params);
+        }
+        previous = params;
+        recording.addSample(t, rest.slice(0, header.labels.length), rest.slice(header.labels.length));
+    });
+
+    if (!recording) throw new RecordingError('Recording contains no samples');
+    return finish(recording);
+}
+
+function parseJSONLines(text) {
+    const entries = text.split(/\r?\n/).filter(line => line.trim() !== '').map((line, i) => {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new RecordingError(`Line ${i + 1} is not valid JSON`);
+        }
+        if (!entry || typeof entry !== 'object') throw new RecordingError(`Line ${i + 1} is not a JSON object`);
+        return entry;
+    });
+
+    const header = entries[0];
+    if (!header || header.type !== 'header') throw new RecordingError('JSON lines recording must start with a header');
+    checkHeader(header);
+
+    const firstParams = entries.find(entry => entry.type === 'parameters');
+    const recording = createFromHeader(header, firstParams ? firstParams.params : {});
+    let initialApplied = false;
+
+    entries.slice(1).forEach((entry, i) => {
+        if (entry.type === 'parameters') {
+            checkParams(entry.params, `Line ${i + 2}`);
+            if (!initialApplied && entry === firstParams) {
+                recording.events[0].time = entry.t;
+                initialApplied = true;
+            } else {
+                recording.addParameters(entry.t, entry.params);
+            }
+        } else if (entry.type === 'sample') {
+            if (!Array.isArray(entry.state) || entry.state.length !== header.labels.length) {
+                throw new RecordingError(`Line ${i + 2}: sample state must have ${header.labels.length} values`);
+            }
+            recording.addSample(entry.t, entry.state, recording.derived.map(name => entry[name]));
+        }
+    });
+
+    return finish(recording);
+}
+
+function parseBinary(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (buffer.byteLength < BINARY_MAGIC.length + 4) throw new RecordingError('Binary recording is truncated');
+    const headerLength = view.getUint32(BINARY_MAGIC.length, true);
+    const dataOffset = BINARY_MAGIC.length + 4 + headerLength;
+    if (dataOffset > buffer.byteLength) throw new RecordingError('Binary recording is truncated');
+
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(BINARY_MAGIC.length + 4, dataOffset)));
+    } catch (error) {
+        throw new RecordingError('Binary recording header is not valid JSON');
+    }
+    checkHeader(header);
+    if (!Array.isArray(header.events) || header.events.length === 0) {
+        throw new RecordingError('Binary recording header has no parameters');
+    }
+    header.events.forEach((event, i) => {
+        if (!event || !Number.isFinite(event.time)) throw new RecordingError(`Binary recording event ${i + 1} has no time`);
+        checkParams(event.params, `Binary recording event ${i + 1}`);
+    });
+    if (!Number.isInteger(header.samples) || header.samples < 0) {
+        throw new RecordingError('Binary recording header has no sample count');
+    }
+
+    const recording = createFromHeader(header, header.events[0].params);
+    recording.events = header.events.map(event => ({ time: event.time, params: { ...event.params } }));
+
+    const width = recording.width;
+    const samples = header.samples;
+    if (dataOffset + samples * width * 8 > buffer.byteLength) throw new RecordingError('Binary recording is truncated');
+    const row = new Array(width);
+    for (let k = 0; k < samples; k++) {
+        for (let i = 0; i < width; i++) row[i] = view.getFloat64(dataOffset + (k * width + i) * 8, true);
+        recording.addSample(row[0], row.slice(1, 1 + recording.labels.length), row.slice(1 + recording.labels.length));
+    }
+
+    return finish(recording);
+}
+
+// Read a recording from file contents: an ArrayBuffer holding any of the
+// three formats, or text (CSV or JSON lines)
+export function parseRecording(input) {
+    if (input instanceof ArrayBuffer) {
+        const magic = String.fromCharCode(...new Uint8Array(input, 0, Math.min(BINARY_MAGIC.length, input.byteLength)));
+        if (magic === BINARY_MAGIC) return parseBinary(input);
+        input = new TextDecoder().decode(input);
+    }
+
+    const text = input.trimStart();
+    if (text.startsWith('#')) return parseCSV(text);
+    if (text.startsWith('{')) return parseJSONLines(text);
+    throw new RecordingError('Unrecognised recording format');
+}
@@ -0,0 +1,217 @@
+import { Recording, RecordingError, parseRecording } from './recording.js';
+import { createButton, downloadBlob } from './ui.js';
+
+// Recording and replay panel. While recording, every integration step is
+// passed to record(); parameter changes are logged as they happen. A loaded
+// recording can be scrubbed with the timeline slider or played back.
+//
+// Callbacks:
+//   getContext()              { systemKey, name, custom, labels, derived, params, integrator, time }
+//   onReplayStart(recording)  switch the simulator into replay; returns false if it cannot
+//   onReplayFrame(recording, index)
+//   onReplayEnd()
+
+export class RecordingPanel {
+    constructor(parent, { getContext, onReplayStart, onReplayFrame, onReplayEnd }) {
+        this.getContext = getContext;
+        this.onReplayStart = onReplayStart;
+        this.onReplayFrame = onReplayFrame;
+        this.onReplayEnd = onReplayEnd;
+        this.recording = null;
+        this.recordingActive = false;
+        this.replay = null;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Recording & Replay';
+        this.panel.appendChild(title);
+
+        this.recordBtn = createButton('Record', () => (this.recordingActive ? this.stopRecording() : this.startRecording()), this.panel);
+        createButton('Export CSV', () => this.export('csv'), this.panel);
+        createButton('Export JSONL', () => this.export('jsonl'), this.panel);
+        createButton('Export Binary', () => this.export('bin'), this.panel);
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.jsonl,.bin';
+        fileInput.style.display = 'none';
+        fileInput.onchange = (e) => {
+            if (e.target.files[0]) this.load(e.target.files[0]);
+            fileInput.value = '';
+        };
+        this.panel.appendChild(fileInput);
+        createButton('Load Recording', () => fileInput.click(), this.panel);
+
+        this.status = document.createElement('div');
+        this.status.className = 'analysis-readout';
+        this.panel.appendChild(this.status);
+
+        // Replay controls, shown while a recording is loaded
+        this.replayControls = document.createElement('div');
+        this.replayControls.style.display = 'none';
+        this.timeline = document.createElement('input');
+        this.timeline.type = 'range';
+        this.timeline.className = 'slider';
+        this.timeline.min = '0';
+        this.timeline.step = '1';
+        this.timeline.oninput = () => {
+            this.pauseReplay();
+            this.showFrame(parseInt(this.timeline.value, 10));
+        };
+        this.replayControls.appendChild(this.timeline);
+        this.replayBtn = createButton('Play', () => (this.replay.playing ? this.pauseReplay() : this.playReplay()), this.replayControls);
+        createButton('Exit Replay', () => this.exitReplay(), this.replayControls);
+        this.panel.appendChild(this.replayControls);
+
+        parent.appendChild(this.panel);
+        this.renderStatus();
+    }
+
+    isRecording() {
+        return this.recordingActive;
+    }
+
+    isReplaying() {
+        return this.replay !== null;
+    }
+
+    startRecording() {
+        if (this.replay) this.exitReplay();
+        const { systemKey, name, custom, labels, derived, params, integrator, time } = this.getContext();
+        this.recording = new Recording({ system: systemKey, name, custom, labels, derived, params, integrator, time });
+        this.recordingActive = true;
+        this.recordBtn.textContent = 'Stop Recording';
+        this.recordBtn.classList.add('active');
+        this.renderStatus();
+    }
+
+    stopRecording() {
+        if (!this.recordingActive) return;
+        this.recordingActive = false;
+        this.recordBtn.textContent = 'Record';
+        this.recordBtn.classList.remove('active');
+        this.renderStatus();
+    }
+
+    // Called for every integration step while recording
+    record(time, state, derivedValues) {
+        this.recording.addSample(time, state, derivedValues);
+        if (this.recording.length % 500 === 0) this.renderStatus();
+    }
+
+    parametersChanged(time, params) {
+        if (this.recordingActive) this.recording.addParameters(time, params);
+    }
+
+    // The user picked another system: keep what was captured so far, and
+    // leave replay since the recording no longer matches the view
+    systemChanged() {
+        this.stopRecording();
+        if (this.replay) this.exitReplay();
+    }
+
+    export(format) {
+        if (!this.recording || this.recording.length === 0) {
+            this.renderStatus('Nothing recorded yet.');
+            return;
+        }
+        const base = `${this.recording.system}_recording`;
+        if (format === 'csv') {
+            downloadBlob(new Blob([this.recording.toCSV()], { type: 'text/csv' }), `${base}.csv`);
+        } else if (format === 'jsonl') {
+            downloadBlob(new Blob([this.recording.toJSONLines()], { type: 'application/x-ndjson' }), `${base}.jsonl`);
+        } else {
+            downloadBlob(new Blob([this.recording.toBinary()], { type: 'application/octet-stream' }), `${base}.bin`);
+        }
+    }
+
+    async load(file) {
+        let recording;
+        try {
+            recording = parseRecording(await file.arrayBuffer());
+        } catch (error) {
+            const reason = error instanceof RecordingError ? error.message : 'unexpected error';
+            this.renderStatus(`Could not load ${file.name}: ${reason}`);
+            return;
+        }
+
+        this.stopRecording();
+        if (this.replay) this.exitReplay();
+        if (!this.onReplayStart(recording)) return;
+
+        this.recording = recording;
+        this.replay = { index: 0, time: recording.time(0), playing: false };
+        this.timeline.max = String(recording.length - 1);
+        this.replayControls.style.display = '';
+        this.showFrame(0);
+    }
+
+    showFrame(index) {
+        const recording = this.recording;
+        this.replay.index = index;
+        this.replay.time = recording.time(index);
+        this.timeline.value = String(index);
+        this.onReplayFrame(recording, index);
+        this.renderStatus();
+    }
+
+    playReplay() {
+        if (this.replay.index >= this.recording.length - 1) this.showFrame(0);
+        this.replay.playing = true;
+        this.replayBtn.textContent = 'Pause';
+    }
+
+    pauseReplay() {
+        if (!this.replay) return;
+        this.replay.playing = false;
+        this.replayBtn.textContent = 'Play';
+    }
+
+    // Advance playback by `elapsed` real seconds at `speed` simulated seconds per second
+    update(elapsed, speed) {
+        if (!this.replay || !this.replay.playing) return;
+        this.replay.time += elapsed * speed;
+        const index = this.recording.indexAt(this.replay.time);
+        if (index !== this.replay.index) {
+            const time = this.replay.time;
+            this.showFrame(index);
+            this.replay.time = time;
+        }
+        if (index >= this.recording.length - 1) this.pauseReplay();
+    }
+
+    exitReplay() {
+        if (!this.replay) return;
+        this.pauseReplay();
+        this.replay = null;
+        this.replayControls.style.display = 'none';
+        this.onReplayEnd();
+        this.renderStatus();
+    }
+
+    renderStatus(message) {
+        this.status.innerHTML = '';
+        const addLine = text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            this.status.appendChild(line);
+        };
+
+        if (message) addLine(message);
+        const recording = this.recording;
+        if (!recording) {
+            if (!message) addLine('Press Record to capture every integration step.');
+            return;
+        }
+
+        const span = recording.length ? recording.time(recording.length - 1) - recording.time(0) : 0;
+        addLine(`${this.replay ? 'Replaying' : this.recordingActive ? 'Recording' : 'Recorded'}: ${recording.name}`);
+        addLine(`${recording.length} samples over t = ${span.toFixed(2)}, ${recording.events.length - 1} parameter changes`);
+        if (this.replay) {
+            addLine(`t = ${this.replay.time.toFixed(3)} (sample ${this.replay.index + 1} / ${recording.length})`);
+        }
+    }
+}
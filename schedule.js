@@ -0,0 +1,147 @@
+// Keyframed parameter schedules: a parameter follows a curve through
+// (time, value) keyframes as the simulation runs, e.g. Lorenz rho ramping
+// from 10 to 30 over 60 s. Times are simulated seconds, so a schedule starts
+// over whenever the simulation is reset.
+//
+// A schedule is plain data, saved with configurations and sent to the worker:
+//   param          parameter name
+//   keyframes      [{ time, value }, ...] with strictly increasing times
+//   interpolation  'linear', 'eased' (comes to rest at every keyframe) or
+//                  'periodic' (a smooth closed curve; the keyframes are one
+//                  cycle, so the last value must equal the first). Every
+//                  interpolation stays between neighbouring keyframe values,
+//                  so a schedule never leaves the parameter limits.
+//   repeat         'once' (hold the last value), 'loop' or 'pingpong';
+//                  periodic schedules always loop
+// Before the first keyframe the parameter holds the first value.
+
+export const INTERPOLATIONS = {
+    linear: 'Linear',
+    eased: 'Eased',
+    periodic: 'Periodic'
+};
+
+export const REPEAT_MODES = {
+    once: 'Once',
+    loop: 'Loop',
+    pingpong: 'Ping-pong'
+};
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Problems with a list of schedules for a system with parameters `params`,
+// as messages; empty when they are all usable. Keyframe values must lie
+// within the parameter limits in `specs` (see parameters.js).
+export function validateSchedules(schedules, params, specs = {}) {
+    if (!Array.isArray(schedules)) return ['schedules must be an array'];
+    const errors = [];
+    const seen = new Set();
+    schedules.forEach((schedule, i) => {
+        const name = `schedule ${i + 1}`;
+        if (!schedule || typeof schedule !== 'object') {
+            errors.push(`${name} must be an object`);
+            return;
+        }
+        const { param, keyframes, interpolation, repeat } = schedule;
+        if (!Object.hasOwn(params, param)) {
+            errors.push(`${name}: unknown parameter "${param}"`);
+        } else if (seen.has(param)) {
+            errors.push(`${name}: "${param}" already has a schedule`);
+        }
+        seen.add(param);
+        if (!Object.hasOwn(INTERPOLATIONS, interpolation)) errors.push(`${name}: unknown interpolation "${interpolation}"`);
+        if (!Object.hasOwn(REPEAT_MODES, repeat)) errors.push(`${name}: unknown repeat mode "${repeat}"`);
+
+        if (!Array.isArray(keyframes) || keyframes.length < 2) {
+            errors.push(`${name}: needs at least two keyframes`);
+        } else if (!keyframes.every(k => k && isFiniteNumber(k.time) && isFiniteNumber(k.value))) {
+            errors.push(`${name}: keyframes need a numeric time and value`);
+        } else if (keyframes.some((k, j) => j > 0 && k.time <= keyframes[j - 1].time)) {
+            errors.push(`${name}: keyframe times must increase`);
+        } else if (interpolation === 'periodic' && keyframes[keyframes.length - 1].value !== keyframes[0].value) {
+            errors.push(`${name}: a periodic schedule must end on its starting value`);
+        } else {
+            const { min = -Infinity, max = Infinity } = specs[param] || {};
+            if (keyframes.some(k => k.value < min || k.value > max)) {
+                errors.push(`${name}: keyframe values must lie between ${min} and ${max}`);
+            }
+        }
+    });
+    return errors;
+}
+
+// Time within the keyframes' span after applying the repeat mode
+function localTime(schedule, time) {
+    const { keyframes, interpolation, repeat } = schedule;
+    const start = keyframes[0].time;
+    const span = keyframes[keyframes.length - 1].time - start;
+    const elapsed = time - start;
+    if (elapsed <= 0 && interpolation !== 'periodic') return start;
+
+    if (interpolation === 'periodic' || repeat === 'loop') {
+        return start + ((elapsed % span) + span) % span;
+    }
+    if (repeat === 'pingpong') {
+        const phase = elapsed % (2 * span);
+        return start + (phase > span ? 2 * span - phase : phase);
+    }
+    return start + Math.min(elapsed, span);
+}
+
+// Slope at keyframe i of the closed curve. The last keyframe is the first
+// one a cycle later, so the first keyframe's left neighbour is the
+// second-to-last, a cycle earlier. The slope is the harmonic mean of the
+// neighbouring secants and zero at a peak or trough, which keeps every
+// segment monotone (Fritsch-Butland) instead of overshooting like
+// Catmull-Rom slopes would.
+function periodicSlope(keyframes, i) {
+    const n = keyframes.length - 1;
+    const span = keyframes[n].time - keyframes[0].time;
+    const index = i % n;
+    const previous = index === 0
+        ? { time: keyframes[n - 1].time - span, value: keyframes[n - 1].value }
+        : keyframes[index - 1];
+    const current = keyframes[index];
+    const next = keyframes[index + 1];
+    const before = (current.value - previous.value) / (current.time - previous.time);
+    const after = (next.value - current.value) / (next.time - current.time);
+    if (before * after <= 0) return 0;
+    return 2 * before * after / (before + after);
+}
+
+export function scheduleValue(schedule, time) {
+    const { keyframes, interpolation } = schedule;
+    const t = localTime(schedule, time);
+    let i = 0;
+    while (i < keyframes.length - 2 && t > keyframes[i + 1].time) i++;
+
+    const a = keyframes[i];
+    const b = keyframes[i + 1];
+    const h = b.time - a.time;
+    const s = Math.min(1, Math.max(0, (t - a.time) / h));
+
+    if (interpolation === 'eased') {
+        return a.value + (b.value - a.value) * (1 - Math.cos(Math.PI * s)) / 2;
+    }
+    if (interpolation === 'periodic') {
+        // Cubic Hermite segment with monotone slopes
+        const m0 = periodicSlope(keyframes, i) * h;
+        const m1 = periodicSlope(keyframes, i + 1) * h;
+        const s2 = s * s;
+        const s3 = s2 * s;
+        return (2 * s3 - 3 * s2 + 1) * a.value + (s3 - 2 * s2 + s) * m0
+            + (-2 * s3 + 3 * s2) * b.value + (s3 - s2) * m1;
+    }
+    return a.value + (b.value - a.value) * s;
+}
+
+// Values of every scheduled parameter at `time`
+export function scheduledParameters(schedules, time) {
+    const values = {};
+    schedules.forEach(schedule => {
+        values[schedule.param] = scheduleValue(schedule, time);
+    });
+    return values;
+}
@@ -0,0 +1,188 @@
+import { INTERPOLATIONS, REPEAT_MODES, scheduleValue, validateSchedules } from './schedule.js';
+import { createButton, createField, selectInput } from './ui.js';
+
+// Editor for keyframed parameter schedules (see schedule.js). One schedule
+// per parameter; keyframes are typed as "time: value" pairs. The plot shows
+// the selected parameter's curve with the current simulated time marked.
+//
+// `getContext()` returns { params, specs, schedules, time }, with `specs` the
+// parameter limits (see parameters.js); `onChange(schedules)`
+// receives the full list whenever a schedule is set or removed.
+
+const PADDING = 16;
+
+// "0: 10, 60: 30" → [{ time: 0, value: 10 }, { time: 60, value: 30 }], or null
+function parseKeyframes(text) {
+    const pairs = text.split(/[,;\n]+/).map(pair => pair.trim()).filter(Boolean);
+    const keyframes = pairs.map(pair => {
+        const [time, value, extra] = pair.split(/\s*:\s*|\s+/).map(Number);
+        return extra === undefined && Number.isFinite(time) && Number.isFinite(value) ? { time, value } : null;
+    });
+    return keyframes.length && keyframes.every(Boolean) ? keyframes : null;
+}
+
+function formatKeyframes(keyframes) {
+    return keyframes.map(({ time, value }) => `${time}: ${value}`).join(', ');
+}
+
+export class SchedulePanel {
+    constructor(parent, { getContext, onChange }) {
+        this.getContext = getContext;
+        this.onChange = onChange;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Parameter Schedules';
+        this.panel.appendChild(title);
+
+        const form = document.createElement('div');
+        form.className = 'tool-form';
+        this.paramSelect = createField('Parameter', selectInput([]), form);
+        this.paramSelect.onchange = () => this.showSchedule();
+        this.interpolationSelect = createField('Interpolation', selectInput(Object.entries(INTERPOLATIONS)), form);
+        this.repeatSelect = createField('Repeat', selectInput(Object.entries(REPEAT_MODES)), form);
+        this.panel.appendChild(form);
+
+        this.keyframesInput = createField('Keyframes (time: value, ...)', document.createElement('input'), this.panel);
+        this.keyframesInput.className = 'input-box';
+
+        createButton('Set Schedule', () => this.applySchedule(), this.panel);
+        createButton('Remove', () => this.removeSchedule(), this.panel);
+        this.status = document.createElement('span');
+        this.status.className = 'tool-status';
+        this.panel.appendChild(this.status);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'analysis-readout';
+        this.panel.appendChild(this.readout);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'analysis-plot';
+        this.canvas.width = 260;
+        this.canvas.height = 100;
+        this.panel.appendChild(this.canvas);
+
+        parent.appendChild(this.panel);
+    }
+
+    // Rebuild the parameter list for the active system
+    refresh() {
+        const { params } = this.getContext();
+        this.paramSelect.innerHTML = '';
+        Object.keys(params).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            this.paramSelect.appendChild(option);
+        });
+        this.showSchedule();
+    }
+
+    selectedSchedule() {
+        return this.getContext().schedules.find(schedule => schedule.param === this.paramSelect.value);
+    }
+
+    // Fill the form from the selected parameter's schedule, or suggest a ramp
+    // to twice its current value
+    showSchedule() {
+        const schedule = this.selectedSchedule();
+        const value = this.getContext().params[this.paramSelect.value];
+        this.interpolationSelect.value = schedule ? schedule.interpolation : 'linear';
+        this.repeatSelect.value = schedule ? schedule.repeat : 'once';
+        this.keyframesInput.value = schedule
+            ? formatKeyframes(schedule.keyframes)
+            : formatKeyframes([{ time: 0, value }, { time: 60, value: value * 2 || 1 }]);
+        this.status.textContent = '';
+        this.update();
+    }
+
+    applySchedule() {
+        const keyframes = parseKeyframes(this.keyframesInput.value);
+        if (!keyframes) {
+            this.status.textContent = 'Keyframes must be "time: value" pairs separated by commas';
+            return;
+        }
+        const { params, specs, schedules } = this.getContext();
+        const param = this.paramSelect.value;
+        const schedule = {
+            param,
+            keyframes,
+            interpolation: this.interpolationSelect.value,
+            repeat: this.repeatSelect.value
+        };
+        const errors = validateSchedules([schedule], params, specs);
+        if (errors.length) {
+            this.status.textContent = errors.map(error => error.replace('schedule 1: ', '')).join('; ');
+            return;
+        }
+        this.status.textContent = '';
+        this.onChange([...schedules.filter(s => s.param !== param), schedule]);
+        this.update();
+    }
+
+    removeSchedule() {
+        const { schedules } = this.getContext();
+        this.onChange(schedules.filter(s => s.param !== this.paramSelect.value));
+        this.update();
+    }
+
+    // Called once per rendered batch of steps
+    update() {
+        const { params, schedules, time } = this.getContext();
+        this.readout.innerHTML = '';
+        if (schedules.length === 0) {
+            this.readout.textContent = 'No parameters scheduled.';
+        }
+        schedules.forEach(schedule => {
+            const line = document.createElement('div');
+            const { keyframes } = schedule;
+            line.textContent = `${schedule.param} = ${params[schedule.param].toFixed(4)}`
+                + ` (${schedule.interpolation}, ${schedule.repeat}, ${keyframes[0].time}–${keyframes[keyframes.length - 1].time} s)`;
+            this.readout.appendChild(line);
+        });
+        this.render(time);
+    }
+
+    // The selected schedule over two of its spans, or up to the current time
+    render(time) {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        const schedule = this.selectedSchedule();
+        if (!schedule) return;
+
+        const { keyframes } = schedule;
+        const tMin = Math.min(0, keyframes[0].time);
+        const span = keyframes[keyframes.length - 1].time - tMin;
+        const tMax = tMin + Math.max(2 * span, time - tMin);
+        const samples = Array.from({ length: width - 2 * PADDING + 1 }, (_, i) => {
+            const t = tMin + (tMax - tMin) * i / (width - 2 * PADDING);
+            return scheduleValue(schedule, t);
+        });
+        const vMin = Math.min(...samples);
+        const vMax = Math.max(...samples);
+        const y = v => height - PADDING - (v - vMin) / (vMax - vMin || 1) * (height - 2 * PADDING);
+
+        ctx.strokeStyle = '#00fff2';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        samples.forEach((v, i) => (i === 0 ? ctx.moveTo(PADDING + i, y(v)) : ctx.lineTo(PADDING + i, y(v))));
+        ctx.stroke();
+
+        const x = PADDING + (time - tMin) / (tMax - tMin) * (width - 2 * PADDING);
+        ctx.strokeStyle = '#ff00ff';
+        ctx.beginPath();
+        ctx.moveTo(x, PADDING / 2);
+        ctx.lineTo(x, height - PADDING / 2);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '10px monospace';
+        ctx.fillText(vMax.toPrecision(4), 2, PADDING - 4);
+        ctx.fillText(vMin.toPrecision(4), 2, height - 4);
+        ctx.fillText(`${tMax.toFixed(0)} s`, width - PADDING - 30, height - 4);
+    }
+}
@@ -0,0 +1,217 @@
+import { Integrator } from './integrators.js';
+import { MapStepper, isMap } from './maps.js';
+import { stepFunction } from './systems.js';
+import { scheduledParameters } from './schedule.js';
+import { Ensemble } from './ensemble.js';
+import { Twin } from './twin.js';
+
+// Numerical core of the live simulation: advances one system by whole steps
+// of the integrator's dt and returns the visited states as typed arrays.
+// Runs inside simulationWorker.js but has no DOM or worker dependencies.
+// Iterated maps are stepped one iteration at a time by a MapStepper.
+// Scheduled parameters (see schedule.js) are updated before every step and
+// held for the length of it.
+//
+// An ensemble (ensemble.js) and a twin (twin.js) can be stepped in lockstep
+// with the main trajectory, using the same parameters at every step. Both
+// are seeded from the current state; batches then carry their results.
+
+// Safety cap on the number of steps returned in one batch
+const MAX_BATCH_STEPS = 200000;
+
+// Steps between clock checks when running against a time budget
+const CLOCK_INTERVAL = 64;
+
+// Steps first allocated for a batch run against a time budget; the buffers
+// double whenever the batch outgrows them
+const INITIAL_BUDGET_STEPS = 1024;
+
+// Copy of `array` with room for `length` values
+function grow(array, length) {
+    const grown = new Float64Array(length);
+    grown.set(array);
+    return grown;
+}
+
+export class Simulation {
+    constructor({ system, params, state, time = 0, integrator = {}, schedules = [] }) {
+        this.system = system;
+        this.state = [...state];
+        this.time = time;
+        this.integrator = isMap(system) ? new MapStepper() : new Integrator(integrator);
+        // Simulated time requested but not yet covered by a whole step
+        this.carry = 0;
+        this.diverged = false;
+        this.schedules = schedules;
+        // Values of the scheduled parameters for the current step
+        this.scheduled = {};
+        this.setParameters(params);
+        this.ensemble = null;
+        this.twin = null;
+    }
+
+    setParameters(params) {
+        this.params = { ...params };
+        this.f = stepFunction(this.system, this.params);
+    }
+
+    setSchedules(schedules) {
+        this.schedules = schedules;
+    }
+
+    // Rebuild the derivative only when a scheduled value has moved
+    applySchedules() {
+        const values = scheduledParameters(this.schedules, this.time);
+        this.scheduled = values;
+        if (Object.keys(values).some(key => values[key] !== this.params[key])) {
+            this.setParameters({ ...this.params, ...values });
+        }
+    }
+
+    // Seed a cloud of `count` trajectories around the current state, or stop
+    // with null (see Ensemble for the options)
+    setEnsemble(options) {
+        // Clouds and twins are for flows only
+        if (isMap(this.system)) options = null;
+        this.ensemble = options && new Ensemble({
+            ...options,
+            f: this.f,
+            center: this.state,
+            time: this.time,
+            integrator: this.integrator.getSettings()
+        });
+        this.ensembleSeeded = Boolean(options);
+    }
+
+    // Start a twin from the current state, or stop with null. Options:
+    //   params        its own values for some parameters, the others coming
+    //                 from the main run, or null to share the main run's
+    //   perturbation  { variable, delta } added to the initial state, or null
+    //   method        integration method
+    //   periodic      angle variables, compared modulo 2π
+    setTwin(options) {
+        this.twin = null;
+        if (!options || isMap(this.system)) return;
+        const { params = null, perturbation = null, method, periodic = [] } = options;
+        const state = [...this.state];
+        if (perturbation) state[perturbation.variable] += perturbation.delta;
+        this.twin = new Twin({
+            system: this.system,
+            params,
+            base: this.params,
+            state,
+            time: this.time,
+            integrator: { ...this.integrator.getSettings(), method },
+            periodic
+        });
+        this.twinStart = { time: this.time, separation: this.twin.separation(this.state) };
+    }
+
+    configure(settings) {
+        this.integrator.configure(settings);
+        this.carry = 0;
+    }
+
+    // Advance by `duration` simulated seconds, or for `budget` milliseconds of
+    // wall-clock time when no duration is given. Returns
+    // { times, states, dimension }, with states stored row by row.
+    run({ duration, budget, maxSteps = MAX_BATCH_STEPS }) {
+        const dt = this.integrator.settings.dt;
+        const dimension = this.state.length;
+        let steps;
+        if (duration !== undefined) {
+            this.carry += duration;
+            steps = Math.min(maxSteps, Math.floor(this.carry / dt + 1e-9));
+            this.carry = Math.max(0, this.carry - steps * dt);
+        } else {
+            steps = maxSteps;
+        }
+        if (this.diverged) steps = 0;
+
+        let capacity = duration !== undefined ? steps : Math.min(steps, INITIAL_BUDGET_STEPS);
+        let times = new Float64Array(capacity);
+        let states = new Float64Array(capacity * dimension);
+        const twin = this.twin && !this.twin.diverged ? this.twin : null;
+        let twinStates = new Float64Array(twin ? capacity * dimension : 0);
+        let separations = new Float64Array(twin ? capacity : 0);
+        let twinSteps = 0;
+        const start = Date.now();
+        let taken = 0;
+
+        while (taken < steps) {
+            if (taken === capacity) {
+                capacity = Math.min(steps, 2 * capacity);
+                times = grow(times, capacity);
+                states = grow(states, capacity * dimension);
+                if (twin) {
+                    twinStates = grow(twinStates, capacity * dimension);
+                    separations = grow(separations, capacity);
+                }
+            }
+            if (this.schedules.length) this.applySchedules();
+            const next = this.integrator.advance(this.f, this.time, this.state, dt);
+            if (!next.every(Number.isFinite)) {
+                this.diverged = true;
+                break;
+            }
+            this.state = next;
+            this.time += dt;
+            times[taken] = this.time;
+            states.set(next, taken * dimension);
+
+            if (this.ensemble) this.ensemble.advance(dt, this.f);
+            if (twin && twin.step(dt, this.f, this.scheduled)) {
+                twinStates.set(twin.state, taken * dimension);
+                separations[taken] = twin.separation(next);
+                twinSteps = taken + 1;
+            }
+            taken++;
+
+            if (budget !== undefined && taken % CLOCK_INTERVAL === 0 && Date.now() - start >= budget) break;
+        }
+
+        return {
+            times: taken < capacity ? times.slice(0, taken) : times,
+            states: taken < capacity ? states.slice(0, taken * dimension) : states,
+            dimension,
+            ensemble: this.ensembleResult(taken),
+            twin: twin && (twinSteps < capacity
+                ? this.twinResult(twinStates.slice(0, twinSteps * dimension), separations.slice(0, twinSteps))
+                : this.twinResult(twinStates, separations))
+        };
+    }
+
+    // Member states and the spread, recorded once per batch of `steps`
+    // steps; the offsets only come with the first batch after seeding
+    ensembleResult(steps) {
+        const ensemble = this.ensemble;
+        if (!ensemble) return null;
+        if (steps > 0) ensemble.record();
+        const result = {
+            time: ensemble.time,
+            states: ensemble.flatStates(),
+            spread: ensemble.history[ensemble.history.length - 1]
+        };
+        if (this.ensembleSeeded) {
+            this.ensembleSeeded = false;
+            Object.assign(result, {
+                startTime: ensemble.startTime,
+                radius: ensemble.radius,
+                offsets: ensemble.flatOffsets(),
+                offsetDimension: ensemble.variables.length
+            });
+        }
+        return result;
+    }
+
+    // Twin states and separations for the steps the twin took; the first
+    // batch after starting also carries the starting separation
+    twinResult(states, separations) {
+        const result = { states, separations, diverged: this.twin.diverged };
+        if (this.twinStart) {
+            result.start = this.twinStart;
+            this.twinStart = null;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,129 @@
+// Main-thread handle on simulationWorker.js. At most one batch request is in
+// flight; simulated time asked for in the meantime is owed and added to the
+// next request, so the simulation keeps pace with the clock even when a
+// batch takes longer than a frame.
+//
+// step() is the deterministic alternative used by video capture: exactly one
+// batch of a fixed duration, with a promise that settles once it has been
+// delivered.
+//
+// The ensemble and the twin comparison run in the worker as well. Their
+// latest options are kept here and resent with every load; batch results
+// from before the most recent setEnsemble() or setTwin() are dropped.
+
+export class SimulationEngine {
+    constructor({ onBatch, onError }) {
+        this.onBatch = onBatch;
+        this.onError = onError;
+        this.generation = 0;
+        this.pending = false;
+        this.owed = 0;
+        this.stepRequest = null;
+        this.ensemble = { id: 0, options: null };
+        this.twin = { id: 0, options: null };
+
+        this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.onError(event.message);
+    }
+
+    // Replace the worker's simulation; batches from earlier loads are dropped
+    load({ systemKey, custom, params, state, time, integrator, schedules = [] }) {
+        this.generation++;
+        this.pending = false;
+        this.owed = 0;
+        this.worker.postMessage({
+            type: 'load',
+            generation: this.generation,
+            systemKey,
+            custom,
+            params,
+            state,
+            time,
+            integrator,
+            schedules,
+            ensemble: this.ensemble,
+            twin: this.twin
+        });
+        // A step requested before the reload is re-sent against the new simulation
+        if (this.stepRequest) this.sendStep();
+    }
+
+    setParameters(params) {
+        this.worker.postMessage({ type: 'parameters', params });
+    }
+
+    setSchedules(schedules) {
+        this.worker.postMessage({ type: 'schedules', schedules });
+    }
+
+    // Seed an ensemble around the simulation's current state (options as for
+    // Simulation.setEnsemble), or stop it with null
+    setEnsemble(options) {
+        this.ensemble = { id: this.ensemble.id + 1, options };
+        this.worker.postMessage({ type: 'ensemble', ...this.ensemble });
+    }
+
+    // Start a twin from the simulation's current state, or stop it with null
+    setTwin(options) {
+        this.twin = { id: this.twin.id + 1, options };
+        this.worker.postMessage({ type: 'twin', ...this.twin });
+    }
+
+    configure(settings) {
+        this.worker.postMessage({ type: 'integrator', settings });
+    }
+
+    // Ask for `duration` more simulated seconds
+    advance(duration) {
+        this.owed += duration;
+        if (this.pending) return;
+        this.pending = true;
+        this.worker.postMessage({ type: 'advance', duration: this.owed });
+        this.owed = 0;
+    }
+
+    // Ask for as many steps as fit in `budget` milliseconds (fast-forward)
+    fastForward(budget) {
+        if (this.pending) return;
+        this.pending = true;
+        this.owed = 0;
+        this.worker.postMessage({ type: 'advance', budget });
+    }
+
+    // Ask for exactly `duration` simulated seconds in a single batch; resolves
+    // after the batch has been passed to onBatch
+    step(duration) {
+        return new Promise((resolve, reject) => {
+            this.stepRequest = { duration, resolve, reject };
+            this.owed = 0;
+            if (!this.pending) this.sendStep();
+        });
+    }
+
+    sendStep() {
+        this.pending = true;
+        this.stepRequest.sent = true;
+        this.worker.postMessage({ type: 'advance', duration: this.stepRequest.duration });
+    }
+
+    handleMessage(message) {
+        if (message.generation !== this.generation) return;
+        this.pending = false;
+        const request = this.stepRequest && this.stepRequest.sent ? this.stepRequest : null;
+        if (request) this.stepRequest = null;
+
+        if (message.type === 'batch') {
+            if (message.ensemble && message.ensemble.id !== this.ensemble.id) message.ensemble = null;
+            if (message.twin && message.twin.id !== this.twin.id) message.twin = null;
+            this.onBatch(message);
+            if (request) request.resolve();
+        } else if (message.type === 'error') {
+            this.onError(message.message);
+            if (request) request.reject(new Error(message.message));
+        }
+
+        // A step asked for while another batch was in flight goes out now
+        if (this.stepRequest && !this.stepRequest.sent) this.sendStep();
+    }
+}
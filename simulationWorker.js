@@ -0,0 +1,81 @@
+import { resolveSystem } from './systems.js';
+import { Simulation } from './simulation.js';
+
+// Runs the live simulation off the main thread. The main thread asks for a
+// batch of simulated time each frame and only renders what comes back; batch
+// arrays are transferred rather than copied. Every 'load' bumps a generation
+// number so that batches computed before a reset can be told apart.
+//
+// The ensemble and the twin comparison are stepped here too, alongside the
+// main trajectory (see simulation.js). Each carries the id it was requested
+// with, and is reseeded from the new state whenever the simulation reloads.
+
+let simulation = null;
+let generation = 0;
+let ensemble = { id: 0, options: null };
+let twin = { id: 0, options: null };
+
+// Transferable arrays of a batch
+function transfers(batch) {
+    const arrays = [batch.times, batch.states];
+    if (batch.ensemble) arrays.push(batch.ensemble.states);
+    if (batch.twin) arrays.push(batch.twin.states, batch.twin.separations);
+    return arrays.map(array => array.buffer);
+}
+
+const handlers = {
+    load({ systemKey, custom, params, state, time, integrator, schedules, generation: next, ...companions }) {
+        generation = next;
+        simulation = null;
+        ensemble = companions.ensemble;
+        twin = companions.twin;
+        const system = resolveSystem(systemKey, params, custom);
+        simulation = new Simulation({ system, params, state, time, integrator, schedules });
+        simulation.setEnsemble(ensemble.options);
+        simulation.setTwin(twin.options);
+    },
+
+    ensemble({ id, options }) {
+        ensemble = { id, options };
+        if (simulation) simulation.setEnsemble(options);
+    },
+
+    twin({ id, options }) {
+        twin = { id, options };
+        if (simulation) simulation.setTwin(options);
+    },
+
+    parameters({ params }) {
+        if (simulation) simulation.setParameters(params);
+    },
+
+    schedules({ schedules }) {
+        if (simulation) simulation.setSchedules(schedules);
+    },
+
+    integrator({ settings }) {
+        if (simulation) simulation.configure(settings);
+    },
+
+    advance({ duration, budget }) {
+        // Still answer without a simulation so the main thread can request again
+        if (!simulation) {
+            self.postMessage({ type: 'batch', generation, times: new Float64Array(0), states: new Float64Array(0), dimension: 0 });
+            return;
+        }
+        const batch = simulation.run({ duration, budget });
+        if (batch.ensemble) batch.ensemble.id = ensemble.id;
+        if (batch.twin) batch.twin.id = twin.id;
+        self.postMessage({ type: 'batch', generation, diverged: simulation.diverged, ...batch }, transfers(batch));
+    }
+};
+
+self.onmessage = (event) => {
+    const handler = handlers[event.data.type];
+    try {
+        if (!handler) throw new Error(`Unknown message "${event.data.type}"`);
+        handler(event.data);
+    } catch (error) {
+        self.postMessage({ type: 'error', generation, message: error.message });
+    }
+};
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+// Pointer dragging of scene objects that stand for the initial state: the
+// start-point marker, or pendulum bobs. The listener sits on the canvas's
+// container in the capture phase, so a grab is handled before OrbitControls
+// sees it and does not also rotate the view; misses fall through to orbiting.
+//
+// Callbacks (handles are meshes from getHandles(); points are [x, y, z] on a
+// camera-facing plane through the grabbed handle):
+//   getHandles()
+//   onStart(handle)
+//   onDrag(handle, point)
+//   onEnd(handle, point)   point is null if the pointer left the plane
+
+export class StateDragger {
+    constructor(canvas, camera, { getHandles, onStart, onDrag, onEnd }) {
+        this.canvas = canvas;
+        this.camera = camera;
+        this.getHandles = getHandles;
+        this.onStart = onStart;
+        this.onDrag = onDrag;
+        this.onEnd = onEnd;
+        this.active = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.plane = new THREE.Plane();
+        this.point = new THREE.Vector3();
+        this.normal = new THREE.Vector3();
+
+        this.handleMove = event => this.pointerMove(event);
+        this.handleUp = event => this.pointerUp(event);
+        canvas.parentElement.addEventListener('pointerdown', event => this.pointerDown(event), true);
+    }
+
+    setRay(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.set(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -(event.clientY - rect.top) / rect.height * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+    }
+
+    pointerDown(event) {
+        if (event.button !== 0 || event.target !== this.canvas) return;
+        const handles = this.getHandles();
+        if (handles.length === 0) return;
+
+        this.setRay(event);
+        const hit = this.raycaster.intersectObjects(handles, false)[0];
+        if (!hit) return;
+
+        event.stopPropagation();
+        event.preventDefault();
+        this.active = hit.object;
+        this.camera.getWorldDirection(this.normal);
+        this.plane.setFromNormalAndCoplanarPoint(this.normal, hit.object.getWorldPosition(this.point));
+        window.addEventListener('pointermove', this.handleMove);
+        window.addEventListener('pointerup', this.handleUp);
+        this.onStart(this.active);
+    }
+
+    // Pointer position on the drag plane, or null when the ray misses it
+    project(event) {
+        this.setRay(event);
+        const point = this.raycaster.ray.intersectPlane(this.plane, this.point);
+        return point ? point.toArray() : null;
+    }
+
+    pointerMove(event) {
+        const point = this.project(event);
+        if (point) this.onDrag(this.active, point);
+    }
+
+    pointerUp(event) {
+        window.removeEventListener('pointermove', this.handleMove);
+        window.removeEventListener('pointerup', this.handleUp);
+        const handle = this.active;
+        this.active = null;
+        this.onEnd(handle, this.project(event));
+    }
+}
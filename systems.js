@@ -0,0 +1,249 @@
+import { DoublePendulum } from './doublePendulum.js';
+import { MAX_LINKS, PendulumChain, SphericalPendulum, countLinks } from './pendulum.js';
+import { createCustomSystem, customExamples } from './customSystem.js';
+import { isMap, mapFunction, maps } from './maps.js';
+
+const subscript = i => String(i).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+
+// Kinetic, potential and total energy of a pendulum model; the total is
+// conserved when damping = 0 (see invariants.js)
+function energyInvariants(createModel) {
+    // Evaluated at every step, so one model per parameter set is kept and
+    // only its state is replaced
+    let cached = null;
+    const modelFor = params => {
+        const same = cached && Object.keys(params).length === Object.keys(cached.params).length
+            && Object.keys(params).every(key => params[key] === cached.params[key]);
+        if (!same) cached = { params: { ...params }, model: createModel(params) };
+        return cached.model;
+    };
+    return {
+        title: 'Energy',
+        quantities: ['T', 'V', 'E'],
+        drift: 2,
+        // Depth of the potential well, so drift is measurable from E = 0
+        scale: params => modelFor(params).getEnergyScale(),
+        evaluate: (state, params) => {
+            const model = modelFor(params);
+            model.setState(state);
+            const { kinetic, potential, total } = model.getEnergies();
+            return [kinetic, potential, total];
+        }
+    };
+}
+
+// Planar chain of `links` pendulums. Models are built with the link count
+// implied by the parameters, so a chain of any length can be simulated from
+// its parameters alone (e.g. in the worker).
+export function createPendulumChainSystem(links, name = `${links}-Link Pendulum`) {
+    if (!(Number.isInteger(links) && links >= 1 && links <= MAX_LINKS)) {
+        throw new RangeError(`A pendulum chain needs between 1 and ${MAX_LINKS} links`);
+    }
+    const params = {};
+    for (let i = 1; i <= links; i++) params[`m${i}`] = 1.0;
+    for (let i = 1; i <= links; i++) params[`l${i}`] = 1.0;
+    params.g = 9.81;
+    params.damping = 0.0;
+
+    const createModel = p => new PendulumChain(p, countLinks(p) || links);
+    const model = createModel(params);
+    return {
+        name,
+        links,
+        params,
+        equations: null, // Special handling in simulator
+        createModel,
+        variables: Array.from({ length: links }, (_, i) => [`θ${subscript(i + 1)}`, `ω${subscript(i + 1)}`]).flat(),
+        periodic: Array.from({ length: links }, (_, i) => 2 * i),
+        section: { index: 0, value: 0, direction: 'up' },
+        invariants: energyInvariants(createModel),
+        defaultState: model.getState()
+    };
+}
+
+// The resizable chain: resize() gives the same system with another link
+// count, and fromParameters() the one matching a saved parameter set
+function resizableChain(links) {
+    return {
+        ...createPendulumChainSystem(links, 'N-Link Pendulum'),
+        resize: resizableChain,
+        fromParameters: params => resizableChain(countLinks(params) || links)
+    };
+}
+
+// Periodically forced systems are planar, with the time t passed to their
+// equations; forcingPeriod(params) is the period of the drive, at which the
+// Poincaré panel samples them stroboscopically
+const STROBOSCOPIC_SECTION = { type: 'stroboscopic', phase: 0 };
+
+// Dynamic Systems Equations
+export const systems = {
+    simplePendulum: createPendulumChainSystem(1, 'Simple Pendulum'),
+    doublePendulum: {
+        name: 'Double Pendulum',
+        params: { 
+            m1: 1.0, 
+            m2: 1.0, 
+            l1: 1.0, 
+            l2: 1.0, 
+            g: 9.81, 
+            damping: 0.0 
+        },
+        equations: null, // Special handling in simulator
+        createModel: params => new DoublePendulum(params),
+        variables: ['θ₁', 'ω₁', 'θ₂', 'ω₂'],
+        periodic: [0, 2], // θ₁ and θ₂ are angles
+        section: { index: 0, value: 0, direction: 'up' },
+        invariants: energyInvariants(params => new DoublePendulum(params)),
+        defaultState: [Math.PI/2, 0, Math.PI/2, 0]
+    },
+    triplePendulum: createPendulumChainSystem(3, 'Triple Pendulum'),
+    pendulumChain: resizableChain(5),
+    sphericalPendulum: {
+        name: 'Spherical Pendulum',
+        params: { m: 1.0, l: 1.0, g: 9.81, damping: 0.0 },
+        equations: null, // Special handling in simulator
+        createModel: params => new SphericalPendulum(params),
+        variables: ['θ', 'ω_θ', 'φ', 'ω_φ'],
+        periodic: [0, 2],
+        // Each time the bob swings through the plane φ = 0
+        section: { index: 2, value: 0, direction: 'up' },
+        invariants: energyInvariants(params => new SphericalPendulum(params)),
+        defaultState: [Math.PI/3, 0, 0, 2]
+    },
+    lorenz: {
+        name: 'Lorenz Attractor',
+        params: { sigma: 10, rho: 28, beta: 8/3 },
+        equations: (x, y, z, params) => ({
+            dx: params.sigma * (y - x),
+            dy: x * (params.rho - z) - y,
+            dz: x * y - params.beta * z
+        }),
+        section: { index: 2, value: 27, direction: 'down' },
+        defaultState: [1, 1, 1]
+    },
+    rossler: {
+        name: 'Rössler Attractor',
+        params: { a: 0.2, b: 0.2, c: 5.7 },
+        equations: (x, y, z, params) => ({
+            dx: -y - z,
+            dy: x + params.a * y,
+            dz: params.b + z * (x - params.c)
+        }),
+        section: { index: 1, value: 0, direction: 'down' },
+        defaultState: [1, 1, 1]
+    },
+    vanDerPol: {
+        name: 'Van der Pol Oscillator',
+        params: { mu: 1 },
+        equations: (x, y, z, params) => ({
+            dx: y,
+            dy: params.mu * (1 - x * x) * y - x
+        }),
+        section: { index: 1, value: 0, direction: 'down' },
+        defaultState: [1, 1]
+    },
+    forcedDuffing: {
+        name: 'Forced Duffing Oscillator',
+        params: { delta: 0.3, alpha: -1, beta: 1, gamma: 0.5, omega: 1.2 },
+        equations: (x, y, z, params, t) => ({
+            dx: y,
+            dy: -params.delta * y - params.alpha * x - params.beta * x * x * x
+                + params.gamma * Math.cos(params.omega * t)
+        }),
+        forcingPeriod: params => 2 * Math.PI / params.omega,
+        section: STROBOSCOPIC_SECTION,
+        defaultState: [1, 0]
+    },
+    forcedVanDerPol: {
+        name: 'Forced Van der Pol Oscillator',
+        params: { mu: 8.53, A: 1.2, omega: 2 * Math.PI / 10 },
+        equations: (x, y, z, params, t) => ({
+            dx: y,
+            dy: params.mu * (1 - x * x) * y - x + params.A * Math.sin(params.omega * t)
+        }),
+        forcingPeriod: params => 2 * Math.PI / params.omega,
+        section: STROBOSCOPIC_SECTION,
+        defaultState: [1, 0]
+    },
+    drivenPendulum: {
+        name: 'Driven Damped Pendulum',
+        params: { damping: 0.5, omega0: 1, A: 1.2, omegaD: 2 / 3 },
+        equations: (x, y, z, params, t) => ({
+            dx: y,
+            dy: -params.damping * y - params.omega0 * params.omega0 * Math.sin(x)
+                + params.A * Math.cos(params.omegaD * t)
+        }),
+        forcingPeriod: params => 2 * Math.PI / params.omegaD,
+        section: STROBOSCOPIC_SECTION,
+        variables: ['θ', 'ω'],
+        periodic: [0],
+        defaultState: [0.2, 0]
+    },
+    pointAttractor: {
+        name: 'Point Attractor',
+        params: { lambda: 1 },
+        equations: (x, y, z, params) => ({
+            dx: -params.lambda * x,
+            dy: -params.lambda * y,
+            dz: -params.lambda * z
+        }),
+        // Lyapunov function: V(t) = V(0)·e^(−2λt) along every trajectory
+        invariants: {
+            title: 'Lyapunov Function',
+            quantities: ['V'],
+            drift: 0,
+            logScale: true,
+            evaluate: ([x, y, z]) => [x * x + y * y + z * z]
+        },
+        defaultState: [1, 1, 1]
+    },
+    pointRepeller: {
+        name: 'Point Repeller',
+        params: { lambda: 1 },
+        equations: (x, y, z, params) => ({
+            dx: params.lambda * x,
+            dy: params.lambda * y,
+            dz: params.lambda * z
+        }),
+        defaultState: [0.1, 0.1, 0.1]
+    },
+    ...maps
+};
+
+// Editable from the control panel; starts out as the Chen attractor
+systems.custom = createCustomSystem(customExamples.chen);
+
+// The system a worker message or script refers to: custom systems are
+// rebuilt from their definition and resizable ones shaped by `params`
+export function resolveSystem(systemKey, params = {}, custom) {
+    let system = custom ? createCustomSystem(custom) : systems[systemKey];
+    if (!system) throw new Error(`Unknown system "${systemKey}"`);
+    if (system.fromParameters) system = system.fromParameters(params);
+    return system;
+}
+
+// Wrap a system's equations as a derivative function f(t, y) for the
+// integrators; systems with fewer than three variables drop the unused rates
+export function vectorField(system, params) {
+    if (system.createModel) {
+        const model = system.createModel(params);
+        return (t, y) => model.derivatives(y);
+    }
+    return (t, y) => {
+        const d = system.equations(y[0], y[1], y[2], params, t);
+        return [d.dx, d.dy, d.dz].slice(0, y.length);
+    };
+}
+
+// What a system is stepped with: the vector field of a flow, or F itself for
+// an iterated map (see maps.js)
+export function stepFunction(system, params) {
+    return isMap(system) ? mapFunction(system, params) : vectorField(system, params);
+}
+
+// Display names of the state components
+export function stateLabels(system) {
+    const defaults = ['x', 'y', 'z'];
+    return system.defaultState.map((_, i) => (system.variables && system.variables[i]) || defaults[i] || `s${i + 1}`);
+}
@@ -0,0 +1,240 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CONFIG_FORMAT, CONFIG_VERSION, ConfigError, decodeShareConfig, encodeShareConfig, validateConfig
+} from '../config.js';
+import { CustomSystemError, createCustomSystem, customExamples } from '../customSystem.js';
+import { Recording, RecordingError, parseRecording } from '../recording.js';
+import { systems } from '../systems.js';
+
+// Saved files, share links and recordings must come back exactly as they
+// were written.
+
+// What "Save Config" writes, read back by "Load Config"
+function saveAndLoad(config) {
+    return validateConfig(JSON.parse(JSON.stringify(config)), systems);
+}
+
+test('a saved configuration loads back unchanged', () => {
+    const loaded = saveAndLoad({
+        system: 'lorenz',
+        parameters: { sigma: 10, rho: 99.96, beta: 8 / 3 },
+        state: [-3.2, 0.125, 41.5],
+        schedules: [{
+            param: 'rho',
+            keyframes: [{ time: 0, value: 10 }, { time: 60, value: 30 }],
+            interpolation: 'eased',
+            repeat: 'pingpong'
+        }],
+        integrator: { method: 'rk45', dt: 0.02, rtol: 1e-8, atol: 1e-10 },
+        historyLength: 50000,
+        camera: { position: [10, 20, 30], target: [0, 0, 25] },
+        view: { grid: false, vectorField: true, projections: true, timeSeries: false },
+        colorMapping: { mode: 'time', scale: 0.05 },
+        fieldSettings: { style: 'tubes', extent: 30, density: 9, scaleLength: false, slice: { axis: 'y', position: -4.5 } },
+        paused: true
+    });
+    assert.equal(loaded.system, 'lorenz');
+    assert.deepEqual(loaded.parameters, { sigma: 10, rho: 99.96, beta: 8 / 3 });
+    assert.deepEqual(loaded.state, [-3.2, 0.125, 41.5]);
+    assert.equal(loaded.schedules[0].repeat, 'pingpong');
+    assert.deepEqual(loaded.integrator, { method: 'rk45', dt: 0.02, rtol: 1e-8, atol: 1e-10 });
+    assert.equal(loaded.historyLength, 50000);
+    assert.deepEqual(loaded.view, { grid: false, vectorField: true, projections: true, timeSeries: false });
+    assert.deepEqual(loaded.colorMapping, { mode: 'time', scale: 0.05 });
+    assert.deepEqual(loaded.fieldSettings.slice, { axis: 'y', position: -4.5 });
+    assert.equal(loaded.paused, true);
+    assert.equal(loaded.version, CONFIG_VERSION);
+
+    assert.deepEqual(saveAndLoad(loaded), loaded);
+});
+
+test('unversioned files naming the system by its display name are migrated', () => {
+    const loaded = saveAndLoad({ system: 'Van der Pol Oscillator', parameters: { mu: 2.5 }, state: [0.5, -1, 0] });
+    assert.equal(loaded.format, CONFIG_FORMAT);
+    assert.equal(loaded.version, CONFIG_VERSION);
+    assert.equal(loaded.system, 'vanDerPol');
+    assert.deepEqual(loaded.parameters, { mu: 2.5 });
+    assert.deepEqual(loaded.state, [0.5, -1]);
+
+    const planar = saveAndLoad({ format: CONFIG_FORMAT, version: 2, system: 'vanDerPol', state: [1, 2, 0] });
+    assert.deepEqual(planar.state, [1, 2]);
+});
+
+test('current files must name the system by its key', () => {
+    assert.throws(
+        () => saveAndLoad({ format: CONFIG_FORMAT, version: CONFIG_VERSION, system: 'Van der Pol Oscillator' }),
+        error => error instanceof ConfigError && error.errors[0] === 'unknown system "Van der Pol Oscillator"'
+    );
+});
+
+test('files from a newer version or another program are rejected', () => {
+    assert.throws(() => saveAndLoad({ version: CONFIG_VERSION + 1, system: 'lorenz' }), /newer than this simulator/);
+    assert.throws(() => saveAndLoad({ format: 'something-else', system: 'lorenz' }), /Not a configuration/);
+});
+
+test('custom systems round-trip with their definition', () => {
+    const definition = customExamples.chen;
+    // Unversioned files stored the custom system's own name
+    const loaded = saveAndLoad({ system: definition.name, custom: definition, parameters: { a: 40 }, state: [1, 2, 3] });
+    assert.equal(loaded.system, 'custom');
+    assert.equal(loaded.custom.equations, definition.equations);
+    assert.equal(loaded.parameters.a, 40);
+    assert.deepEqual(saveAndLoad(loaded), loaded);
+});
+
+test('custom equations reject names inherited from Object.prototype', () => {
+    assert.throws(
+        () => createCustomSystem({
+            equations: 'dx/dt = toString*x\ndy/dt = constructor(y)\ndz/dt = __proto__',
+            parameters: 'valueOf = 1',
+            initialState: [0, 0, 0]
+        }),
+        error => {
+            assert.ok(error instanceof CustomSystemError);
+            assert.match(error.errors.join('\n'), /'valueOf' is reserved/);
+            assert.match(error.errors.join('\n'), /Unknown symbol 'toString'/);
+            assert.match(error.errors.join('\n'), /Unknown function 'constructor'/);
+            assert.match(error.errors.join('\n'), /Unknown symbol '__proto__'/);
+            return true;
+        }
+    );
+});
+
+test('custom systems whose equations or parameters are not text are rejected', () => {
+    assert.throws(
+        () => saveAndLoad({ system: 'custom', custom: { equations: 5, parameters: ['a = 1'], initialState: [0] } }),
+        error => {
+            assert.ok(error instanceof ConfigError);
+            assert.ok(error.errors.includes('equations: expected text with one declaration per line'));
+            assert.ok(error.errors.includes('parameters: expected text with one declaration per line'));
+            return true;
+        }
+    );
+});
+
+test('custom systems keep as many variables as they have equations', () => {
+    const system = createCustomSystem({
+        equations: "x' = y\ny' = -a*x",
+        parameters: 'a = 4',
+        initialState: [1, 0]
+    });
+    assert.deepEqual(system.defaultState, [1, 0]);
+    const loaded = saveAndLoad({ system: 'custom', custom: system.definition, state: [0.5, 0] });
+    assert.deepEqual(loaded.state, [0.5, 0]);
+});
+
+test('share links decode to the configuration that was encoded', () => {
+    const config = {
+        system: 'doublePendulum',
+        parameters: { m1: 1, m2: 2.5, l1: 1, l2: 0.75, g: 9.81, damping: 0 },
+        state: [Math.PI / 2, 0, -Math.PI / 3, 1.25]
+    };
+    const encoded = encodeShareConfig(config);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeShareConfig(encoded), config);
+    assert.deepEqual(validateConfig(decodeShareConfig(encoded), systems), saveAndLoad(config));
+});
+
+test('invalid configurations list every problem field by field', () => {
+    assert.throws(
+        () => saveAndLoad({
+            system: 'lorenz',
+            parameters: { sigma: 'ten', omega: 1 },
+            state: [1, 2],
+            integrator: { method: 'verlet', dt: -1 },
+            historyLength: 1.5,
+            view: { grid: 'yes', axes: true },
+            colorMapping: { mode: 'rainbow' },
+            fieldSettings: { density: 40 }
+        }),
+        error => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepEqual(error.errors, [
+                'parameter "sigma" must be a finite number',
+                'unknown parameter "omega" for Lorenz Attractor',
+                'state must be an array of 3 numbers',
+                'integrator.method: unknown integration method "verlet"',
+                'integrator.dt must be a positive number',
+                'historyLength must be an integer between 2 and 2000000',
+                'view.grid must be true or false',
+                'view: unknown setting "axes"',
+                'colorMapping: unknown mode "rainbow"',
+                'fieldSettings.density must be an integer between 2 and 25'
+            ]);
+            return true;
+        }
+    );
+});
+
+test('integrator settings left out keep their defaults', () => {
+    assert.deepEqual(saveAndLoad({ system: 'lorenz', integrator: {} }).integrator, { method: 'rk4' });
+    assert.deepEqual(saveAndLoad({ system: 'lorenz', integrator: null }).integrator, { method: 'rk4' });
+    assert.deepEqual(saveAndLoad({ system: 'lorenz', integrator: { dt: 0.005 } }).integrator, { method: 'rk4', dt: 0.005 });
+});
+
+test('names inherited from Object.prototype are not accepted as keys', () => {
+    assert.throws(
+        () => validateConfig(JSON.parse(`{
+            "system": "lorenz",
+            "parameters": { "toString": 1, "constructor": 2, "__proto__": 3 },
+            "integrator": { "method": "constructor" },
+            "view": { "hasOwnProperty": true },
+            "schedules": [{ "param": "valueOf", "keyframes": [{ "time": 0, "value": 1 }] }]
+        }`), systems),
+        error => {
+            [
+                'unknown parameter "toString" for Lorenz Attractor',
+                'unknown parameter "constructor" for Lorenz Attractor',
+                'unknown parameter "__proto__" for Lorenz Attractor',
+                'schedule 1: unknown parameter "valueOf"',
+                'integrator.method: unknown integration method "constructor"',
+                'view: unknown setting "hasOwnProperty"'
+            ].forEach(message => assert.ok(error.errors.includes(message), message));
+            return true;
+        }
+    );
+});
+
+test('recordings survive CSV, JSON lines and binary export', () => {
+    const recording = new Recording({
+        system: 'lorenz',
+        name: 'Lorenz Attractor',
+        labels: ['x', 'y', 'z'],
+        derived: ['speed'],
+        params: { sigma: 10, rho: 28, beta: 8 / 3 },
+        integrator: { method: 'rk4', dt: 0.01 }
+    });
+    for (let k = 0; k < 20; k++) {
+        const t = k * 0.01;
+        recording.addSample(t, [Math.sin(t), Math.cos(t) / 3, 1 + t], [Math.PI * t]);
+        if (k === 10) recording.addParameters(t, { sigma: 10, rho: 14.5, beta: 8 / 3 });
+    }
+
+    const exports = [recording.toCSV(), recording.toJSONLines(), recording.toBinary()];
+    exports.forEach(data => {
+        const parsed = parseRecording(data);
+        assert.equal(parsed.system, 'lorenz');
+        assert.equal(parsed.length, recording.length);
+        assert.deepEqual(parsed.events, recording.events);
+        for (let k = 0; k < recording.length; k++) {
+            assert.equal(parsed.time(k), recording.time(k));
+            assert.deepEqual(parsed.state(k), recording.state(k));
+            assert.deepEqual(parsed.derivedValues(k), recording.derivedValues(k));
+        }
+    });
+});
+
+test('short or truncated recordings are rejected with a RecordingError', () => {
+    const recording = new Recording({ system: 'vanDerPol', name: 'Van der Pol', labels: ['x', 'y'], params: { mu: 1 } });
+    for (let k = 0; k < 10; k++) recording.addSample(k * 0.1, [k, -k]);
+    const csv = recording.toCSV();
+    const binary = recording.toBinary();
+    [
+        csv.split('\n')[0],
+        csv.slice(0, -6),
+        recording.toJSONLines().split('\n')[0] + '\nnull\n',
+        binary.slice(0, 10),
+        binary.slice(0, binary.byteLength - 8)
+    ].forEach(data => assert.throws(() => parseRecording(data), RecordingError));
+});
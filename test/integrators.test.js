@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Integrator, integrators } from '../integrators.js';
+
+// The harmonic oscillator x'' = -x from [1, 0] has the exact solution
+// [cos t, -sin t]; halving the step must cut the global error at t = 2 by
+// 2^order for every fixed-step method.
+
+const oscillator = (t, [x, v]) => [v, -x];
+
+function globalError(method, dt, duration = 2) {
+    const integrator = new Integrator({ method, dt });
+    let y = [1, 0];
+    const steps = Math.round(duration / dt);
+    for (let i = 0; i < steps; i++) y = integrator.advance(oscillator, i * dt, y);
+    return Math.hypot(y[0] - Math.cos(duration), y[1] + Math.sin(duration));
+}
+
+function observedOrder(method) {
+    const coarse = globalError(method, 0.02);
+    const fine = globalError(method, 0.01);
+    return Math.log2(coarse / fine);
+}
+
+for (const method of ['euler', 'rk4', 'leapfrog']) {
+    test(`${method} converges with order ${integrators[method].order}`, () => {
+        const order = observedOrder(method);
+        assert.ok(Math.abs(order - integrators[method].order) < 0.1, `observed order ${order}`);
+    });
+}
+
+test('rk45 meets its tolerance and tightens with it', () => {
+    const errors = [1e-4, 1e-7, 1e-10].map(rtol => {
+        const integrator = new Integrator({ method: 'rk45', rtol, atol: rtol * 1e-3 });
+        let y = [1, 0];
+        for (let t = 0; t < 10; t++) y = integrator.advance(oscillator, t, y, 1);
+        const error = Math.hypot(y[0] - Math.cos(10), y[1] + Math.sin(10));
+        assert.ok(error < 100 * rtol, `error ${error} at rtol ${rtol}`);
+        return error;
+    });
+    assert.ok(errors[1] < errors[0] && errors[2] < errors[1]);
+});
+
+test('rk45 fails with a non-finite state when it cannot reach the end of the step', () => {
+    const integrator = new Integrator({ method: 'rk45', rtol: 1e-12, atol: 1e-15 });
+    const y = integrator.advance(oscillator, 0, [1, 0], 1e5);
+    assert.ok(!y.some(Number.isFinite));
+    assert.equal(integrator.stats.stalled, 1);
+});
+
+test('leapfrog keeps the oscillator energy bounded over long runs', () => {
+    const integrator = new Integrator({ method: 'leapfrog', dt: 0.1 });
+    let y = [1, 0];
+    let worst = 0;
+    for (let i = 0; i < 100000; i++) {
+        y = integrator.advance(oscillator, i * 0.1, y);
+        worst = Math.max(worst, Math.abs(y[0] * y[0] + y[1] * y[1] - 1));
+    }
+    assert.ok(worst < 0.01, `energy drift ${worst}`);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PresetError, PresetLibrary, builtInPresets, loadSession, saveSession } from '../presets.js';
+import { systems } from '../systems.js';
+
+// The Storage methods presets.js uses, kept in memory
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+const henon = { system: 'henon', parameters: { a: 1.2, b: 0.3 }, state: [0, 0] };
+
+test('built-in presets are valid configurations', () => {
+    const library = new PresetLibrary(systems, new MemoryStorage());
+    builtInPresets.forEach(preset => {
+        const config = library.configuration(preset.id);
+        assert.equal(config.system, preset.config.system);
+        assert.deepEqual(config.state, preset.config.state);
+    });
+});
+
+test('presets are added, renamed and deleted, and kept in storage', () => {
+    const storage = new MemoryStorage();
+    const library = new PresetLibrary(systems, storage);
+    const preset = library.add('  Hénon a = 1.2 ', henon);
+    assert.equal(preset.name, 'Hénon a = 1.2');
+    assert.deepEqual(library.configuration(preset.id).parameters, { a: 1.2, b: 0.3 });
+
+    library.rename(preset.id, 'Hénon, periodic window');
+    assert.deepEqual(new PresetLibrary(systems, storage).presets.map(p => p.name), ['Hénon, periodic window']);
+
+    library.remove(preset.id);
+    assert.deepEqual(new PresetLibrary(systems, storage).presets, []);
+});
+
+test('names must be unique and built-ins cannot be changed', () => {
+    const library = new PresetLibrary(systems, new MemoryStorage());
+    assert.throws(() => library.add('', henon), PresetError);
+    assert.throws(() => library.add(builtInPresets[0].name, henon), /already a preset/);
+    assert.throws(() => library.rename(builtInPresets[0].id, 'Mine'), /cannot be changed/);
+    assert.throws(() => library.remove(builtInPresets[0].id), /cannot be changed/);
+});
+
+test('exported presets import into another library', () => {
+    const source = new PresetLibrary(systems, new MemoryStorage());
+    source.add('Hénon', henon);
+    source.add('Lorenz, ρ = 160', { system: 'lorenz', parameters: { rho: 160 } });
+
+    const target = new PresetLibrary(systems, new MemoryStorage());
+    target.add('Hénon', henon);
+    const added = target.import(source.export());
+    assert.deepEqual(added.map(p => p.name), ['Hénon (2)', 'Lorenz, ρ = 160']);
+    assert.equal(target.configuration(added[1].id).parameters.rho, 160);
+});
+
+test('an invalid preset file is rejected as a whole', () => {
+    const library = new PresetLibrary(systems, new MemoryStorage());
+    const file = JSON.stringify({
+        format: 'dynamical-systems-sim/presets',
+        version: 1,
+        presets: [
+            { name: 'Fine', config: henon },
+            { name: 'Broken', config: { system: 'lorenz', state: [1] } },
+            { config: henon }
+        ]
+    });
+    assert.throws(() => library.import(file), error => {
+        assert.deepEqual(error.errors, ['preset "Broken": state must be an array of 3 numbers', 'preset 3: needs a name']);
+        return true;
+    });
+    assert.deepEqual(library.presets, []);
+    assert.throws(() => library.import('{"presets": []}'), /Not a preset file/);
+});
+
+test('the session is restored, and discarded when it no longer fits', () => {
+    const storage = new MemoryStorage();
+    assert.equal(loadSession(systems, storage), null);
+    assert.ok(saveSession({ system: 'vanDerPol', parameters: { mu: 3 }, state: [0.5, 0.25], paused: true }, storage));
+    const session = loadSession(systems, storage);
+    assert.equal(session.system, 'vanDerPol');
+    assert.deepEqual(session.state, [0.5, 0.25]);
+    assert.equal(session.paused, true);
+
+    saveSession({ system: 'removedSystem' }, storage);
+    assert.equal(loadSession(systems, storage), null);
+    assert.equal(storage.getItem('dynamical-systems-sim/session'), null);
+});
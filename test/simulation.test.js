@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { ConfigError } from '../config.js';
+import { simulate } from '../dynamics.js';
+import { scheduleValue } from '../schedule.js';
+import { systems, vectorField } from '../systems.js';
+
+const lorenz = () => new Simulation({
+    system: systems.lorenz,
+    params: systems.lorenz.params,
+    state: [1, 1, 1],
+    integrator: { method: 'rk4', dt: 0.01 }
+});
+
+test('an unperturbed twin follows the main trajectory step for step', () => {
+    const simulation = lorenz();
+    simulation.setTwin({ method: 'rk4' });
+    const { times, states, twin } = simulation.run({ duration: 5 });
+    assert.deepEqual(twin.start, { time: 0, separation: 0 });
+    assert.equal(twin.separations.length, times.length);
+    assert.deepEqual(twin.states, states);
+    assert.ok(twin.separations.every(separation => separation === 0));
+});
+
+test('a perturbed twin separates and the ensemble spreads', () => {
+    const simulation = lorenz();
+    simulation.setTwin({ perturbation: { variable: 0, delta: 1e-6 }, method: 'rk4' });
+    simulation.setEnsemble({ count: 20, radius: 1e-6 });
+
+    const first = simulation.run({ duration: 0 });
+    assert.equal(first.ensemble.offsets.length, 20 * 3);
+    assert.ok(Math.abs(first.twin.start.separation - 1e-6) < 1e-12);
+
+    const { ensemble, twin } = simulation.run({ duration: 30 });
+    assert.equal(ensemble.offsets, undefined);
+    assert.equal(ensemble.states.length, 20 * 3);
+    assert.ok(Math.abs(ensemble.time - 30) < 1e-9);
+    assert.ok(ensemble.spread.distance > 1);
+    assert.ok(twin.separations[twin.separations.length - 1] > 1e-3);
+});
+
+test('a run against a time budget returns every step it took and nothing more', () => {
+    const simulation = lorenz();
+    simulation.setTwin({ perturbation: { variable: 0, delta: 1e-6 }, method: 'rk4' });
+    const { times, states, twin } = simulation.run({ budget: 20, maxSteps: 5000 });
+    assert.ok(times.length > 0 && times.length <= 5000);
+    assert.equal(states.length, 3 * times.length);
+    assert.equal(twin.states.length, states.length);
+    assert.equal(twin.separations.length, times.length);
+    assert.ok(Math.abs(times[times.length - 1] - 0.01 * times.length) < 1e-9);
+});
+
+test('a periodic schedule passes through its keyframes without overshooting them', () => {
+    const schedule = {
+        param: 'rho',
+        keyframes: [{ time: 0, value: 10 }, { time: 10, value: 28 }, { time: 11, value: 27 }, { time: 20, value: 10 }],
+        interpolation: 'periodic',
+        repeat: 'loop'
+    };
+    schedule.keyframes.forEach(({ time, value }) => {
+        assert.ok(Math.abs(scheduleValue(schedule, time) - value) < 1e-12);
+    });
+    for (let t = -20; t <= 40; t += 0.01) {
+        const value = scheduleValue(schedule, t);
+        assert.ok(value > 10 - 1e-9 && value < 28 + 1e-9, `rho = ${value} at t = ${t}`);
+    }
+});
+
+test('a twin keeps its own parameter values while the others follow the schedules', () => {
+    const simulation = new Simulation({
+        system: systems.lorenz,
+        params: systems.lorenz.params,
+        state: [1, 1, 1],
+        integrator: { method: 'rk4', dt: 0.01 },
+        schedules: ['rho', 'sigma'].map(param => ({
+            param,
+            keyframes: [{ time: 0, value: 20 }, { time: 1, value: 30 }],
+            interpolation: 'linear',
+            repeat: 'once'
+        }))
+    });
+    simulation.setTwin({ params: { rho: 24 }, method: 'rk4' });
+    simulation.run({ duration: 2 });
+
+    const { f } = simulation.twin;
+    const expected = vectorField(systems.lorenz, { ...systems.lorenz.params, sigma: 30, rho: 24 });
+    assert.deepEqual(f(0, [1, 2, 3]), expected(0, [1, 2, 3]));
+});
+
+test('simulate rejects invalid schedules like a configuration file', () => {
+    const schedules = [
+        { param: 'omega', keyframes: [{ time: 0, value: 1 }, { time: 1, value: 2 }], interpolation: 'linear', repeat: 'once' },
+        { param: 'rho', keyframes: [{ time: 0, value: 10 }], interpolation: 'cubic', repeat: 'once' }
+    ];
+    assert.throws(
+        () => simulate('lorenz', {}, undefined, { t1: 1, schedules }),
+        error => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepEqual(error.errors, [
+                'schedule 1: unknown parameter "omega"',
+                'schedule 2: unknown interpolation "cubic"',
+                'schedule 2: needs at least two keyframes'
+            ]);
+            return true;
+        }
+    );
+    assert.throws(() => simulate('lorenz', {}, undefined, { schedules: {} }), /schedules must be an array/);
+});
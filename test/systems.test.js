@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LyapunovEstimator, bifurcationSweep, findFixedPoints, sampleOrbit, simulate, systems, vectorField
+} from '../dynamics.js';
+import { DoublePendulum } from '../doublePendulum.js';
+import { PendulumChain } from '../pendulum.js';
+
+// Reference solutions the simulator has to reproduce: closed-form
+// trajectories, conserved quantities, known equilibria and periods.
+
+function row({ states, dimension }, i) {
+    return Array.from(states.subarray(i * dimension, (i + 1) * dimension));
+}
+
+test('pointAttractor decays exponentially', () => {
+    const lambda = 0.7;
+    const state0 = [1, -2, 0.5];
+    const result = simulate('pointAttractor', { lambda }, state0, { t1: 5, dt: 0.01 });
+    for (let i = 0; i < result.times.length; i += 50) {
+        const decay = Math.exp(-lambda * result.times[i]);
+        row(result, i).forEach((x, k) => {
+            assert.ok(Math.abs(x - state0[k] * decay) < 1e-9, `component ${k} at t = ${result.times[i]}`);
+        });
+    }
+});
+
+test('undamped simple pendulum conserves energy', () => {
+    const model = systems.simplePendulum.createModel({ ...systems.simplePendulum.params, damping: 0 });
+    const result = simulate('simplePendulum', { damping: 0 }, [2.5, 0], { t1: 20, dt: 0.001 });
+    const energy = i => {
+        model.setState(row(result, i));
+        return model.getEnergy();
+    };
+    const initial = energy(0);
+    const scale = model.getEnergyScale();
+    for (let i = 0; i < result.times.length; i += 500) {
+        assert.ok(Math.abs(energy(i) - initial) < 1e-8 * scale, `drift at t = ${result.times[i]}`);
+    }
+});
+
+test('undamped double pendulum conserves energy through chaotic motion', () => {
+    const { params } = systems.doublePendulum;
+    const model = systems.doublePendulum.createModel(params);
+    const result = simulate('doublePendulum', {}, [Math.PI / 2, 0, Math.PI / 2, 0], { t1: 10, dt: 0.0005 });
+    model.setState(row(result, 0));
+    const initial = model.getEnergy();
+    model.setState(row(result, result.times.length - 1));
+    assert.ok(Math.abs(model.getEnergy() - initial) < 1e-6 * model.getEnergyScale());
+});
+
+test('DoublePendulum matches the general two-link chain', () => {
+    const params = { m1: 1.3, m2: 0.6, l1: 0.8, l2: 1.4, g: 9.81, damping: 0.05 };
+    const closedForm = new DoublePendulum(params);
+    const chain = new PendulumChain(params, 2);
+    const states = [
+        [0.3, 0, -0.2, 0],
+        [Math.PI / 2, 1.5, -2.1, -0.4],
+        [2.9, -3, 1.1, 4.2],
+        [-1.2, 0.7, 3.0, -2.5]
+    ];
+    states.forEach(state => {
+        const expected = chain.derivatives(state);
+        closedForm.derivatives(state).forEach((value, i) => {
+            assert.ok(Math.abs(value - expected[i]) < 1e-10, `component ${i} of ${state}`);
+        });
+    });
+});
+
+test('Lorenz system has the origin and C± as fixed points', () => {
+    const params = { sigma: 10, rho: 28, beta: 8 / 3 };
+    const field = vectorField(systems.lorenz, params);
+    const points = findFixedPoints(field, {
+        bounds: [[-20, 20], [-20, 20], [0, 40]]
+    });
+    const r = Math.sqrt(params.beta * (params.rho - 1));
+    const expected = [
+        { point: [0, 0, 0], type: 'saddle' },
+        { point: [r, r, params.rho - 1], type: 'saddle-focus' },
+        { point: [-r, -r, params.rho - 1], type: 'saddle-focus' }
+    ];
+
+    assert.equal(points.length, 3);
+    expected.forEach(({ point, type }) => {
+        const found = points.find(p => p.point.every((x, i) => Math.abs(x - point[i]) < 1e-6));
+        assert.ok(found, `no fixed point near ${point}`);
+        assert.equal(found.type, type);
+    });
+});
+
+test('Lorenz largest Lyapunov exponent is about 0.906 with fixed and adaptive steps', () => {
+    ['rk4', 'rk45'].forEach(method => {
+        const estimator = new LyapunovEstimator({
+            f: vectorField(systems.lorenz, { sigma: 10, rho: 28, beta: 8 / 3 }),
+            state: [1, 1, 1],
+            integrator: { method, dt: 0.01 },
+            transient: 10
+        });
+        estimator.advance(20000);
+        const [first] = estimator.getSpectrum();
+        assert.ok(Math.abs(estimator.getLargest() - 0.906) < 0.05, `${method}: λ₁ = ${estimator.getLargest()}`);
+        assert.ok(Math.abs(first - 0.906) < 0.05, `${method}: spectrum λ₁ = ${first}`);
+    });
+});
+
+test('Van der Pol limit cycle has period 6.6633 at mu = 1', () => {
+    const result = simulate('vanDerPol', { mu: 1 }, [2, 0], { t1: 100, dt: 0.001 });
+    // Upward zero crossings of x after the transient, interpolated linearly
+    const crossings = [];
+    for (let i = 1; i < result.times.length; i++) {
+        const [x0] = row(result, i - 1);
+        const [x1] = row(result, i);
+        if (result.times[i] > 30 && x0 < 0 && x1 >= 0) {
+            crossings.push(result.times[i - 1] + (result.times[i] - result.times[i - 1]) * x0 / (x0 - x1));
+        }
+    }
+    const period = (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1);
+    assert.ok(Math.abs(period - 6.6633) < 1e-3, `period ${period}`);
+});
+
+test('a continued bifurcation sweep keeps forced orbits in phase with the drive', () => {
+    const { params, forcingPeriod } = systems.forcedDuffing;
+    const f = vectorField(systems.forcedDuffing, params);
+    const sampling = { integrator: { method: 'rk4', dt: 0.01 }, mode: 'stroboscopic', transient: 0, duration: 37.3 };
+    const columns = bifurcationSweep({
+        createField: p => vectorField(systems.forcedDuffing, p),
+        params,
+        parameter: 'gamma',
+        from: params.gamma,
+        to: params.gamma,
+        columns: 2,
+        state: [1, 0],
+        forcingPeriod,
+        ...sampling
+    });
+    const single = sampleOrbit(f, [1, 0], { ...sampling, duration: 2 * 37.3, period: forcingPeriod(params) });
+    const swept = [...columns[0].points, ...columns[1].points];
+    assert.equal(swept.length, single.values.length);
+    swept.forEach((value, i) => assert.ok(Math.abs(value - single.values[i]) < 1e-9));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FIELD_SETTINGS, fieldSettingsErrors, magnitudeLevel, sampleField, traceStreamlines } from '../vectorFieldData.js';
+import { systems, vectorField } from '../systems.js';
+
+const settings = { ...DEFAULT_FIELD_SETTINGS, extent: 10, density: 5 };
+// Rotation about the z axis at unit angular speed
+const rotation = (t, [x, y]) => [-y, x];
+
+test('the grid covers the cube, the z = 0 plane of planar systems, or one slice', () => {
+    const lorenz = vectorField(systems.lorenz, systems.lorenz.params);
+    assert.equal(sampleField(lorenz, settings).count, 125);
+    assert.equal(sampleField(rotation, settings, { dimension: 2 }).count, 25);
+
+    const slice = sampleField(lorenz, { ...settings, slice: { axis: 'y', position: 2.5 } });
+    assert.equal(slice.count, 25);
+    for (let i = 0; i < slice.count; i++) assert.equal(slice.positions[i * 3 + 1], 2.5);
+    assert.equal(slice.spacing, 5);
+});
+
+test('magnitudes match the field', () => {
+    const lambda = 0.5;
+    const { positions, magnitudes, count, maxMagnitude } = sampleField(
+        vectorField(systems.pointAttractor, { lambda }), settings
+    );
+    for (let i = 0; i < count; i++) {
+        const r = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        assert.ok(Math.abs(magnitudes[i] - lambda * r) < 1e-4);
+    }
+    assert.ok(Math.abs(maxMagnitude - lambda * Math.sqrt(300)) < 1e-4);
+    assert.equal(magnitudeLevel(maxMagnitude, maxMagnitude), 1);
+    assert.equal(magnitudeLevel(0, maxMagnitude), 0);
+});
+
+test('streamlines of a rotation are circles through their seeds', () => {
+    const { lines } = traceStreamlines(rotation, settings, { dimension: 2 });
+    assert.equal(lines.length, 25);
+    lines.forEach(({ points, magnitudes, seedIndex }) => {
+        const radius = Math.hypot(points[seedIndex * 3], points[seedIndex * 3 + 1]);
+        for (let k = 0; k < magnitudes.length; k++) {
+            const [x, y, z] = points.subarray(k * 3, k * 3 + 3);
+            assert.ok(Math.abs(Math.hypot(x, y) - radius) < 1e-3);
+            assert.equal(z, 0);
+            assert.ok(Math.max(Math.abs(x), Math.abs(y)) <= 10.001);
+        }
+    });
+    // The origin is a fixed point, so its streamline is the seed alone
+    const centre = lines.find(({ points }) => points[0] === 0 && points[1] === 0);
+    assert.equal(centre.magnitudes.length, 1);
+});
+
+test('invalid field settings are listed', () => {
+    assert.deepEqual(fieldSettingsErrors(DEFAULT_FIELD_SETTINGS), []);
+    assert.deepEqual(fieldSettingsErrors({ style: 'glyphs', extent: -1, density: 2.5, scaleLength: 1, slice: { axis: 'w' } }), [
+        'fieldSettings.style: unknown style "glyphs"',
+        'fieldSettings.extent must be a number between 0 and 1000',
+        'fieldSettings.density must be an integer between 2 and 25',
+        'fieldSettings.scaleLength must be true or false',
+        'fieldSettings.slice.axis must be one of x, y, z'
+    ]);
+});
@@ -0,0 +1,119 @@
+// Fixed-capacity ring buffer of trajectory samples (time, scene position and
+// colour) shared by the 3D line, the projections and the time series.
+//
+// The position and colour arrays are laid out so they can back GPU vertex
+// attributes directly. They hold one extra "bridge" slot at the end that
+// mirrors slot 0: once the buffer wraps, the history is drawn as two runs,
+// [head, capacity] and [0, head), and the bridge joins the end of the first
+// run to the start of the second.
+
+export const MAX_HISTORY_LENGTH = 2000000;
+
+export class TrajectoryBuffer {
+    constructor(capacity) {
+        if (!(Number.isInteger(capacity) && capacity >= 2 && capacity <= MAX_HISTORY_LENGTH)) {
+            throw new RangeError(`History length must be an integer between 2 and ${MAX_HISTORY_LENGTH}`);
+        }
+        this.capacity = capacity;
+        this.times = new Float64Array(capacity);
+        this.positions = new Float32Array((capacity + 1) * 3);
+        this.colors = new Float32Array((capacity + 1) * 3);
+        this.clear();
+    }
+
+    clear() {
+        this.length = 0;
+        // Slot the next sample is written to
+        this.next = 0;
+        this.dirtyFrom = 0;
+        this.dirtyCount = 0;
+    }
+
+    // Slot of the oldest sample
+    get head() {
+        return this.length < this.capacity ? 0 : this.next;
+    }
+
+    push(time, x, y, z, r, g, b) {
+        const slot = this.next;
+        this.times[slot] = time;
+        this.write(slot, x, y, z, r, g, b);
+        if (slot === 0) this.write(this.capacity, x, y, z, r, g, b);
+
+        if (this.dirtyCount === 0) this.dirtyFrom = slot;
+        this.dirtyCount = Math.min(this.capacity, this.dirtyCount + 1);
+
+        this.next = (slot + 1) % this.capacity;
+        if (this.length < this.capacity) this.length++;
+    }
+
+    write(slot, x, y, z, r, g, b) {
+        const i = slot * 3;
+        this.positions[i] = x;
+        this.positions[i + 1] = y;
+        this.positions[i + 2] = z;
+        this.colors[i] = r;
+        this.colors[i + 1] = g;
+        this.colors[i + 2] = b;
+    }
+
+    // Slot of the k-th sample counting from the oldest
+    slot(k) {
+        return (this.head + k) % this.capacity;
+    }
+
+    // Call fn(time, x, y, z) for the most recent `count` samples, oldest first
+    forEachRecent(count, fn) {
+        const n = Math.min(count, this.length);
+        for (let k = this.length - n; k < this.length; k++) {
+            const slot = this.slot(k);
+            const i = slot * 3;
+            fn(this.times[slot], this.positions[i], this.positions[i + 1], this.positions[i + 2]);
+        }
+    }
+
+    // Most recent `count` positions as [x, y, z] arrays, oldest first
+    recent(count) {
+        const points = [];
+        this.forEachRecent(count, (t, x, y, z) => points.push([x, y, z]));
+        return points;
+    }
+
+    // Contiguous vertex runs, in time order, that draw the whole history
+    runs() {
+        const head = this.head;
+        if (head === 0) return [{ start: 0, count: this.length }, { start: 0, count: 0 }];
+        return [
+            { start: head, count: this.capacity - head + 1 },
+            { start: 0, count: head }
+        ];
+    }
+
+    // Vertex range written since the last call, as { offset, count }, or null
+    // when nothing changed. A count of -1 means the whole array; that happens
+    // once per wrap, when slot 0 (and so the bridge) is rewritten.
+    takeDirtyRange() {
+        if (this.dirtyCount === 0) return null;
+        const { dirtyFrom, dirtyCount } = this;
+        this.dirtyCount = 0;
+
+        if (dirtyFrom === 0 || dirtyFrom + dirtyCount > this.capacity) return { offset: 0, count: -1 };
+        return { offset: dirtyFrom, count: dirtyCount };
+    }
+
+    // A new buffer of a different capacity holding the most recent samples
+    resized(capacity) {
+        const buffer = new TrajectoryBuffer(capacity);
+        const n = Math.min(capacity, this.length);
+        for (let k = this.length - n; k < this.length; k++) {
+            const slot = this.slot(k);
+            const i = slot * 3;
+            buffer.push(
+                this.times[slot],
+                this.positions[i], this.positions[i + 1], this.positions[i + 2],
+                this.colors[i], this.colors[i + 1], this.colors[i + 2]
+            );
+        }
+        return buffer;
+    }
+}
@@ -0,0 +1,62 @@
+import { Integrator } from './integrators.js';
+import { vectorField } from './systems.js';
+import { wrapAngle } from './poincare.js';
+
+// Second copy of a flow run beside the main trajectory for the twin
+// comparison (see comparisonPanel.js). It differs from the main run in its
+// initial state, its parameters or its integration method, and is stepped
+// by the same dt after every step of the main run.
+//
+// A twin with parameters of its own takes the others from the main run's
+// `base` set and still follows the parameter schedules, except for its own
+// values, so that only the compared values differ.
+
+export class Twin {
+    // `params` holds the twin's own values, or is null to share the main
+    // run's derivative
+    constructor({ system, params = null, base = {}, state, time = 0, integrator = {}, periodic = [] }) {
+        this.system = system;
+        this.params = params;
+        this.base = { ...base };
+        this.state = [...state];
+        this.time = time;
+        this.integrator = new Integrator(integrator);
+        this.periodic = periodic;
+        this.diverged = false;
+        this.f = params ? vectorField(system, { ...this.base, ...params }) : null;
+        this.scheduled = {};
+    }
+
+    // Rebuild an own derivative when scheduled values have moved
+    follow(scheduled) {
+        if (Object.keys(scheduled).every(key => scheduled[key] === this.scheduled[key])) return;
+        this.scheduled = scheduled;
+        this.f = vectorField(this.system, { ...this.base, ...scheduled, ...this.params });
+    }
+
+    // One step of length dt; `f` and `scheduled` are the main run's
+    // derivative and scheduled values for the step. Returns false once the
+    // twin has diverged.
+    step(dt, f, scheduled = {}) {
+        if (this.diverged) return false;
+        if (this.params) this.follow(scheduled);
+        const next = this.integrator.advance(this.params ? this.f : f, this.time, this.state, dt);
+        if (!next.every(Number.isFinite)) {
+            this.diverged = true;
+            return false;
+        }
+        this.state = next;
+        this.time += dt;
+        return true;
+    }
+
+    // Distance to the main run's state, with angles compared modulo 2π
+    separation(primary) {
+        let sum = 0;
+        for (let i = 0; i < this.state.length; i++) {
+            const d = this.periodic.includes(i) ? wrapAngle(this.state[i] - primary[i]) : this.state[i] - primary[i];
+            sum += d * d;
+        }
+        return Math.sqrt(sum);
+    }
+}
@@ -0,0 +1,60 @@
+// Small DOM helpers shared by the tool panels
+
+export function createField(labelText, element, parent) {
+    const container = document.createElement('div');
+    container.className = 'tool-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    container.appendChild(label);
+    container.appendChild(element);
+    parent.appendChild(container);
+    return element;
+}
+
+export function numberInput(value) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'input-box';
+    input.step = 'any';
+    input.value = value;
+    return input;
+}
+
+export function selectInput(options) {
+    const select = document.createElement('select');
+    select.className = 'dropdown';
+    options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+export function createButton(text, onClick, parent) {
+    const button = document.createElement('button');
+    button.className = 'button';
+    button.textContent = text;
+    button.onclick = onClick;
+    if (parent) parent.appendChild(button);
+    return button;
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+export function downloadCanvas(canvas, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = canvas.toDataURL();
+    link.click();
+}
@@ -0,0 +1,170 @@
+import { gridSeeds } from './fixedPoints.js';
+
+// Samples of a vector field for drawing: arrows on a grid spanning
+// [-extent, extent] on every axis (or on one plane of it in slice mode), and
+// streamlines traced from seeds on the same grid. Free of Three.js so the
+// numbers can be checked in Node; vectorFieldView.js draws them.
+//
+// Settings, saved with configurations:
+//   style        'arrows', 'streamlines' or 'tubes' (streamlines drawn as tubes)
+//   extent       half-width of the sampled cube
+//   density      grid points per axis
+//   scaleLength  arrow length follows the magnitude (else every arrow is
+//                one grid spacing long; the colour always follows it)
+//   slice        null, or { axis: 'x' | 'y' | 'z', position } to sample only
+//                that plane
+
+export const FIELD_STYLES = {
+    arrows: 'Arrows',
+    streamlines: 'Streamlines',
+    tubes: 'Streamtubes'
+};
+
+export const SLICE_AXES = ['x', 'y', 'z'];
+
+export const MAX_FIELD_DENSITY = 25;
+export const MAX_FIELD_EXTENT = 1000;
+
+export const DEFAULT_FIELD_SETTINGS = {
+    style: 'arrows',
+    extent: 25,
+    density: 11,
+    scaleLength: true,
+    slice: null
+};
+
+// Most streamlines traced at once; denser grids are thinned
+const MAX_STREAMLINES = 256;
+// Steps traced each way from a seed, each a quarter of the grid spacing
+const STREAMLINE_STEPS = 40;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Problems with a settings object, as messages; empty when it is usable
+export function fieldSettingsErrors(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['fieldSettings must be an object'];
+    }
+    const errors = [];
+    const { style, extent, density, scaleLength, slice } = settings;
+    if (!Object.hasOwn(FIELD_STYLES, style)) errors.push(`fieldSettings.style: unknown style "${style}"`);
+    if (!(isFiniteNumber(extent) && extent > 0 && extent <= MAX_FIELD_EXTENT)) {
+        errors.push(`fieldSettings.extent must be a number between 0 and ${MAX_FIELD_EXTENT}`);
+    }
+    if (!(Number.isInteger(density) && density >= 2 && density <= MAX_FIELD_DENSITY)) {
+        errors.push(`fieldSettings.density must be an integer between 2 and ${MAX_FIELD_DENSITY}`);
+    }
+    if (typeof scaleLength !== 'boolean') errors.push('fieldSettings.scaleLength must be true or false');
+    if (slice !== null) {
+        if (!slice || !SLICE_AXES.includes(slice.axis)) {
+            errors.push(`fieldSettings.slice.axis must be one of ${SLICE_AXES.join(', ')}`);
+        } else if (!isFiniteNumber(slice.position)) {
+            errors.push('fieldSettings.slice.position must be a number');
+        }
+    }
+    return errors;
+}
+
+// Evaluate f (a derivative function f(t, y) of a 2- or 3-variable system) as
+// a 3-vector; planar systems live in the z = 0 plane
+function evaluator(f, dimension, time) {
+    return point => {
+        const d = f(time, dimension === 2 ? [point[0], point[1]] : point);
+        return [d[0], d[1], dimension === 2 ? 0 : d[2]];
+    };
+}
+
+// Grid points of the settings' volume or slice; planar systems get the z = 0
+// plane whatever the slice
+function gridPoints({ extent, density, slice }, dimension, limit) {
+    const sliceAxis = dimension === 2 ? 2 : slice ? SLICE_AXES.indexOf(slice.axis) : -1;
+    const sliceValue = dimension === 2 ? 0 : slice ? slice.position : 0;
+    const free = [0, 1, 2].filter(i => i !== sliceAxis);
+    return gridSeeds(free.map(() => [-extent, extent]), density, limit).map(seed => {
+        const point = [sliceValue, sliceValue, sliceValue];
+        free.forEach((axis, k) => { point[axis] = seed[k]; });
+        return point;
+    });
+}
+
+// The field at every grid point: positions and vectors as flat xyz arrays,
+// plus each vector's magnitude and the largest finite one
+export function sampleField(f, settings, { dimension = 3, time = 0 } = {}) {
+    const field = evaluator(f, dimension, time);
+    const points = gridPoints(settings, dimension);
+    const count = points.length;
+    const positions = new Float32Array(count * 3);
+    const vectors = new Float32Array(count * 3);
+    const magnitudes = new Float32Array(count);
+    let maxMagnitude = 0;
+    points.forEach((point, i) => {
+        let v = field(point);
+        if (!v.every(Number.isFinite)) v = [0, 0, 0];
+        const magnitude = Math.hypot(...v);
+        positions.set(point, i * 3);
+        vectors.set(v, i * 3);
+        magnitudes[i] = magnitude;
+        maxMagnitude = Math.max(maxMagnitude, magnitude);
+    });
+    return { positions, vectors, magnitudes, count, maxMagnitude, spacing: 2 * settings.extent / (settings.density - 1) };
+}
+
+// Follow the direction of the field from `start` with RK4 steps of length
+// h (negative to go backwards), stopping at the edge of the sampled cube,
+// where the field vanishes, or after `steps` steps
+function trace(field, start, h, steps, bound) {
+    const direction = point => {
+        const v = field(point);
+        const magnitude = Math.hypot(...v);
+        return magnitude > 1e-12 && Number.isFinite(magnitude) ? v.map(c => c / magnitude) : null;
+    };
+    const shifted = (point, k, scale) => point.map((c, i) => c + scale * k[i]);
+
+    const points = [];
+    let point = start;
+    for (let n = 0; n < steps; n++) {
+        const k1 = direction(point);
+        const k2 = k1 && direction(shifted(point, k1, h / 2));
+        const k3 = k2 && direction(shifted(point, k2, h / 2));
+        const k4 = k3 && direction(shifted(point, k3, h));
+        if (!k4) break;
+        point = point.map((c, i) => c + h * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) / 6);
+        if (point.some(c => !(Math.abs(c) <= bound))) break;
+        points.push(point);
+    }
+    return points;
+}
+
+// Streamlines of the field frozen at `time`, through seeds on the sampling
+// grid (thinned to at most MAX_STREAMLINES). Each line runs backwards and
+// forwards from its seed and comes with the magnitude at every point; the
+// seed's index within the line is `seedIndex`.
+export function traceStreamlines(f, settings, { dimension = 3, time = 0 } = {}) {
+    const field = evaluator(f, dimension, time);
+    const spacing = 2 * settings.extent / (settings.density - 1);
+    const h = spacing / 4;
+    const bound = settings.extent * 1.0001;
+    const seeds = gridPoints(settings, dimension, MAX_STREAMLINES);
+
+    let maxMagnitude = 0;
+    const lines = seeds.map(seed => {
+        const backward = trace(field, seed, -h, STREAMLINE_STEPS, bound).reverse();
+        const forward = trace(field, seed, h, STREAMLINE_STEPS, bound);
+        const points = [...backward, seed, ...forward];
+        const magnitudes = Float32Array.from(points, point => {
+            const magnitude = Math.hypot(...field(point));
+            return Number.isFinite(magnitude) ? magnitude : 0;
+        });
+        magnitudes.forEach(m => { maxMagnitude = Math.max(maxMagnitude, m); });
+        return { points: Float32Array.from(points.flat()), magnitudes, seedIndex: backward.length };
+    });
+    return { lines, maxMagnitude, spacing };
+}
+
+// Magnitude on a 0–1 scale, logarithmic so that slow regions stay visible
+// next to fast ones
+export function magnitudeLevel(magnitude, maxMagnitude) {
+    return maxMagnitude > 0 ? Math.log1p(magnitude) / Math.log1p(maxMagnitude) : 0;
+}
@@ -0,0 +1,128 @@
+import { DEFAULT_FIELD_SETTINGS, FIELD_STYLES, MAX_FIELD_DENSITY, MAX_FIELD_EXTENT, SLICE_AXES } from './vectorFieldData.js';
+import { createField, numberInput, selectInput } from './ui.js';
+
+// Controls for the vector field drawing (see vectorFieldData.js): style,
+// grid extent and density, magnitude-scaled arrows and the slice plane,
+// which can be dragged through the volume. Whether the field is shown at
+// all is a display toggle.
+//
+// `onChange(settings)` receives the full settings after every edit.
+
+export class VectorFieldPanel {
+    constructor(parent, { onChange }) {
+        this.onChange = onChange;
+        this.settings = { ...DEFAULT_FIELD_SETTINGS };
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'panel analysis-panel';
+
+        const title = document.createElement('h3');
+        title.className = 'section-title';
+        title.textContent = 'Vector Field';
+        this.panel.appendChild(title);
+
+        const form = document.createElement('div');
+        form.className = 'tool-form';
+        this.styleInput = createField('Style', selectInput(Object.entries(FIELD_STYLES)), form);
+        this.styleInput.onchange = () => this.change({ style: this.styleInput.value });
+
+        this.extentInput = createField('Extent (±)', numberInput(this.settings.extent), form);
+        this.extentInput.min = '0';
+        this.extentInput.max = String(MAX_FIELD_EXTENT);
+        this.extentInput.onchange = () => {
+            const value = parseFloat(this.extentInput.value);
+            if (value > 0 && value <= MAX_FIELD_EXTENT) {
+                const slice = this.settings.slice && { ...this.settings.slice, position: Math.max(-value, Math.min(value, this.settings.slice.position)) };
+                this.change({ extent: value, slice });
+            } else {
+                this.extentInput.value = this.settings.extent;
+            }
+        };
+
+        this.densityInput = createField('Points per axis', numberInput(this.settings.density), form);
+        this.densityInput.min = '2';
+        this.densityInput.max = String(MAX_FIELD_DENSITY);
+        this.densityInput.step = '1';
+        this.densityInput.onchange = () => {
+            const value = parseInt(this.densityInput.value, 10);
+            if (value >= 2 && value <= MAX_FIELD_DENSITY) {
+                this.change({ density: value });
+            } else {
+                this.densityInput.value = this.settings.density;
+            }
+        };
+
+        this.scaleLengthInput = document.createElement('input');
+        this.scaleLengthInput.type = 'checkbox';
+        createField('Arrow length follows magnitude', this.scaleLengthInput, form);
+        this.scaleLengthInput.onchange = () => this.change({ scaleLength: this.scaleLengthInput.checked });
+
+        this.sliceInput = document.createElement('input');
+        this.sliceInput.type = 'checkbox';
+        createField('Single plane (slice)', this.sliceInput, form);
+        this.sliceInput.onchange = () => this.change({
+            slice: this.sliceInput.checked ? { axis: this.sliceAxisInput.value, position: 0 } : null
+        });
+
+        this.sliceAxisInput = createField('Slice normal', selectInput(SLICE_AXES.map(axis => [axis, axis])), form);
+        this.sliceAxisInput.value = 'z';
+        this.sliceAxisInput.onchange = () => this.change({ slice: { ...this.settings.slice, axis: this.sliceAxisInput.value } });
+        this.panel.appendChild(form);
+
+        this.slicePositionLabel = document.createElement('label');
+        this.panel.appendChild(this.slicePositionLabel);
+        this.slicePositionInput = document.createElement('input');
+        this.slicePositionInput.type = 'range';
+        this.slicePositionInput.className = 'slider';
+        this.slicePositionInput.oninput = () => this.change({
+            slice: { ...this.settings.slice, position: parseFloat(this.slicePositionInput.value) }
+        });
+        this.panel.appendChild(this.slicePositionInput);
+
+        this.status = document.createElement('div');
+        this.status.className = 'analysis-readout';
+        this.panel.appendChild(this.status);
+
+        parent.appendChild(this.panel);
+        this.render();
+    }
+
+    change(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.render();
+        this.onChange({ ...this.settings });
+    }
+
+    // Show settings from elsewhere (a loaded configuration) without reporting them back
+    setSettings(settings) {
+        this.settings = { ...settings };
+        this.render();
+    }
+
+    // Explain why nothing is drawn, or clear the note with null
+    setNote(text) {
+        this.status.textContent = text || '';
+    }
+
+    render() {
+        const { style, extent, density, scaleLength, slice } = this.settings;
+        this.styleInput.value = style;
+        this.extentInput.value = extent;
+        this.densityInput.value = density;
+        this.scaleLengthInput.checked = scaleLength;
+        this.scaleLengthInput.disabled = style !== 'arrows';
+        this.sliceInput.checked = Boolean(slice);
+        this.sliceAxisInput.disabled = !slice;
+        this.slicePositionInput.disabled = !slice;
+        this.slicePositionInput.min = String(-extent);
+        this.slicePositionInput.max = String(extent);
+        this.slicePositionInput.step = String(extent / 100);
+        if (slice) {
+            this.sliceAxisInput.value = slice.axis;
+            this.slicePositionInput.value = slice.position;
+        }
+        this.slicePositionLabel.textContent = slice
+            ? `Slice at ${slice.axis} = ${parseFloat(slice.position.toPrecision(4))}`
+            : 'Slice position';
+    }
+}
@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { magnitudeLevel, sampleField, traceStreamlines } from './vectorFieldData.js';
+
+// Draws a vector field in the 3D scene (see vectorFieldData.js for the
+// sampling). Arrows are one instanced mesh, so dense grids cost a single
+// draw call; streamlines are one set of line segments and streamtubes an
+// instanced cylinder per segment. Colours run from cyan (slow) to magenta
+// (fast) on a logarithmic magnitude scale.
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Unit arrow along +y from the origin: a shaft and a cone-shaped head
+function arrowGeometry() {
+    const profile = [[0, 0], [0.04, 0], [0.04, 0.7], [0.12, 0.7], [0, 1]].map(([r, y]) => new THREE.Vector2(r, y));
+    return new THREE.LatheGeometry(profile, 8);
+}
+
+function tubeGeometry() {
+    return new THREE.CylinderGeometry(1, 1, 1, 6, 1, true).translate(0, 0.5, 0);
+}
+
+export class VectorFieldView {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        scene.add(this.group);
+        this.arrowGeometry = arrowGeometry();
+        this.tubeGeometry = tubeGeometry();
+        this.meshMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        this.lineMaterial = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.8 });
+        this.color = new THREE.Color();
+        this.matrix = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+        this.position = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+        this.scale = new THREE.Vector3();
+    }
+
+    clear() {
+        [...this.group.children].forEach(child => {
+            this.group.remove(child);
+            // Shared geometries stay; per-update ones are freed
+            if (child.isInstancedMesh) {
+                child.dispose();
+            } else {
+                child.geometry.dispose();
+            }
+        });
+    }
+
+    // Instances spread far beyond the shared geometry's bounds, so they are
+    // never culled
+    addInstanced(geometry, count) {
+        const mesh = new THREE.InstancedMesh(geometry, this.meshMaterial, count);
+        mesh.frustumCulled = false;
+        this.group.add(mesh);
+        return mesh;
+    }
+
+    levelColor(level) {
+        return this.color.setHSL(0.5 + 0.33 * level, 1, 0.5);
+    }
+
+    // Rebuild for derivative function f(t, y) with the given settings.
+    // `dimension` is the system's (2 or 3); `time` freezes time-dependent
+    // fields.
+    update(f, settings, { dimension, time }) {
+        this.clear();
+        if (settings.style === 'arrows') {
+            this.drawArrows(sampleField(f, settings, { dimension, time }), settings.scaleLength);
+            return;
+        }
+        const streamlines = traceStreamlines(f, settings, { dimension, time });
+        if (settings.style === 'tubes') {
+            this.drawTubes(streamlines);
+        } else {
+            this.drawLines(streamlines);
+        }
+        this.drawSeedArrows(streamlines);
+    }
+
+    // One instance per grid point, scaled to zero where the field vanishes
+    drawArrows({ positions, vectors, magnitudes, count, maxMagnitude, spacing }, scaleLength) {
+        const mesh = this.addInstanced(this.arrowGeometry, count);
+        for (let i = 0; i < count; i++) {
+            const level = magnitudeLevel(magnitudes[i], maxMagnitude);
+            const length = magnitudes[i] > 0 ? spacing * 0.9 * (scaleLength ? 0.15 + 0.85 * level : 1) : 0;
+            this.place(mesh, i, positions.subarray(i * 3, i * 3 + 3), vectors.subarray(i * 3, i * 3 + 3), length);
+            mesh.setColorAt(i, this.levelColor(level));
+        }
+    }
+
+    // Small arrows at the streamline seeds show which way the flow runs
+    drawSeedArrows({ lines, maxMagnitude, spacing }) {
+        const mesh = this.addInstanced(this.arrowGeometry, lines.length);
+        lines.forEach(({ points, magnitudes, seedIndex }, i) => {
+            const seed = points.subarray(seedIndex * 3, seedIndex * 3 + 3);
+            // Towards the next point, or from the previous one at the end of the line
+            const [from, to] = seedIndex + 1 < magnitudes.length ? [seedIndex, seedIndex + 1] : [seedIndex - 1, seedIndex];
+            const direction = from >= 0
+                ? [0, 1, 2].map(k => points[to * 3 + k] - points[from * 3 + k])
+                : [0, 0, 0];
+            const length = from >= 0 ? spacing * 0.4 : 0;
+            this.place(mesh, i, seed, direction, length);
+            mesh.setColorAt(i, this.levelColor(magnitudeLevel(magnitudes[seedIndex], maxMagnitude)));
+        });
+    }
+
+    drawLines({ lines, maxMagnitude }) {
+        const segments = lines.reduce((sum, { magnitudes }) => sum + Math.max(0, magnitudes.length - 1), 0);
+        const positions = new Float32Array(segments * 6);
+        const colors = new Float32Array(segments * 6);
+        let offset = 0;
+        lines.forEach(({ points, magnitudes }) => {
+            for (let j = 0; j + 1 < magnitudes.length; j++) {
+                [j, j + 1].forEach(k => {
+                    positions.set(points.subarray(k * 3, k * 3 + 3), offset);
+                    const { r, g, b } = this.levelColor(magnitudeLevel(magnitudes[k], maxMagnitude));
+                    colors.set([r, g, b], offset);
+                    offset += 3;
+                });
+            }
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        this.group.add(new THREE.LineSegments(geometry, this.lineMaterial));
+    }
+
+    // A thin cylinder along every streamline segment
+    drawTubes({ lines, maxMagnitude, spacing }) {
+        const segments = lines.reduce((sum, { magnitudes }) => sum + Math.max(0, magnitudes.length - 1), 0);
+        const mesh = this.addInstanced(this.tubeGeometry, segments);
+        const radius = spacing * 0.04;
+        let index = 0;
+        lines.forEach(({ points, magnitudes }) => {
+            for (let j = 0; j + 1 < magnitudes.length; j++) {
+                const start = points.subarray(j * 3, j * 3 + 3);
+                const step = [0, 1, 2].map(k => points[(j + 1) * 3 + k] - start[k]);
+                this.place(mesh, index, start, step, Math.hypot(...step), radius);
+                mesh.setColorAt(index, this.levelColor(magnitudeLevel(magnitudes[j], maxMagnitude)));
+                index++;
+            }
+        });
+    }
+
+    // Instance i at `position`, pointing along `vector`, `length` long and,
+    // for tubes, `width` thick (arrows scale evenly)
+    place(mesh, i, position, vector, length, width = length) {
+        this.direction.set(vector[0], vector[1], vector[2]);
+        if (length > 0 && this.direction.lengthSq() > 0) {
+            this.quaternion.setFromUnitVectors(UP, this.direction.normalize());
+            this.scale.set(width, length, width);
+        } else {
+            this.quaternion.identity();
+            this.scale.set(0, 0, 0);
+        }
+        this.position.set(position[0], position[1], position[2]);
+        this.matrix.compose(this.position, this.quaternion, this.scale);
+        mesh.setMatrixAt(i, this.matrix);
+    }
+}